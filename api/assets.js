@@ -0,0 +1,66 @@
+// file: api/assets.js
+import { ASSET_ID_PATTERN, getAssetStore } from './lib/assetStore.js';
+import { getQueryParam } from './lib/http.js';
+
+/**
+ * How long browsers and CDNs may keep an asset, in seconds. Asset ids are
+ * content hashes, so the content behind an id never changes.
+ * @type {number}
+ */
+const ASSET_MAX_AGE = 365 * 24 * 60 * 60; // 1 year
+
+/**
+ * API handler serving stored assets such as generated posters, so they
+ * outlive the provider's temporary URLs and can be saved and shared
+ * @param {Request} request - The incoming HTTP request (`GET /api/assets?id=<id>`)
+ * @param {Response} response - The HTTP response
+ * @returns {Promise<void>} - Resolves once the response is sent
+ */
+export default async function handler(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const id = getQueryParam(request, 'id');
+    if (!id || !ASSET_ID_PATTERN.test(id)) {
+        return response.status(400).json({ error: 'Invalid asset id', retry: false, errorType: 'invalid_request' });
+    }
+
+    let stored;
+    try {
+        stored = await getAssetStore(process.env).get(id);
+    } catch (error) {
+        console.error('Asset store error:', error.message);
+        return response.status(500).json({ error: 'Could not read the asset', retry: true, errorType: 'api_error' });
+    }
+
+    if (!stored) {
+        response.setHeader('Cache-Control', 'no-store');
+        return response.status(404).json({
+            error: 'Asset not found',
+            message: 'The asset does not exist or is no longer stored.',
+            retry: false,
+            errorType: 'asset_not_found'
+        });
+    }
+
+    const { asset, data } = stored;
+    const etag = `"${asset.hash}"`;
+    const headers = {
+        'Cache-Control': `public, max-age=${ASSET_MAX_AGE}, immutable`,
+        'ETag': etag
+    };
+
+    if (request.headers?.['if-none-match'] === etag) {
+        response.writeHead(304, headers);
+        response.end();
+        return;
+    }
+
+    response.writeHead(200, {
+        ...headers,
+        'Content-Type': asset.contentType,
+        'Content-Length': String(asset.size)
+    });
+    response.end(request.method === 'HEAD' ? undefined : data);
+}
@@ -0,0 +1,210 @@
+// file: api/lib/assetStore.js
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { isServerless } from './http.js';
+
+/**
+ * @typedef {Object} Asset
+ * @property {string} id - Stable id, derived from the content hash
+ * @property {string} hash - SHA-256 of the content, hex
+ * @property {string} contentType - MIME type, e.g. 'image/png'
+ * @property {number} size - Size in bytes
+ * @property {number} createdAt - When the asset was first stored (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} AssetStore
+ * @property {function(Buffer, string): Promise<Asset>} put - Store content; storing the same content again returns the existing asset
+ * @property {function(string): Promise<{asset: Asset, data: Buffer}|null>} get - Look up an asset and its content
+ * @property {function(string): Promise<boolean>} has - Whether an asset is stored
+ */
+
+/**
+ * Default total size of the assets the in-memory store keeps, in bytes
+ * @type {number}
+ */
+const DEFAULT_MAX_BYTES = 200 * 1024 * 1024; // 200 MB
+
+/**
+ * Default directory for the on-disk store, relative to the working directory
+ * @type {string}
+ */
+const DEFAULT_ASSET_DIR = '.assets';
+
+/**
+ * Default directory for the on-disk store on serverless hosts, where only
+ * the temporary directory is writable
+ * @type {string}
+ */
+const SERVERLESS_ASSET_DIR = path.join(tmpdir(), 'statham-assets');
+
+/**
+ * What asset ids look like: the first 32 hex digits of the content hash.
+ * Anything else is refused before it gets near a file path.
+ * @type {RegExp}
+ */
+export const ASSET_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Asset stores by configuration, shared by every route in this instance
+ * @type {Map<string, AssetStore>}
+ */
+const stores = new Map();
+
+/**
+ * Describe content as an asset
+ * @param {Buffer} data - Content
+ * @param {string} contentType - MIME type
+ * @returns {Asset} - Asset metadata
+ */
+function describeAsset(data, contentType) {
+    const hash = createHash('sha256').update(data).digest('hex');
+    return {
+        id: hash.slice(0, 32),
+        hash,
+        contentType,
+        size: data.length,
+        createdAt: Date.now()
+    };
+}
+
+/**
+ * Create a store that keeps assets in memory, evicting the least recently
+ * used ones once they add up to more than `maxBytes`
+ *
+ * @param {Object} [options] - Store options
+ * @param {number} [options.maxBytes] - Total size of the assets to keep
+ * @returns {AssetStore} - In-memory store
+ */
+export function createMemoryAssetStore({ maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    // Map iteration order doubles as the recency order, oldest first
+    const assets = new Map();
+    let totalBytes = 0;
+
+    return {
+        async put(data, contentType) {
+            const asset = describeAsset(data, contentType);
+            const existing = assets.get(asset.id);
+            if (existing) {
+                return existing.asset;
+            }
+
+            assets.set(asset.id, { asset, data });
+            totalBytes += asset.size;
+            for (const [id, stored] of assets) {
+                if (totalBytes <= maxBytes || id === asset.id) break;
+                assets.delete(id);
+                totalBytes -= stored.asset.size;
+            }
+            return asset;
+        },
+
+        async get(id) {
+            const stored = assets.get(id);
+            if (!stored) {
+                return null;
+            }
+            assets.delete(id);
+            assets.set(id, stored);
+            return stored;
+        },
+
+        async has(id) {
+            return assets.has(id);
+        }
+    };
+}
+
+/**
+ * Create a store that keeps each asset as a file next to a JSON file with
+ * its metadata, so assets survive restarts
+ *
+ * @param {Object} [options] - Store options
+ * @param {string} [options.directory] - Directory for the asset files
+ * @returns {AssetStore} - On-disk store
+ */
+export function createFileAssetStore({ directory = DEFAULT_ASSET_DIR } = {}) {
+    const dataFile = (id) => path.join(directory, `${id}.bin`);
+    const metaFile = (id) => path.join(directory, `${id}.json`);
+
+    const readMeta = async (id) => {
+        try {
+            return JSON.parse(await readFile(metaFile(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    return {
+        async put(data, contentType) {
+            const asset = describeAsset(data, contentType);
+            const existing = await readMeta(asset.id);
+            if (existing) {
+                return existing;
+            }
+
+            await mkdir(directory, { recursive: true });
+            // Metadata last, so an asset with metadata always has its data
+            await writeFile(dataFile(asset.id), data);
+            await writeFile(metaFile(asset.id), JSON.stringify(asset));
+            return asset;
+        },
+
+        async get(id) {
+            const asset = await readMeta(id);
+            if (!asset) {
+                return null;
+            }
+            return { asset, data: await readFile(dataFile(id)) };
+        },
+
+        async has(id) {
+            return Boolean(await readMeta(id));
+        }
+    };
+}
+
+/**
+ * Get the store selected by the ASSET_STORE environment variable: 'file'
+ * (default) or 'memory'. Stores are shared per configuration, so the route
+ * that serves assets sees what the poster jobs stored. Unless ASSET_DIR says
+ * otherwise, the file store writes to `.assets`, or to the temporary
+ * directory on a serverless host such as Vercel.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {AssetStore} - Asset store
+ * @throws {Error} - Throws if ASSET_STORE is unknown
+ */
+export function getAssetStore(env) {
+    const kind = (env.ASSET_STORE || 'file').trim().toLowerCase();
+    const directory = env.ASSET_DIR || (isServerless(env) ? SERVERLESS_ASSET_DIR : DEFAULT_ASSET_DIR);
+    const config = `${kind}|${directory}`;
+
+    if (!stores.has(config)) {
+        switch (kind) {
+            case 'file':
+                stores.set(config, createFileAssetStore({ directory }));
+                break;
+            case 'memory':
+                stores.set(config, createMemoryAssetStore());
+                break;
+            default:
+                throw new Error(`Unknown ASSET_STORE "${kind}" (expected one of: file, memory)`);
+        }
+    }
+    return stores.get(config);
+}
+
+/**
+ * URL of the route that serves an asset
+ * @param {Asset} asset - Stored asset
+ * @returns {string} - Same-origin URL
+ */
+export function assetUrl(asset) {
+    return `/api/assets?id=${asset.id}`;
+}
@@ -0,0 +1,28 @@
+// file: api/lib/http.js
+
+/**
+ * Read a query string parameter. Vercel parses the query into
+ * `request.query`; the dev server only passes the URL.
+ * @param {Object} request - HTTP request
+ * @param {string} name - Parameter name
+ * @returns {string|null} - Parameter value, or null if it is missing
+ */
+export function getQueryParam(request, name) {
+    if (request.query && request.query[name] !== undefined) {
+        return String(request.query[name]);
+    }
+    if (!request.url) {
+        return null;
+    }
+    return new URL(request.url, 'http://localhost').searchParams.get(name);
+}
+
+/**
+ * Whether the server runs as serverless functions, which are frozen once
+ * they respond and can only write to the temporary directory
+ * @param {Object} env - Environment variables
+ * @returns {boolean} - True on Vercel and AWS Lambda
+ */
+export function isServerless(env) {
+    return Boolean(env.VERCEL || env.AWS_LAMBDA_FUNCTION_NAME);
+}
@@ -0,0 +1,180 @@
+// file: api/lib/jobs.js
+import { randomUUID } from 'node:crypto';
+
+/**
+ * @typedef {'queued'|'running'|'done'|'failed'} JobStatusName
+ */
+
+/**
+ * @typedef {Object} JobStatus
+ * @property {string} jobId - Job id
+ * @property {string} action - API action the job runs
+ * @property {JobStatusName} status - Where the job is in its lifecycle
+ * @property {number} progress - Fraction complete, from 0 to 1
+ * @property {string} message - What the job is doing right now
+ * @property {any} [result] - The action's result, once done
+ * @property {Object} [error] - Why the job failed, once failed
+ * @property {number} createdAt - When the job was queued (ms since epoch)
+ * @property {number} updatedAt - When the job last changed (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} JobContext
+ * @property {AbortSignal} signal - Aborted when the job times out
+ * @property {function(number, string): void} report - Report progress (0 to 1) and what the job is doing
+ * @property {function(Promise<any>, {message: string, expectedMs: number, to: number}): Promise<any>} track -
+ *     Wait for a slow call, moving progress towards `to` as the expected duration passes
+ */
+
+/**
+ * How often tracked progress is updated in milliseconds
+ * @type {number}
+ */
+const TRACK_INTERVAL = 500;
+
+/**
+ * Create an in-memory queue for actions that take too long to answer within
+ * a single request. Jobs run in the order they were queued, at most
+ * `concurrency` at a time; finished jobs and their results are kept for
+ * `ttl` milliseconds so the client can collect them.
+ *
+ * @param {Object} [options] - Queue options
+ * @param {number} [options.concurrency] - Jobs that may run at once
+ * @param {number} [options.timeout] - Milliseconds a job may run before it is aborted
+ * @param {number} [options.ttl] - Milliseconds finished jobs are kept
+ * @param {function(Error): Object} [options.describeError] - Turn a job's error into the JSON reported to the client
+ * @returns {{enqueue: function(string, function(JobContext): Promise<any>): JobStatus, get: function(string): JobStatus|null}} - Job queue
+ */
+export function createJobQueue({
+    concurrency = 2,
+    timeout = 5 * 60 * 1000,
+    ttl = 15 * 60 * 1000,
+    describeError = (error) => ({ message: error.message })
+} = {}) {
+    const jobs = new Map();
+    const waiting = [];
+    let running = 0;
+
+    const toStatus = (job) => ({
+        jobId: job.id,
+        action: job.action,
+        status: job.status,
+        progress: job.progress,
+        message: job.message,
+        ...(job.status === 'done' ? { result: job.result } : {}),
+        ...(job.status === 'failed' ? { error: job.error } : {}),
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    });
+
+    const update = (job, changes) => {
+        Object.assign(job, changes, { updatedAt: Date.now() });
+    };
+
+    // Forget finished jobs nobody collected in time
+    const prune = () => {
+        const now = Date.now();
+        for (const [id, job] of jobs) {
+            if (job.finishedAt && now - job.finishedAt > ttl) {
+                jobs.delete(id);
+            }
+        }
+    };
+
+    const execute = async (job, run) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => {
+            const timeoutError = new Error(`Job timed out after ${timeout}ms`);
+            timeoutError.status = 504;
+            controller.abort(timeoutError);
+        }, timeout);
+        const aborted = new Promise((_, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+        aborted.catch(() => {});
+
+        /** @type {JobContext} */
+        const context = {
+            signal: controller.signal,
+            report: (progress, message) => {
+                update(job, { progress: Math.max(job.progress, Math.min(progress, 1)), message });
+            },
+            track: async (promise, { message, expectedMs, to }) => {
+                const from = job.progress;
+                const startedAt = Date.now();
+                context.report(from, message);
+                // Approach `to` without reaching it, however long the call takes
+                const interval = setInterval(() => {
+                    const elapsed = Date.now() - startedAt;
+                    context.report(from + (to - from) * (1 - Math.exp(-elapsed / expectedMs)), message);
+                }, TRACK_INTERVAL);
+                try {
+                    return await promise;
+                } finally {
+                    clearInterval(interval);
+                }
+            }
+        };
+
+        update(job, { status: 'running', message: 'Starting' });
+        try {
+            const result = await Promise.race([run(context), aborted]);
+            update(job, { status: 'done', progress: 1, message: 'Done', result });
+        } catch (error) {
+            console.error(`Job ${job.id} (${job.action}) failed:`, error);
+            update(job, { status: 'failed', message: 'Failed', error: describeError(error) });
+        } finally {
+            clearTimeout(timer);
+            job.finishedAt = Date.now();
+        }
+    };
+
+    const startNext = () => {
+        while (running < concurrency && waiting.length > 0) {
+            const { job, run } = waiting.shift();
+            running++;
+            execute(job, run).finally(() => {
+                running--;
+                startNext();
+            });
+        }
+    };
+
+    return {
+        /**
+         * Queue an action to run in the background
+         * @param {string} action - API action, for status reports and logs
+         * @param {function(JobContext): Promise<any>} run - Does the work and resolves with the result
+         * @returns {JobStatus} - Status of the new job
+         */
+        enqueue(action, run) {
+            prune();
+            const now = Date.now();
+            const job = {
+                id: randomUUID(),
+                action,
+                status: 'queued',
+                progress: 0,
+                message: 'Waiting to start',
+                createdAt: now,
+                updatedAt: now
+            };
+            jobs.set(job.id, job);
+            waiting.push({ job, run });
+            const status = toStatus(job);
+            startNext();
+            return status;
+        },
+
+        /**
+         * Look up a job
+         * @param {string} id - Job id
+         * @returns {JobStatus|null} - Current status, or null if the job is unknown or expired
+         */
+        get(id) {
+            prune();
+            const job = jobs.get(id);
+            return job ? toStatus(job) : null;
+        }
+    };
+}
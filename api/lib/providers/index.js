@@ -0,0 +1,98 @@
+// file: api/lib/providers/index.js
+import { createOpenAIProvider, createOpenAICompatibleProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * @typedef {Object} ChatRequest
+ * @property {string} task - What the request is for: 'title', 'plot', 'trailer', 'posterDescription' or 'movieBatch'
+ * @property {Array<{role: string, content: string}>} messages - Chat messages
+ * @property {number} maxTokens - Maximum tokens to generate
+ * @property {number} temperature - Sampling temperature
+ * @property {boolean} [json] - Ask for a JSON object response
+ * @property {Object} [input] - The action's structured input, for providers that don't run a model
+ */
+
+/**
+ * @typedef {Object} TextStream
+ * @property {Function} abort - Stop generating
+ * Async iterable of text pieces as they are generated
+ */
+
+/**
+ * @typedef {Object} ImageRequest
+ * @property {string} prompt - Image prompt
+ * @property {string} size - Image size, e.g. '1024x1792'
+ * @property {string} [quality] - 'standard' or 'hd'
+ * @property {string} [style] - 'vivid' or 'natural'
+ */
+
+/**
+ * @typedef {Object} SpeechRequest
+ * @property {string} input - Text (or SSML) to speak
+ * @property {string} voice - Voice name
+ * @property {number} speed - Speaking rate
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name
+ * @property {{chat: string, image?: string, speech?: string}} models - Model used for each capability
+ * @property {function(ChatRequest): Promise<string>} chat - Complete a chat and return the text
+ * @property {function(ChatRequest): Promise<TextStream>} streamChat - Complete a chat, streaming the text
+ * @property {function(ImageRequest): Promise<{image: Buffer, format: string}>} generateImage - Generate an image and return its data
+ * @property {function(SpeechRequest): Promise<{audio: Buffer, format: string}>} generateSpeech - Synthesize speech
+ * @property {function(): Promise<void>} checkKey - Make the cheapest authenticated call there is, to check the API key
+ * @property {function(string): Promise<Object|null>} [simulateFailure] - Mock only: a failure response to send instead of handling the action
+ */
+
+/**
+ * Provider factories keyed by the LLM_PROVIDER setting
+ * @type {Object<string, Function>}
+ */
+const PROVIDERS = {
+    'openai': createOpenAIProvider,
+    'openai-compatible': createOpenAICompatibleProvider,
+    'mock': createMockProvider
+};
+
+/**
+ * Work out which provider to use. Outside production, a missing
+ * OPENAI_API_KEY with no explicit LLM_PROVIDER falls back to the mock so the
+ * UI can be worked on offline.
+ * @param {Object} env - Environment variables
+ * @returns {string} - Provider name
+ */
+function resolveProviderName(env) {
+    if (env.LLM_PROVIDER) {
+        return env.LLM_PROVIDER.trim().toLowerCase();
+    }
+    if (!env.OPENAI_API_KEY && env.NODE_ENV !== 'production') {
+        console.warn('OPENAI_API_KEY is not set, using the mock provider');
+        return 'mock';
+    }
+    return 'openai';
+}
+
+/**
+ * Create the provider selected by the LLM_PROVIDER environment variable
+ * (default: openai). A user-supplied API key always means the hosted OpenAI
+ * API with its default models, whatever the server is configured to use.
+ * @param {Object} env - Environment variables
+ * @param {{timeout: number, maxRetries: number, signal?: AbortSignal, apiKey?: string}} options - Request options; the signal cancels the provider's in-flight calls
+ * @returns {LLMProvider} - Provider
+ * @throws {Error} - Throws if the provider is unknown or misconfigured
+ */
+export function createProvider(env, options) {
+    if (options.apiKey) {
+        return createOpenAIProvider({ OPENAI_API_KEY: options.apiKey }, options);
+    }
+
+    const name = resolveProviderName(env);
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return factory(env, options);
+}
@@ -0,0 +1,298 @@
+// file: api/lib/providers/mock.js
+import { createRandom } from '../../../src/utils/random.js';
+import { renderPlaceholderPng, synthesizeWav } from './mockMedia.js';
+
+/**
+ * Canned material the mock assembles its responses from
+ * @type {Object<string, Array<string>>}
+ */
+const CANNED = {
+    titles: ['Mock Protocol', 'Offline Fury', 'Null Pointer', 'Dead Localhost', 'Stub Justice', 'Cache Miss', 'Hard Reset', 'Loopback'],
+    openings: [
+        'Nobody in {setting} remembers the former {formerProfession} who keeps to himself.',
+        'He swore he was done. A former {formerProfession}, he built a quiet life in {setting}.',
+        'In {setting}, the only thing more dangerous than the streets is the former {formerProfession} who walks them.'
+    ],
+    turns: [
+        'That changes when {plotTrigger}, and {villain} makes the mistake of making it personal.',
+        'Then {plotTrigger}. {villain} thought nobody would come looking. They were wrong.',
+        'When {plotTrigger}, he follows the trail straight to {villain}.'
+    ],
+    endings: [
+        'What follows is {actionScene}, and a reckoning nobody walks away from unchanged.',
+        'By the time {villain} understands who they are dealing with, it is far too late.',
+        'One man. No backup. No second chances.'
+    ],
+    trailerLines: [
+        'In a world where nobody plays by the rules...',
+        'One man has nothing left to lose.',
+        'They took the wrong thing from the wrong man.',
+        'This summer, the past comes back swinging.'
+    ],
+    taglines: ['Vengeance runs offline.', 'No network. No mercy.', 'He never needed a second take.', 'Some debts are paid in full.'],
+    settings: ['a rain-soaked harbor', 'a neon-lit Bangkok night market', 'an abandoned Soviet missile silo', 'a Monaco yacht party'],
+    characters: ['special forces operative', 'getaway driver', 'hitman', 'Navy SEAL', 'diver'],
+    villains: ['a smuggler with a private army', 'a tech billionaire', 'a corrupt police chief', 'a Russian oligarch'],
+    palettes: ['teal shadows and orange fire', 'cold blue steel with one red accent', 'sodium-orange streetlight and black', 'bleached desert gold'],
+    poses: ['walking away from an explosion without looking back', 'crouched behind cover, pistol raised', 'fists up, knuckles taped, staring down the camera'],
+    actionScenes: ['a fight across stacked shipping containers', 'a chase through a burning warehouse', 'a shootout on a speeding train']
+};
+
+/**
+ * Failure kinds the mock can inject, keyed by the names accepted in MOCK_FAILURES
+ * @type {Object<string, string>}
+ */
+const FAILURE_ALIASES = {
+    '429': 'rate_limit',
+    'rate_limit': 'rate_limit',
+    '504': 'timeout',
+    'timeout': 'timeout',
+    'malformed': 'malformed'
+};
+
+/**
+ * Latency and failure sequences, kept across requests (the handler creates
+ * a provider per request) so the sequence advances instead of restarting
+ * @type {Map<string, import('../../../src/utils/random.js').SeededRandom>}
+ */
+const sequences = new Map();
+
+/**
+ * @typedef {Object} MockSettings
+ * @property {Array<number>} latency - Minimum and maximum delay per request in milliseconds
+ * @property {number} failureRate - Probability (0-1) that a request fails
+ * @property {Array<string>} failures - Failure kinds to choose from: rate_limit, timeout, malformed
+ * @property {string} seed - Seed for the latency and failure sequence
+ */
+
+/**
+ * Read the mock settings from the environment.
+ * MOCK_LATENCY_MS is either a fixed delay ("500") or a range ("200-1500").
+ *
+ * @param {Object} env - Environment variables
+ * @returns {MockSettings} - Settings
+ */
+export function getMockSettings(env) {
+    const [min = 0, max = min] = String(env.MOCK_LATENCY_MS || '0')
+        .split('-')
+        .map((value) => Math.max(0, Number(value) || 0));
+
+    const failures = String(env.MOCK_FAILURES || 'rate_limit,timeout,malformed')
+        .split(',')
+        .map((name) => FAILURE_ALIASES[name.trim().toLowerCase()])
+        .filter(Boolean);
+
+    return {
+        latency: [min, Math.max(min, max)],
+        failureRate: Math.min(1, Math.max(0, Number(env.MOCK_FAILURE_RATE) || 0)),
+        failures: failures.length > 0 ? failures : ['rate_limit'],
+        seed: env.MOCK_SEED || 'mock'
+    };
+}
+
+/**
+ * Fill {placeholders} in a template from the plot elements
+ * @param {string} template - Template text
+ * @param {Object} values - Values to substitute
+ * @returns {string} - Filled-in text
+ */
+function fill(template, values) {
+    return template.replace(/\{(\w+)\}/g, (_, key) => values[key] || 'someone');
+}
+
+/**
+ * Build a seeded generator from everything that identifies a request, so
+ * the same request always gets the same response
+ * @param {Object} request - Chat or image request
+ * @returns {import('../../../src/utils/random.js').SeededRandom} - Seeded generator
+ */
+function randomFor(request) {
+    return createRandom(JSON.stringify([request.task, request.input, request.prompt]));
+}
+
+/**
+ * Write the canned response for a chat task
+ * @param {import('./index.js').ChatRequest} request - Chat request
+ * @returns {string} - Response text
+ */
+function respond(request) {
+    const rng = randomFor(request);
+    const input = request.input || {};
+    const title = input.title || rng.pick(CANNED.titles);
+
+    switch (request.task) {
+        case 'title':
+            return rng.pick(CANNED.titles);
+
+        case 'plot': {
+            const plot = [CANNED.openings, CANNED.turns, CANNED.endings]
+                .map((templates) => fill(rng.pick(templates), input))
+                .join(' ');
+            return input.title ? plot : `TITLE: ${title}\n${plot}`;
+        }
+
+        case 'trailer':
+            return [
+                '[DEEP VOICE]',
+                rng.pick(CANNED.trailerLines),
+                '[PAUSE]',
+                `A former ${input.formerProfession || 'soldier'}...`,
+                '[EXPLOSION SOUND]',
+                rng.pick(CANNED.trailerLines),
+                title.toUpperCase(),
+                rng.pick(CANNED.taglines)
+            ].join('\n\n');
+
+        case 'posterDescription': {
+            const plot = input.plot || {};
+            const setting = plot.setting || rng.pick(CANNED.settings);
+            const villain = plot.villain || rng.pick(CANNED.villains);
+            return JSON.stringify({
+                tagline: rng.pick(CANNED.taglines),
+                description: `A ${input.style || 'action'} poster for "${plot.title || title}". Jason Statham, a former ${plot.formerProfession || 'soldier'}, stands in the foreground of ${setting}, with ${villain} looming behind him.`,
+                artDirection: {
+                    composition: `Low-angle shot of Statham in the foreground, ${villain} looming behind him over ${setting}`,
+                    palette: rng.pick(CANNED.palettes),
+                    props: plot.weapon || 'a scuffed pistol',
+                    pose: rng.pick(CANNED.poses)
+                }
+            });
+        }
+
+        case 'movieBatch':
+            return JSON.stringify({
+                movies: Array.from({ length: input.count || 1 }, () => {
+                    const movie = {
+                        title: rng.pick(CANNED.titles),
+                        character: rng.pick(CANNED.characters),
+                        setting: rng.pick(CANNED.settings),
+                        villain: rng.pick(CANNED.villains),
+                        actionScene: rng.pick(CANNED.actionScenes)
+                    };
+                    movie.plot = `A former ${movie.character} is dragged into one last job in ${movie.setting} and ends up at war with ${movie.villain}.`;
+                    return movie;
+                })
+            });
+
+        default:
+            return 'Mock response';
+    }
+}
+
+/**
+ * Create a deterministic offline provider that never calls a model.
+ * Responses are derived from the request, so the same request always gets
+ * the same answer. Latency and failures follow a seeded sequence, so a
+ * given series of requests behaves the same way on every run.
+ *
+ * @param {Object} env - Environment variables (see getMockSettings)
+ * @param {{signal?: AbortSignal}} [options] - Request options; the signal cuts simulated latency short
+ * @returns {import('./index.js').LLMProvider} - Provider
+ */
+export function createMockProvider(env = {}, { signal } = {}) {
+    const settings = getMockSettings(env);
+    if (!sequences.has(settings.seed)) {
+        sequences.set(settings.seed, createRandom(settings.seed));
+    }
+    const sequence = sequences.get(settings.seed);
+
+    const nextLatency = () => {
+        const [min, max] = settings.latency;
+        return Math.round(min + (max - min) * sequence.next());
+    };
+    const wait = (ms) => new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        if (ms <= 0) return resolve();
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return {
+        name: 'mock',
+        models: { chat: 'mock', image: 'mock', speech: 'mock' },
+
+        /**
+         * Decide whether this request should fail, per MOCK_FAILURE_RATE
+         * @param {string} action - API action being handled
+         * @returns {Promise<{status: number, body?: Object, raw?: string}|null>} - Simulated failure response, or null
+         */
+        async simulateFailure(action) {
+            if (!sequence.chance(settings.failureRate)) {
+                return null;
+            }
+
+            const kind = sequence.pick(settings.failures);
+            await wait(nextLatency());
+            console.warn(`Mock provider injecting ${kind} failure for ${action}`);
+
+            if (kind === 'rate_limit') {
+                return {
+                    status: 429,
+                    body: { error: 'Rate limit exceeded', message: 'Mock rate limit exceeded', retry: true, errorType: 'rate_limit' }
+                };
+            }
+            if (kind === 'timeout') {
+                return {
+                    status: 504,
+                    body: { error: 'Request timed out', message: 'Mock request timed out', retry: true, errorType: 'timeout' }
+                };
+            }
+            return { status: 200, raw: '{"mock": "truncated respo' };
+        },
+
+        async chat(request) {
+            await wait(nextLatency());
+            return respond(request);
+        },
+
+        async streamChat(request) {
+            const pieces = respond(request).split(/(?=\s)/);
+            const pieceDelay = nextLatency() / pieces.length;
+            let aborted = false;
+
+            return {
+                abort: () => {
+                    aborted = true;
+                },
+                async *[Symbol.asyncIterator]() {
+                    for (const piece of pieces) {
+                        if (aborted) return;
+                        await wait(pieceDelay);
+                        yield piece;
+                    }
+                }
+            };
+        },
+
+        async generateImage(request) {
+            await wait(nextLatency());
+            const rng = randomFor(request);
+            const color = () => [0, 0, 0].map(() => Math.floor(rng.next() * 256));
+            // Same shape as the requested size, at a quarter of the width
+            const [width, height] = request.size.split('x').map((side) => Math.round(Number(side) / 4));
+            const png = renderPlaceholderPng({ width, height, top: color(), bottom: color() });
+            return { image: png, format: 'png' };
+        },
+
+        async generateSpeech({ input }) {
+            await wait(nextLatency());
+            // Roughly match the length of the script, within reason
+            const seconds = Math.min(6, Math.max(1.5, input.length / 200));
+            const pitch = 55 + (input.length % 30);
+            return { audio: synthesizeWav({ seconds, pitch }), format: 'wav' };
+        },
+
+        async checkKey() {
+            // There is no key to check
+            await wait(nextLatency());
+        }
+    };
+}
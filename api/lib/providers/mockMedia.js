@@ -0,0 +1,128 @@
+// file: api/lib/providers/mockMedia.js
+import { deflateSync } from 'node:zlib';
+
+/**
+ * CRC-32 lookup table used by PNG chunks
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} - Length, type, data and CRC
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Render a placeholder poster: a vertical gradient between two colors with
+ * a letterbox band across the middle where a title would go
+ *
+ * @param {Object} options - Poster options
+ * @param {number} options.width - Width in pixels
+ * @param {number} options.height - Height in pixels
+ * @param {Array<number>} options.top - RGB color at the top
+ * @param {Array<number>} options.bottom - RGB color at the bottom
+ * @returns {Buffer} - PNG file bytes
+ */
+export function renderPlaceholderPng({ width, height, top, bottom }) {
+    const rowLength = width * 3 + 1;
+    const pixels = Buffer.alloc(rowLength * height);
+    const bandTop = Math.floor(height * 0.42);
+    const bandBottom = Math.floor(height * 0.58);
+
+    for (let y = 0; y < height; y++) {
+        const t = y / (height - 1);
+        const inBand = y >= bandTop && y < bandBottom;
+        const rgb = inBand
+            ? [17, 17, 17]
+            : top.map((channel, i) => Math.round(channel + (bottom[i] - channel) * t));
+
+        const rowStart = y * rowLength;
+        pixels[rowStart] = 0; // No filter
+        for (let x = 0; x < width; x++) {
+            rgb.forEach((channel, i) => {
+                pixels[rowStart + 1 + x * 3 + i] = channel;
+            });
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Truecolor RGB
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', deflateSync(pixels)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Synthesize a trailer-ish sound: a low drone with a "boom" on every beat
+ *
+ * @param {Object} options - Sound options
+ * @param {number} options.seconds - Duration in seconds
+ * @param {number} options.pitch - Drone frequency in Hz
+ * @returns {Buffer} - 16-bit mono PCM WAV file bytes
+ */
+export function synthesizeWav({ seconds, pitch }) {
+    const sampleRate = 22050;
+    const samples = Math.floor(sampleRate * seconds);
+    const buffer = Buffer.alloc(44 + samples * 2);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples * 2, 4);
+    buffer.write('WAVEfmt ', 8);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // Mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples * 2, 40);
+
+    for (let i = 0; i < samples; i++) {
+        const time = i / sampleRate;
+        const sinceBeat = time % 1.2;
+        const drone = 0.25 * Math.sin(2 * Math.PI * pitch * time);
+        const boom = 0.6 * Math.exp(-sinceBeat * 6) * Math.sin(2 * Math.PI * 45 * sinceBeat);
+        const fade = Math.min(1, time * 4, (seconds - time) * 4);
+        const value = Math.max(-1, Math.min(1, (drone + boom) * fade));
+        buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+    }
+
+    return buffer;
+}
@@ -0,0 +1,180 @@
+// file: api/lib/providers/openai.js
+import { OpenAI } from 'openai';
+
+/**
+ * Models used by the hosted OpenAI API
+ * @type {{chat: string, image: string, speech: string}}
+ */
+const OPENAI_MODELS = {
+    chat: 'gpt-3.5-turbo',
+    image: 'dall-e-3',
+    speech: 'tts-1-hd'
+};
+
+/**
+ * Error for a capability the configured provider does not offer
+ * @param {string} providerName - Name of the provider
+ * @param {string} capability - What was requested
+ * @returns {Error} - Error with a 501 status
+ */
+function unsupported(providerName, capability) {
+    const error = new Error(`${capability} is not supported by the ${providerName} provider`);
+    error.status = 501;
+    return error;
+}
+
+/**
+ * Create a provider backed by the OpenAI SDK. Works against the hosted API
+ * or, with a base URL, any server that speaks the OpenAI REST API.
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name used in logs and errors
+ * @param {string} config.apiKey - API key sent with every request
+ * @param {string} [config.baseURL] - Base URL of an OpenAI-compatible server
+ * @param {{chat: string, image?: string, speech?: string}} config.models - Models per capability; image and speech are optional
+ * @param {number} config.timeout - Request timeout in milliseconds
+ * @param {number} config.maxRetries - SDK-level retries
+ * @param {AbortSignal} [config.signal] - Cancels every in-flight request when aborted
+ * @returns {import('./index.js').LLMProvider} - Provider
+ */
+function createSdkProvider({ name, apiKey, baseURL, models, timeout, maxRetries, signal }) {
+    const client = new OpenAI({ apiKey, baseURL, timeout, maxRetries });
+    // Per-request options for every SDK call
+    const requestOptions = { signal };
+
+    const toChatParams = (request) => ({
+        model: models.chat,
+        messages: request.messages,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        ...(request.json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return {
+        name,
+        models,
+
+        async chat(request) {
+            const response = await client.chat.completions.create(toChatParams(request), requestOptions);
+            return response.choices[0].message.content.trim();
+        },
+
+        async streamChat(request) {
+            const stream = await client.chat.completions.create({ ...toChatParams(request), stream: true }, requestOptions);
+            return {
+                abort: () => stream.controller.abort(),
+                async *[Symbol.asyncIterator]() {
+                    for await (const chunk of stream) {
+                        const text = chunk.choices[0]?.delta?.content;
+                        if (text) yield text;
+                    }
+                }
+            };
+        },
+
+        async generateImage({ prompt, size, quality = 'standard', style = 'vivid' }) {
+            if (!models.image) {
+                throw unsupported(name, 'Image generation');
+            }
+
+            const imageResponse = await client.images.generate({
+                model: models.image,
+                prompt,
+                n: 1,
+                size,
+                quality,
+                style,
+                // Hosted URLs expire after an hour, so take the image itself
+                response_format: 'b64_json'
+            }, requestOptions);
+
+            // Check for a valid response
+            if (!imageResponse || !imageResponse.data || !imageResponse.data[0] || !imageResponse.data[0].b64_json) {
+                throw new Error('No valid image data returned from the image API');
+            }
+
+            return { image: Buffer.from(imageResponse.data[0].b64_json, 'base64'), format: 'png' };
+        },
+
+        async generateSpeech({ input, voice, speed }) {
+            if (!models.speech) {
+                throw unsupported(name, 'Speech synthesis');
+            }
+
+            const response = await client.audio.speech.create({
+                model: models.speech,
+                voice,
+                input,
+                response_format: 'mp3',
+                speed
+            }, requestOptions);
+
+            return { audio: Buffer.from(await response.arrayBuffer()), format: 'mp3' };
+        },
+
+        async checkKey() {
+            // Listing models is free and fails with a 401 for a bad key
+            await client.models.list(requestOptions);
+        }
+    };
+}
+
+/**
+ * Create a provider for the hosted OpenAI API
+ * @param {Object} env - Environment variables
+ * @param {{timeout: number, maxRetries: number, signal?: AbortSignal}} options - Request options
+ * @returns {import('./index.js').LLMProvider} - Provider
+ * @throws {Error} - Throws if OPENAI_API_KEY is not set
+ */
+export function createOpenAIProvider(env, { timeout, maxRetries, signal }) {
+    if (!env.OPENAI_API_KEY) {
+        throw new Error('API key not set');
+    }
+
+    return createSdkProvider({
+        name: 'openai',
+        apiKey: env.OPENAI_API_KEY,
+        models: {
+            chat: env.LLM_CHAT_MODEL || OPENAI_MODELS.chat,
+            image: env.LLM_IMAGE_MODEL || OPENAI_MODELS.image,
+            speech: env.LLM_SPEECH_MODEL || OPENAI_MODELS.speech
+        },
+        timeout,
+        maxRetries,
+        signal
+    });
+}
+
+/**
+ * Create a provider for a local OpenAI-compatible server such as llama.cpp
+ * or Ollama. Image and speech generation are only available when a model is
+ * configured for them, since most local servers only do chat.
+ *
+ * @param {Object} env - Environment variables
+ * @param {{timeout: number, maxRetries: number, signal?: AbortSignal}} options - Request options
+ * @returns {import('./index.js').LLMProvider} - Provider
+ * @throws {Error} - Throws if LLM_BASE_URL or LLM_CHAT_MODEL is not set
+ */
+export function createOpenAICompatibleProvider(env, { timeout, maxRetries, signal }) {
+    if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+    }
+    if (!env.LLM_CHAT_MODEL) {
+        throw new Error('LLM_CHAT_MODEL is required for the openai-compatible provider');
+    }
+
+    return createSdkProvider({
+        name: 'openai-compatible',
+        // Local servers usually ignore the key, but the SDK insists on one
+        apiKey: env.LLM_API_KEY || 'not-needed',
+        baseURL: env.LLM_BASE_URL,
+        models: {
+            chat: env.LLM_CHAT_MODEL,
+            image: env.LLM_IMAGE_MODEL,
+            speech: env.LLM_SPEECH_MODEL
+        },
+        timeout,
+        maxRetries,
+        signal
+    });
+}
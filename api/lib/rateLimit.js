@@ -0,0 +1,186 @@
+// file: api/lib/rateLimit.js
+
+/**
+ * @typedef {Object} RateLimitDecision
+ * @property {boolean} allowed - Whether the request may go ahead
+ * @property {number} remaining - Whole tokens left in the client's bucket
+ * @property {'client'|'budget'} [scope] - Which limit refused the request
+ * @property {number} [retryAfter] - Seconds until the request would be allowed
+ */
+
+/**
+ * @typedef {Object} RateLimitStatus
+ * @property {number} capacity - Tokens a client can spend in a burst
+ * @property {number} remaining - Whole tokens left in the client's bucket
+ * @property {number} refillPerMinute - Tokens the client gets back per minute
+ * @property {number} retryAfter - Seconds until the client can afford the cheapest request; 0 if it can now
+ * @property {'client'|'budget'} [scope] - Which limit is holding the client off, while retryAfter is above 0
+ * @property {{limit: number, spent: number, remaining: number, resetsIn: number}|null} budget - Today's shared budget, or null if there is no cap
+ */
+
+/**
+ * Clients tracked before buckets that have refilled completely are dropped
+ * @type {number}
+ */
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Milliseconds until the next UTC midnight, when the daily budget resets
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {number} - Milliseconds left in the day
+ */
+function msUntilNextDay(now) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return midnight.getTime() - now;
+}
+
+/**
+ * Create a rate limiter for the API proxy. Every client gets a token bucket
+ * that holds `capacity` tokens and refills at `refillPerMinute`; each request
+ * takes as many tokens as its action weighs, so expensive actions run out
+ * sooner. On top of that, all clients together may spend at most
+ * `dailyBudget` tokens per UTC day.
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.capacity - Tokens a client can spend in a burst
+ * @param {number} options.refillPerMinute - Tokens a client gets back per minute
+ * @param {number} [options.dailyBudget] - Tokens all clients may spend per day; 0 for no cap
+ * @param {Object<string, number>} [options.weights] - Tokens each action costs; unlisted actions cost 1
+ * @returns {{take: function(string, string, Object=): RateLimitDecision, check: function(string, string, Object=): RateLimitDecision, status: function(string, Object=): RateLimitStatus}} - Rate limiter
+ */
+export function createRateLimiter({ capacity, refillPerMinute, dailyBudget = 0, weights = {} }) {
+    const buckets = new Map();
+    const budget = { day: null, spent: 0 };
+    const refillPerMs = refillPerMinute / 60000;
+
+    // Unlisted actions cost 1, so nothing is cheaper than that unless weighed so
+    const cheapest = Math.min(1, ...Object.values(weights));
+
+    // Start a new day's budget once UTC midnight has passed
+    const budgetFor = (now) => {
+        const day = new Date(now).toISOString().slice(0, 10);
+        if (budget.day !== day) {
+            budget.day = day;
+            budget.spent = 0;
+        }
+        return budget;
+    };
+
+    const tokensFor = (clientId, now) => {
+        const bucket = buckets.get(clientId);
+        if (!bucket) {
+            return capacity;
+        }
+        return Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    };
+
+    // Forget clients whose buckets are full again; they start full anyway
+    const prune = (now) => {
+        for (const clientId of buckets.keys()) {
+            if (tokensFor(clientId, now) >= capacity) {
+                buckets.delete(clientId);
+            }
+        }
+    };
+
+    // Decide whether a request can be paid for, without spending anything
+    const decide = (clientId, action, useBudget, now) => {
+        // A weight above the capacity could never be paid for
+        const cost = Math.min(weights[action] ?? 1, capacity);
+        const tokens = tokensFor(clientId, now);
+
+        if (tokens < cost) {
+            return {
+                allowed: false,
+                remaining: Math.floor(tokens),
+                scope: 'client',
+                retryAfter: Math.ceil((cost - tokens) / refillPerMs / 1000)
+            };
+        }
+
+        if (useBudget && dailyBudget > 0 && budgetFor(now).spent + cost > dailyBudget) {
+            return {
+                allowed: false,
+                remaining: Math.floor(tokens),
+                scope: 'budget',
+                retryAfter: Math.ceil(msUntilNextDay(now) / 1000)
+            };
+        }
+
+        return { allowed: true, remaining: Math.floor(tokens - cost), cost, tokens };
+    };
+
+    return {
+        /**
+         * Take the tokens for one request, if the client and the daily budget can afford it
+         * @param {string} clientId - Who is asking (see clientIdFor in api/openai.js)
+         * @param {string} action - API action being requested
+         * @param {Object} [options] - Request options
+         * @param {boolean} [options.useBudget] - Whether the request is paid for from the daily budget; false for requests made with the user's own API key
+         * @returns {RateLimitDecision} - Whether the request may go ahead
+         */
+        take(clientId, action, { useBudget = true } = {}) {
+            const now = Date.now();
+            const { cost, tokens, ...decision } = decide(clientId, action, useBudget, now);
+            if (!decision.allowed) {
+                return decision;
+            }
+
+            if (useBudget) {
+                budgetFor(now).spent += cost;
+            }
+            buckets.set(clientId, { tokens: tokens - cost, updatedAt: now });
+            if (buckets.size > MAX_TRACKED_CLIENTS) {
+                prune(now);
+            }
+
+            return decision;
+        },
+
+        /**
+         * Say whether take would allow a request, without spending anything
+         * @param {string} clientId - Who is asking
+         * @param {string} action - API action being requested
+         * @param {Object} [options] - Request options, as for take
+         * @returns {RateLimitDecision} - Whether the request could go ahead
+         */
+        check(clientId, action, { useBudget = true } = {}) {
+            const { cost, tokens, ...decision } = decide(clientId, action, useBudget, Date.now());
+            return decision;
+        },
+
+        /**
+         * Report a client's bucket and the daily budget without spending anything
+         * @param {string} clientId - Who is asking
+         * @param {Object} [options] - Request options
+         * @param {boolean} [options.useBudget] - Whether the client's requests are paid for from the daily budget
+         * @returns {RateLimitStatus} - The client's standing
+         */
+        status(clientId, { useBudget = true } = {}) {
+            const now = Date.now();
+            const tokens = tokensFor(clientId, now);
+            const { spent } = budgetFor(now);
+            const budgetLeft = dailyBudget - spent;
+
+            const status = {
+                capacity,
+                remaining: Math.floor(tokens),
+                refillPerMinute,
+                retryAfter: 0,
+                budget: dailyBudget > 0
+                    ? { limit: dailyBudget, spent, remaining: Math.max(0, budgetLeft), resetsIn: Math.ceil(msUntilNextDay(now) / 1000) }
+                    : null
+            };
+
+            if (tokens < cheapest) {
+                status.retryAfter = Math.ceil((cheapest - tokens) / refillPerMs / 1000);
+                status.scope = 'client';
+            } else if (useBudget && status.budget && budgetLeft < cheapest) {
+                status.retryAfter = status.budget.resetsIn;
+                status.scope = 'budget';
+            }
+            return status;
+        }
+    };
+}
@@ -0,0 +1,85 @@
+// file: api/lib/requestLifecycle.js
+
+/**
+ * @typedef {Object} RequestLifecycle
+ * @property {AbortSignal} signal - Aborted when the request times out or the client goes away
+ * @property {function(number, Object): boolean} send - Send a JSON response; false if one was already sent
+ * @property {function(number, string): boolean} sendRaw - Send a raw JSON body; false if a response was already sent
+ * @property {function(): boolean} claim - Take over the response (e.g. to stream it); false if one was already sent
+ * @property {function(): boolean} hasResponded - Whether a response has been sent or claimed
+ */
+
+/**
+ * Track a single API request from arrival to response. The lifecycle owns the
+ * server timeout: when it fires, a 504 is sent and the signal is aborted so
+ * in-flight provider calls stop. Whatever finishes first gets to respond;
+ * every later attempt is ignored instead of writing a second response.
+ *
+ * @param {Object} response - HTTP response
+ * @param {Object} options - Lifecycle options
+ * @param {number} options.timeout - Milliseconds before the request times out
+ * @param {string} options.action - Action being handled, for logs
+ * @returns {RequestLifecycle} - Request lifecycle
+ */
+export function createRequestLifecycle(response, { timeout, action }) {
+    const controller = new AbortController();
+    let responded = false;
+
+    /**
+     * Mark the response as taken, if nobody has taken it yet
+     * @returns {boolean} - Whether the caller may respond
+     */
+    const claim = () => {
+        if (responded || response.headersSent || response.writableEnded || response.destroyed) {
+            responded = true;
+            return false;
+        }
+        responded = true;
+        clearTimeout(timeoutId);
+        return true;
+    };
+
+    const send = (status, body) => {
+        if (!claim()) return false;
+        response.status(status).json(body);
+        return true;
+    };
+
+    const sendRaw = (status, raw) => {
+        if (!claim()) return false;
+        response.statusCode = status;
+        response.setHeader('Content-Type', 'application/json');
+        response.end(raw);
+        return true;
+    };
+
+    const timeoutId = setTimeout(() => {
+        console.warn(`Request timed out after ${timeout}ms for ${action}`);
+        send(504, {
+            error: 'Request timed out',
+            message: 'The server timed out while waiting for the model to respond. Please try again with a simpler request.',
+            retry: true,
+            errorType: 'timeout'
+        });
+        const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+        timeoutError.status = 504;
+        controller.abort(timeoutError);
+    }, timeout);
+
+    // Stop working for a client that has gone away, including mid-stream
+    response.on('close', () => {
+        clearTimeout(timeoutId);
+        responded = true;
+        if (!response.writableEnded) {
+            controller.abort(new Error('Client closed the connection'));
+        }
+    });
+
+    return {
+        signal: controller.signal,
+        send,
+        sendRaw,
+        claim,
+        hasResponded: () => responded
+    };
+}
@@ -0,0 +1,248 @@
+// file: api/lib/responseCache.js
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} action - API action the value answers
+ * @property {any} value - Cached response body
+ * @property {number} createdAt - When the value was stored (ms since epoch)
+ * @property {number} expiresAt - When the value stops being served (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<CacheEntry|null>} get - Look up an entry
+ * @property {function(string, CacheEntry): Promise<void>} set - Store an entry
+ * @property {function(string): Promise<void>} delete - Remove an entry
+ */
+
+/**
+ * Default number of entries the in-memory store keeps
+ * @type {number}
+ */
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Default total size of the values the in-memory store keeps, in bytes of JSON
+ * @type {number}
+ */
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024; // 50 MB
+
+/**
+ * Default directory for the on-disk store, relative to the working directory
+ * @type {string}
+ */
+const DEFAULT_CACHE_DIR = '.cache/openai';
+
+/**
+ * Normalize an action's input so that requests which only differ in
+ * formatting share a cache key: object keys are sorted, strings are trimmed
+ * with runs of whitespace collapsed, and empty values are dropped.
+ *
+ * @param {any} value - Input to normalize
+ * @returns {any} - Normalized input, or undefined if it is empty
+ */
+export function normalizeInput(value) {
+    if (typeof value === 'string') {
+        const text = value.trim().replace(/\s+/g, ' ');
+        return text === '' ? undefined : text;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => normalizeInput(item) ?? null);
+    }
+    if (value && typeof value === 'object') {
+        const normalized = {};
+        for (const key of Object.keys(value).sort()) {
+            const item = normalizeInput(value[key]);
+            if (item !== undefined) {
+                normalized[key] = item;
+            }
+        }
+        return normalized;
+    }
+    return value ?? undefined;
+}
+
+/**
+ * Create a store that keeps entries in memory, evicting the least recently
+ * used ones once it holds `maxEntries` entries or `maxBytes` of values
+ *
+ * @param {Object} [options] - Store options
+ * @param {number} [options.maxEntries] - Entries to keep
+ * @param {number} [options.maxBytes] - Total JSON size of the values to keep
+ * @returns {CacheStore} - In-memory store
+ */
+export function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    // Map iteration order doubles as the recency order, oldest first
+    const entries = new Map();
+    let totalBytes = 0;
+
+    const remove = (key) => {
+        const stored = entries.get(key);
+        if (stored) {
+            totalBytes -= stored.bytes;
+            entries.delete(key);
+        }
+    };
+
+    return {
+        async get(key) {
+            const stored = entries.get(key);
+            if (!stored) {
+                return null;
+            }
+            entries.delete(key);
+            entries.set(key, stored);
+            return stored.entry;
+        },
+
+        async set(key, entry) {
+            remove(key);
+            const bytes = JSON.stringify(entry.value).length;
+            if (bytes > maxBytes) {
+                return;
+            }
+            entries.set(key, { entry, bytes });
+            totalBytes += bytes;
+
+            for (const oldest of entries.keys()) {
+                if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+                remove(oldest);
+            }
+        },
+
+        async delete(key) {
+            remove(key);
+        }
+    };
+}
+
+/**
+ * Create a store that keeps one JSON file per entry, so cached responses
+ * survive restarts. Expired files are only removed when they are read.
+ *
+ * @param {Object} [options] - Store options
+ * @param {string} [options.directory] - Directory for the cache files
+ * @returns {CacheStore} - On-disk store
+ */
+export function createFileStore({ directory = DEFAULT_CACHE_DIR } = {}) {
+    const fileFor = (key) => path.join(directory, `${key}.json`);
+
+    return {
+        async get(key) {
+            try {
+                return JSON.parse(await readFile(fileFor(key), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async set(key, entry) {
+            await mkdir(directory, { recursive: true });
+            await writeFile(fileFor(key), JSON.stringify(entry));
+        },
+
+        async delete(key) {
+            await rm(fileFor(key), { force: true });
+        }
+    };
+}
+
+/**
+ * Create the store selected by the CACHE_STORE environment variable:
+ * 'memory' (default), 'file' or 'off'
+ *
+ * @param {Object} env - Environment variables
+ * @returns {CacheStore|null} - Store, or null if caching is switched off
+ * @throws {Error} - Throws if CACHE_STORE is unknown
+ */
+export function createCacheStore(env) {
+    const kind = (env.CACHE_STORE || 'memory').trim().toLowerCase();
+
+    switch (kind) {
+        case 'memory':
+            return createMemoryStore({ maxEntries: Number(env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES });
+        case 'file':
+            return createFileStore({ directory: env.CACHE_DIR || DEFAULT_CACHE_DIR });
+        case 'off':
+            return null;
+        default:
+            throw new Error(`Unknown CACHE_STORE "${kind}" (expected one of: memory, file, off)`);
+    }
+}
+
+/**
+ * Create a cache for API responses. Entries are keyed on everything that
+ * decides what the model returns: the prompt version, provider, model,
+ * action and normalized input. Store failures are logged and treated as
+ * misses, so a broken cache never breaks a request.
+ *
+ * @param {Object} options - Cache options
+ * @param {CacheStore} options.store - Where entries are kept
+ * @param {Object<string, number>} options.ttls - Milliseconds each action's responses are kept; actions without a TTL are not cached
+ * @param {string|number} options.version - Prompt version; changing it retires every existing entry
+ * @returns {{keyFor: Function, get: Function, set: Function}} - Response cache
+ */
+export function createResponseCache({ store, ttls, version }) {
+    return {
+        /**
+         * Work out the cache key for a request
+         * @param {Object} request - What the response depends on
+         * @param {string} request.action - API action
+         * @param {string} request.provider - Provider name
+         * @param {string} [request.model] - Model that answers the action
+         * @param {Object} request.input - The action's input
+         * @returns {string|null} - Cache key, or null if the action is not cached
+         */
+        keyFor({ action, provider, model, input }) {
+            if (!ttls[action]) {
+                return null;
+            }
+            const material = JSON.stringify([version, provider, model || null, action, normalizeInput(input) ?? null]);
+            return createHash('sha256').update(material).digest('hex');
+        },
+
+        /**
+         * Look up a cached response
+         * @param {string} key - Cache key
+         * @returns {Promise<{value: any, age: number}|null>} - Cached response and its age in seconds, or null on a miss
+         */
+        async get(key) {
+            try {
+                const entry = await store.get(key);
+                if (!entry) {
+                    return null;
+                }
+                if (entry.expiresAt <= Date.now()) {
+                    await store.delete(key);
+                    return null;
+                }
+                return { value: entry.value, age: Math.floor((Date.now() - entry.createdAt) / 1000) };
+            } catch (error) {
+                console.warn('Response cache read failed:', error.message);
+                return null;
+            }
+        },
+
+        /**
+         * Store a response
+         * @param {string} key - Cache key
+         * @param {string} action - API action the response answers
+         * @param {any} value - Response body
+         * @returns {Promise<void>}
+         */
+        async set(key, action, value) {
+            const now = Date.now();
+            try {
+                await store.set(key, { action, value, createdAt: now, expiresAt: now + ttls[action] });
+            } catch (error) {
+                console.warn('Response cache write failed:', error.message);
+            }
+        }
+    };
+}
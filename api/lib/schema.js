@@ -0,0 +1,117 @@
+// file: api/lib/schema.js
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {string} type - Expected type: 'string', 'number', 'boolean' or 'object'
+ * @property {boolean} [required] - Whether the field must be present and non-empty
+ * @property {number} [minLength] - Minimum string length
+ * @property {number} [maxLength] - Maximum string length
+ * @property {Array<string>} [enum] - Allowed string values
+ * @property {boolean} [integer] - Whether a number must be a whole number
+ * @property {number} [min] - Smallest allowed number
+ * @property {number} [max] - Largest allowed number
+ * @property {Array<string>} [aliases] - Alternative keys accepted when repairing input
+ */
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} field - Name of the offending field
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * Validate a plain object against a schema of field rules
+ * @param {any} value - Value to validate
+ * @param {Object<string, FieldRule>} schema - Field rules keyed by field name
+ * @returns {{valid: boolean, errors: Array<FieldError>}} - Validation result
+ */
+export function validateObject(value, schema) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, errors: [{ field: '(root)', message: 'must be an object' }] };
+    }
+
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const fieldValue = value[field];
+        const isMissing = fieldValue === undefined || fieldValue === null ||
+            (typeof fieldValue === 'string' && fieldValue.trim() === '');
+
+        if (isMissing) {
+            if (rule.required) {
+                errors.push({ field, message: 'is required' });
+            }
+            continue;
+        }
+
+        const actualType = Array.isArray(fieldValue) ? 'array' : typeof fieldValue;
+        if (actualType !== rule.type) {
+            errors.push({ field, message: `must be a ${rule.type}, got ${actualType}` });
+            continue;
+        }
+
+        if (rule.type === 'string') {
+            if (rule.minLength && fieldValue.trim().length < rule.minLength) {
+                errors.push({ field, message: `must be at least ${rule.minLength} characters` });
+            }
+            if (rule.maxLength && fieldValue.length > rule.maxLength) {
+                errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+            }
+            if (rule.enum && !rule.enum.includes(fieldValue)) {
+                errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+            }
+        }
+
+        if (rule.type === 'number') {
+            if (!Number.isFinite(fieldValue) || (rule.integer && !Number.isInteger(fieldValue))) {
+                errors.push({ field, message: rule.integer ? 'must be a whole number' : 'must be a finite number' });
+            } else if ((rule.min !== undefined && fieldValue < rule.min) || (rule.max !== undefined && fieldValue > rule.max)) {
+                errors.push({ field, message: `must be between ${rule.min} and ${rule.max}` });
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Best-effort repair of a loosely shaped object: maps alias and differently
+ * cased keys onto schema fields, trims strings, turns numbers into strings
+ * for string fields and truncates overlong strings. Unknown keys are dropped.
+ *
+ * @param {any} value - Value to repair
+ * @param {Object<string, FieldRule>} schema - Field rules keyed by field name
+ * @returns {Object|null} - Repaired object, or null if the value is not an object
+ */
+export function repairObject(value, schema) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return null;
+    }
+
+    // Look keys up case-insensitively, ignoring spaces, dashes and underscores
+    const normalizeKey = (key) => key.toLowerCase().replace(/[\s_-]/g, '');
+    const lookup = new Map(Object.keys(value).map((key) => [normalizeKey(key), key]));
+
+    const repaired = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const candidates = [field, ...(rule.aliases || [])];
+        const sourceKey = candidates.map((key) => lookup.get(normalizeKey(key))).find(Boolean);
+        if (!sourceKey) continue;
+
+        let fieldValue = value[sourceKey];
+        if (rule.type === 'string') {
+            if (typeof fieldValue === 'number') {
+                fieldValue = String(fieldValue);
+            }
+            if (typeof fieldValue === 'string') {
+                fieldValue = fieldValue.trim().replace(/^["']|["']$/g, '');
+                if (rule.maxLength && fieldValue.length > rule.maxLength) {
+                    fieldValue = `${fieldValue.slice(0, rule.maxLength - 1).trimEnd()}…`;
+                }
+            }
+        }
+        repaired[field] = fieldValue;
+    }
+
+    return repaired;
+}
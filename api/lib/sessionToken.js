@@ -0,0 +1,63 @@
+// file: api/lib/sessionToken.js
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Secret used when SESSION_SECRET is not set. Tokens signed with it only
+ * verify on the instance that issued them.
+ * @type {string}
+ */
+const FALLBACK_SECRET = randomBytes(32).toString('hex');
+
+/**
+ * Sign a session id
+ * @param {string} id - Session id
+ * @param {string} secret - Signing secret
+ * @returns {string} - Signature, base64url encoded
+ */
+function sign(id, secret) {
+    return createHmac('sha256', secret).update(id).digest('base64url');
+}
+
+/**
+ * Create session tokens the server hands out and checks. A token is a random
+ * id and its signature, so clients cannot pick their own ids or make up new
+ * ones. They can still ask for as many tokens as they like; the rate limit
+ * has to account for that (see takeRateLimit in api/openai.js).
+ *
+ * @param {string} [secret] - Signing secret; a per-process secret if omitted
+ * @returns {{issue: function(): string, verify: function(any): string|null}} - Token issuer
+ */
+export function createSessionTokens(secret) {
+    const key = secret || FALLBACK_SECRET;
+
+    return {
+        /**
+         * Issue a new token
+         * @returns {string} - Signed token
+         */
+        issue() {
+            const id = randomUUID();
+            return `${id}.${sign(id, key)}`;
+        },
+
+        /**
+         * Check a token the client sent back
+         * @param {any} token - Token from the request
+         * @returns {string|null} - The session id, or null if the server did not issue the token
+         */
+        verify(token) {
+            if (typeof token !== 'string' || token.length > 200) {
+                return null;
+            }
+
+            const [id, signature, extra] = token.split('.');
+            if (!id || !signature || extra !== undefined) {
+                return null;
+            }
+
+            const expected = Buffer.from(sign(id, key));
+            const actual = Buffer.from(signature);
+            return actual.length === expected.length && timingSafeEqual(actual, expected) ? id : null;
+        }
+    };
+}
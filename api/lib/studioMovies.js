@@ -0,0 +1,101 @@
+// file: api/lib/studioMovies.js
+import { validateObject, repairObject } from './schema.js';
+
+/**
+ * Schema every movie returned by generateMultipleMovies must satisfy
+ * @type {Object<string, import('./schema.js').FieldRule>}
+ */
+export const STUDIO_MOVIE_SCHEMA = {
+    title: { type: 'string', required: true, minLength: 2, maxLength: 80, aliases: ['name', 'movieTitle'] },
+    plot: { type: 'string', required: true, minLength: 20, maxLength: 800, aliases: ['summary', 'plotSummary', 'synopsis', 'description'] },
+    character: { type: 'string', required: true, minLength: 3, maxLength: 120, aliases: ['formerProfession', 'profession', 'role'] },
+    setting: { type: 'string', required: true, minLength: 3, maxLength: 160, aliases: ['location'] },
+    villain: { type: 'string', required: true, minLength: 3, maxLength: 160, aliases: ['mainVillain', 'antagonist'] },
+    actionScene: { type: 'string', required: true, minLength: 10, maxLength: 400, aliases: ['keyActionScene', 'actionSequence', 'keyScene'] }
+};
+
+/**
+ * Parse the raw model output into JSON, extracting the first JSON value
+ * from surrounding prose if the whole response is not valid JSON
+ * @param {string} content - Raw model output
+ * @returns {any} - Parsed JSON
+ * @throws {SyntaxError} - Throws if no JSON can be found
+ */
+export function parseModelJson(content) {
+    try {
+        return JSON.parse(content);
+    } catch (parseError) {
+        const jsonMatch = content.match(/(\[[\s\S]*\])|(\{[\s\S]*\})/);
+        if (!jsonMatch) {
+            throw parseError;
+        }
+        return JSON.parse(jsonMatch[0]);
+    }
+}
+
+/**
+ * Find the list of candidate movie objects in a parsed response.
+ * Accepts a bare array, `{ movies: [...] }`, a single movie object, or an
+ * object whose values are movies.
+ *
+ * @param {any} json - Parsed model output
+ * @returns {Array<any>} - Candidate items (not yet validated)
+ */
+export function extractMovieCandidates(json) {
+    if (Array.isArray(json)) {
+        return json;
+    }
+    if (!json || typeof json !== 'object') {
+        return [];
+    }
+
+    const arrayValue = Object.values(json).find(Array.isArray);
+    if (arrayValue) {
+        return arrayValue;
+    }
+
+    if (json.title || json.Title) {
+        return [json];
+    }
+
+    return Object.values(json).filter((value) => value && typeof value === 'object');
+}
+
+/**
+ * @typedef {Object} ItemReport
+ * @property {number} index - Position of the item in the model output
+ * @property {Array<import('./schema.js').FieldError>} errors - Problems that caused the item to be dropped
+ */
+
+/**
+ * Validate (and if needed repair) every candidate movie
+ * @param {Array<any>} candidates - Items extracted from the model output
+ * @returns {{movies: Array<Object>, dropped: Array<ItemReport>, repaired: number}} - Valid movies and reports for dropped items
+ */
+export function validateStudioMovies(candidates) {
+    const movies = [];
+    const dropped = [];
+    let repaired = 0;
+
+    candidates.forEach((candidate, index) => {
+        const strict = validateObject(candidate, STUDIO_MOVIE_SCHEMA);
+        const hasExtraKeys = strict.valid &&
+            Object.keys(candidate).some((key) => !(key in STUDIO_MOVIE_SCHEMA));
+
+        if (strict.valid && !hasExtraKeys) {
+            movies.push(candidate);
+            return;
+        }
+
+        const fixed = repairObject(candidate, STUDIO_MOVIE_SCHEMA);
+        const result = validateObject(fixed, STUDIO_MOVIE_SCHEMA);
+        if (result.valid) {
+            repaired++;
+            movies.push(fixed);
+        } else {
+            dropped.push({ index, errors: result.errors });
+        }
+    });
+
+    return { movies, dropped, repaired };
+}
@@ -1,6 +1,23 @@
 // file: api/openai.js
-import { OpenAI } from 'openai';
 import dotenv from 'dotenv';
+import { createProvider } from './lib/providers/index.js';
+import { extractMovieCandidates, parseModelJson, validateStudioMovies } from './lib/studioMovies.js';
+import { compileArtDirection, parsePosterConcept } from './lib/posterConcept.js';
+import { createRequestLifecycle } from './lib/requestLifecycle.js';
+import { createJobQueue } from './lib/jobs.js';
+import { createCacheStore, createResponseCache } from './lib/responseCache.js';
+import { createRateLimiter } from './lib/rateLimit.js';
+import { createSessionTokens } from './lib/sessionToken.js';
+import {
+    findOversizedInput,
+    formatUserData,
+    MAX_TRAILER_TEXT_LENGTH,
+    USER_DATA_INSTRUCTION,
+    validateActionRequest
+} from './lib/requestValidation.js';
+import { getQueryParam, isServerless } from './lib/http.js';
+import { assetUrl, getAssetStore } from './lib/assetStore.js';
+import { fillTemplate, getPosterStyle } from '../src/data/posterStyles.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -36,195 +53,946 @@ const IMAGE_API_TIMEOUT = 180000; // 3 minutes
 const SERVER_TIMEOUT = 25000; // 25 seconds
 
 /**
- * Longer timeout for image generation requests
+ * Maximum time a background job may run before it is aborted
  * @type {number}
  */
-const IMAGE_SERVER_TIMEOUT = 60000; // 60 seconds
+const JOB_TIMEOUT = 300000; // 5 minutes
+
+/**
+ * Maximum request processing time for a job action run within its request,
+ * when jobs cannot run in the background
+ * @type {number}
+ */
+const INLINE_JOB_TIMEOUT = 60000; // 60 seconds
+
+/**
+ * Number of background jobs that may run at the same time
+ * @type {number}
+ */
+const JOB_CONCURRENCY = 2;
+
+/**
+ * Expected time for the image model to draw a poster, for progress estimates
+ * @type {number}
+ */
+const EXPECTED_IMAGE_MS = 30000; // 30 seconds
+
+/**
+ * Image size requested for each poster format
+ * @type {Object<string, string>}
+ */
+const POSTER_SIZES = {
+    portrait: '1024x1792', // One-sheet
+    landscape: '1792x1024', // Banner
+    square: '1024x1024' // Social
+};
+
+/**
+ * What a poster style's image prompt template says in place of each movie
+ * detail; the details follow the template, fenced by formatUserData
+ * @type {{title: string, setting: string, villain: string}}
+ */
+const POSTER_DETAIL_REFERENCES = {
+    title: 'the movie described below',
+    setting: 'the setting given below',
+    villain: 'the villain given below'
+};
+
+/**
+ * How each poster format is composed, so the art leaves room where the
+ * app letters the title and credits
+ * @type {Object<string, string>}
+ */
+const POSTER_FRAMING = {
+    portrait: 'Compose it as a tall theatrical one-sheet.',
+    landscape: 'Compose it as a wide banner with Statham on the right and the left side uncluttered.',
+    square: 'Compose it as a square social media poster.'
+};
+
+/**
+ * Poster options used when a request leaves them out
+ * @type {{format: string, quality: string, imageStyle: string}}
+ */
+const POSTER_DEFAULTS = {
+    format: 'portrait',
+    quality: 'standard',
+    imageStyle: 'vivid'
+};
+
+/**
+ * Expected time for speech synthesis of a trailer, for progress estimates
+ * @type {number}
+ */
+const EXPECTED_SPEECH_MS = 15000; // 15 seconds
+
+/**
+ * Number of requests made to fill a studio batch with valid movies
+ * @type {number}
+ */
+const MAX_BATCH_ATTEMPTS = 2;
+
+/**
+ * Actions that can stream their output as server-sent events
+ * @type {Array<string>}
+ */
+const STREAMING_ACTIONS = ['generateMoviePlot', 'generateMovieTrailer'];
+
+/**
+ * Actions too slow to answer within one request. They are queued as jobs:
+ * the POST returns a job id and the client polls `GET ?jobId=` for progress
+ * and the result. Where jobs cannot run in the background (see
+ * runsJobsInBackground), they are answered within the request instead.
+ * @type {Array<string>}
+ */
+const JOB_ACTIONS = ['generateMoviePoster', 'generateTrailerAudio'];
+
+/**
+ * Version of the prompts below. Bump it whenever a prompt or the shape of a
+ * response changes, so responses cached for the old one are no longer served.
+ * @type {number}
+ */
+const PROMPT_VERSION = 6;
+
+/**
+ * How long each action's responses are cached in milliseconds. Studio
+ * batches are not listed because they are meant to differ on every request.
+ * @type {Object<string, number>}
+ */
+const CACHE_TTLS = {
+    generateTitle: 24 * 60 * 60 * 1000, // 1 day
+    generateMoviePlot: 24 * 60 * 60 * 1000,
+    generateMovieTrailer: 24 * 60 * 60 * 1000,
+    generatePosterDescription: 24 * 60 * 60 * 1000,
+    generateMoviePoster: 24 * 60 * 60 * 1000, // Posters are served from the asset store
+    generateTrailerAudio: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Plot element fields each action's prompt reads. Cache keys are built from
+ * these alone, so elements that differ only in fields the prompt ignores
+ * (another seed, say) share a cached response. Keep them in step with the
+ * prompt builders below.
+ * @type {Object<string, Array<string>>}
+ */
+const PROMPT_FIELDS = {
+    generateTitle: ['formerProfession', 'setting', 'villain', 'plotTrigger'],
+    generateMoviePlot: [
+        'title', 'setting', 'formerProfession', 'currentJob', 'plotTrigger', 'villain', 'villainGroup', 'sidekick',
+        'plotTwist', 'vehicle', 'weapon', 'actionScene', 'villainHideout', 'bossFight', 'bossKill', 'hasCameo', 'cameo'
+    ],
+    generateMovieTrailer: [
+        'title', 'plot', 'summary', 'setting', 'formerProfession', 'currentJob', 'plotTrigger', 'villain',
+        'villainGroup', 'actionScene', 'plotTwist', 'bossFight', 'hasCameo', 'cameo'
+    ],
+    generatePosterDescription: ['title', 'plot', 'summary', 'formerProfession', 'setting', 'villain', 'hasCameo', 'cameo'],
+    generateMoviePoster: ['title', 'formerProfession', 'setting', 'villain']
+};
+
+/**
+ * Response caches by cache configuration, so settings are read per request
+ * like the provider's but the cached entries are shared between requests
+ * @type {Map<string, Object|null>}
+ */
+const responseCaches = new Map();
+
+/**
+ * Rate limit tokens each action costs, roughly in line with what the model
+ * calls behind it cost. Cached responses are free.
+ * @type {Object<string, number>}
+ */
+const ACTION_COSTS = {
+    checkApiKey: 1,
+    generateTitle: 1,
+    generatePosterDescription: 1,
+    generateMoviePlot: 2,
+    generateMovieTrailer: 2,
+    generateMultipleMovies: 3,
+    generateTrailerAudio: 5,
+    generateMoviePoster: 10
+};
+
+/**
+ * Default rate limit settings, overridden by RATE_LIMIT_CAPACITY,
+ * RATE_LIMIT_REFILL_PER_MINUTE, DAILY_BUDGET and RATE_LIMIT_SESSIONS_PER_ADDRESS
+ * @type {{capacity: number, refillPerMinute: number, dailyBudget: number, sessionsPerAddress: number}}
+ */
+const RATE_LIMIT_DEFAULTS = {
+    capacity: 20,
+    refillPerMinute: 10,
+    dailyBudget: 2000,
+    sessionsPerAddress: 5
+};
+
+/**
+ * What a user-supplied API key may look like. Keys are opaque to us; this
+ * only keeps whitespace, control characters and absurd lengths out of the
+ * header we pass on.
+ * @type {RegExp}
+ */
+const API_KEY_PATTERN = /^[\x21-\x7e]{8,256}$/;
+
+/**
+ * Rate limiters by rate limit configuration; like the response caches, the
+ * settings are read per request but the buckets are shared
+ * @type {Map<string, Object|null>}
+ */
+const rateLimiters = new Map();
+
+/**
+ * Session token issuers by signing secret
+ * @type {Map<string, Object>}
+ */
+const sessionTokenIssuers = new Map();
+
+/**
+ * Background jobs for JOB_ACTIONS. Jobs live in this instance's memory, so
+ * they need a server that keeps running after the POST has been answered.
+ */
+const jobQueue = createJobQueue({
+    concurrency: JOB_CONCURRENCY,
+    timeout: JOB_TIMEOUT,
+    describeError: (error) => describeError(error).body
+});
 
 /**
  * API handler for OpenAI requests
- * This endpoint acts as a proxy between the frontend and OpenAI API
+ * This endpoint acts as a proxy between the frontend and the configured LLM
+ * provider (see api/lib/providers; OpenAI by default)
  * @param {Request} request - The incoming HTTP request
- * @returns {Response} - The response from OpenAI or an error
+ * @returns {Response} - The response from the provider or an error
  */
 export default async function handler(request, response) {
+    // Users may bring their own OpenAI key; requests made with it go to the
+    // hosted OpenAI API and are not paid for from the daily budget
+    const apiKey = userApiKeyFor(request);
+    if (apiKey !== null && !API_KEY_PATTERN.test(apiKey)) {
+        return response.status(400).json({
+            error: 'Invalid API key',
+            message: 'The X-OpenAI-Key header does not look like an API key',
+            retry: false,
+            errorType: 'invalid_api_key'
+        });
+    }
+
+    issueSessionToken(request, response, process.env);
+
+    // Job status and capability checks are the only GET requests
+    const jobId = getQueryParam(request, 'jobId');
+    if (request.method === 'GET' && jobId) {
+        return sendJobStatus(response, jobId);
+    }
+    if (request.method === 'GET' && getQueryParam(request, 'capabilities') !== null) {
+        return sendCapabilities(request, response, apiKey);
+    }
+
     // Only allow POST requests
     if (request.method !== 'POST') {
         return response.status(405).json({ error: 'Method not allowed' });
     }
 
-    // Verify that OPENAI_API_KEY is set
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-        console.error('OPENAI_API_KEY is not set');
-        return response.status(500).json({ error: 'Server configuration error: API key not set' });
+    // Parse the request body
+    const body = request.body || {};
+    const action = body.action;
+
+    if (!action) {
+        return response.status(400).json({ error: 'Action parameter is required' });
+    }
+
+    const oversized = findOversizedInput(body);
+    if (oversized) {
+        return response.status(413).json({
+            error: 'Request too large',
+            message: oversized,
+            retry: false,
+            errorType: 'request_too_large'
+        });
     }
 
+    // Everything the action puts into a prompt is checked and sanitized;
+    // from here on only the cleaned input is used
+    const validation = validateActionRequest(action, body);
+    if (!validation.valid) {
+        return response.status(400).json({
+            error: 'Invalid request',
+            message: validation.errors.map(({ field, message }) => `${field} ${message}`).join('; '),
+            retry: false,
+            errorType: 'invalid_request',
+            errors: validation.errors
+        });
+    }
+    const reqBody = { ...body, ...validation.input };
+
+    // Request bodies carry user text, so only their size is logged
+    console.log(`Processing ${action} request (${JSON.stringify(body).length} bytes)`);
+
+    let runsInline;
     try {
-        // Parse the request body
-        const reqBody = request.body;
-        const action = reqBody.action;
+        runsInline = JOB_ACTIONS.includes(action) && !runsJobsInBackground(process.env);
+    } catch (configError) {
+        return response.status(500).json({ error: `Server configuration error: ${configError.message}` });
+    }
 
-        if (!action) {
-            return response.status(400).json({ error: 'Action parameter is required' });
+    // The lifecycle sends a 504 and cancels provider calls if the request
+    // hangs, and makes sure only one response is ever sent
+    const lifecycle = createRequestLifecycle(response, { timeout: runsInline ? INLINE_JOB_TIMEOUT : SERVER_TIMEOUT, action });
+    const { signal, send } = lifecycle;
+
+    try {
+        // Initialize the configured provider with appropriate timeout
+        let provider;
+        let cache;
+        let rateLimiter;
+        let assetStore;
+        try {
+            provider = createProvider(process.env, {
+                maxRetries: MAX_RETRIES,
+                timeout: API_TIMEOUT,
+                signal,
+                apiKey
+            });
+            cache = getResponseCache(process.env);
+            rateLimiter = getRateLimiter(process.env);
+            assetStore = getAssetStore(process.env);
+        } catch (configError) {
+            console.error('Provider configuration error:', configError.message);
+            return send(500, { error: `Server configuration error: ${configError.message}` });
         }
 
-        console.log(`Processing ${action} request:`, JSON.stringify(reqBody));
+        // Identical requests are answered from the cache instead of paying
+        // for the same generation again, unless the client asks to regenerate
+        const cacheKey = cache && cacheKeyFor(cache, action, reqBody, provider);
+        if (cacheKey) {
+            const cached = reqBody.regenerate ? null : await cache.get(cacheKey);
+            // A cached poster is only good while its image is still stored
+            if (cached && (!cached.value.asset || await assetStore.has(cached.value.asset.id))) {
+                response.setHeader('X-Cache', 'HIT');
+                response.setHeader('Age', String(cached.age));
+                return send(200, cached.value);
+            }
+            response.setHeader('X-Cache', reqBody.regenerate ? 'BYPASS' : 'MISS');
+        }
 
-        // Check if this is an image generation request to set appropriate timeouts
-        const isImageRequest = action === 'generateMoviePoster';
+        /**
+         * Cache a successful response body for the next identical request
+         * @param {Object} body - Response body
+         * @returns {Promise<Object>} - The same body
+         */
+        const remember = async (body) => {
+            if (cacheKey) {
+                await cache.set(cacheKey, action, body);
+            }
+            return body;
+        };
 
-        // Set up a timeout that will prevent the handler from hanging
-        // Use longer timeout for image generation
-        const timeoutDuration = isImageRequest ? IMAGE_SERVER_TIMEOUT : SERVER_TIMEOUT;
-        const timeoutId = setTimeout(() => {
-            console.warn(`Request timed out after ${timeoutDuration}ms for ${action}`);
-            return response.status(504).json({
-                error: 'Request timed out',
-                message: 'The server timed out while waiting for OpenAI to respond. Please try again with a simpler request.',
-                retry: true,
-                errorType: 'timeout'
-            });
-        }, timeoutDuration);
+        // Anything past the cache costs money, so it counts against the
+        // client's rate limit and, unless the user pays, the daily budget
+        if (rateLimiter) {
+            const decision = takeRateLimit(rateLimiter, request, action, !apiKey);
+            response.setHeader('X-RateLimit-Remaining', String(decision.remaining));
+            if (!decision.allowed) {
+                return sendRateLimited(response, send, decision);
+            }
+        }
 
-        // Initialize OpenAI client with appropriate timeout
-        const openai = new OpenAI({
-            apiKey: apiKey,
-            maxRetries: MAX_RETRIES,
-            timeout: isImageRequest ? IMAGE_API_TIMEOUT : API_TIMEOUT, // Use longer timeout for image generation
-        });
+        // The mock provider can inject failures to exercise the client's retry logic
+        const simulated = provider.simulateFailure && await provider.simulateFailure(action);
+        if (simulated) {
+            if (simulated.raw !== undefined) {
+                return lifecycle.sendRaw(simulated.status, simulated.raw);
+            }
+            return send(simulated.status, simulated.body);
+        }
+
+        // Streamed plots and trailers are written as they arrive, so the
+        // server timeout only applies until the stream has opened
+        if (reqBody.stream && STREAMING_ACTIONS.includes(action)) {
+            await streamCompletion(provider, lifecycle, response, action, reqBody.plotElements, remember);
+            return;
+        }
+
+        // Without a long-running server, slow actions are answered like any
+        // other request, with nobody polling for their progress
+        if (runsInline) {
+            const result = await runJob(action, reqBody, { signal, report: () => {}, track: (promise) => promise }, apiKey);
+            return send(200, await remember(result));
+        }
+
+        // Slow actions run in the background; the job gets its own provider
+        // so it outlives this request
+        if (JOB_ACTIONS.includes(action)) {
+            const job = jobQueue.enqueue(action, (context) => runJob(action, reqBody, context, apiKey).then(remember));
+            return send(202, job);
+        }
 
         // Handle different actions
         let result;
         switch (action) {
             case 'generateTitle':
-                result = await executeWithRetry(() => generateTitle(openai, reqBody.plotElements));
-                clearTimeout(timeoutId);
-                return response.status(200).json({ title: result });
+                result = await executeWithRetry(() => generateTitle(provider, reqBody.plotElements), { signal });
+                return send(200, await remember({ title: result }));
 
             case 'generateMoviePlot':
-                result = await executeWithRetry(() => generateMoviePlot(openai, reqBody.plotElements));
-                clearTimeout(timeoutId);
-                return response.status(200).json({
+                result = await executeWithRetry(() => generateMoviePlot(provider, reqBody.plotElements), { signal });
+                return send(200, await remember({
                     title: result.title || reqBody.plotElements.title || '',
                     plot: result.plot || ''
-                });
+                }));
 
             case 'generatePosterDescription':
-                result = await executeWithRetry(() => generatePosterDescription(openai, { plot: reqBody.plot, style: reqBody.style }));
-                clearTimeout(timeoutId);
-                return response.status(200).json({ description: result });
-
-            case 'generateMoviePoster':
-                // Using the special executeWithRetryForImages function with longer timeouts
-                result = await executeWithRetry(() => generateMoviePoster(openai, { plot: reqBody.plot, style: reqBody.style }), true);
-                clearTimeout(timeoutId);
-                return response.status(200).json({ imageUrl: result });
+                result = await executeWithRetry(() => generatePosterDescription(provider, { plot: reqBody.plot, style: reqBody.style }), { signal });
+                return send(200, await remember(result));
 
             case 'generateMovieTrailer':
-                result = await executeWithRetry(() => generateMovieTrailer(openai, reqBody.plotElements));
-                clearTimeout(timeoutId);
-                return response.status(200).json({ trailer: result });
-
-            case 'generateTrailerAudio':
-                result = await executeWithRetry(() => generateTrailerAudio(openai, { trailerText: reqBody.trailerText }));
-                clearTimeout(timeoutId);
-                // For audio, we need to handle differently since it's binary data
-                if (typeof result === 'string') {
-                    return response.status(200).json({ audio: result });
-                } else {
-                    return result;
-                }
+                result = await executeWithRetry(() => generateMovieTrailer(provider, reqBody.plotElements), { signal });
+                return send(200, await remember({ trailer: result }));
 
             case 'generateMultipleMovies':
-                result = await executeWithRetry(() => generateMultipleMovies(openai, { count: reqBody.count || 3 }));
-                clearTimeout(timeoutId);
-                return response.status(200).json({ movies: result });
+                result = await executeWithRetry(() => generateMultipleMovies(provider, { count: reqBody.count || 3 }), { signal });
+                return send(200, result);
+
+            case 'checkApiKey':
+                // A bad key fails with a 401, described as invalid_api_key
+                await provider.checkKey();
+                return send(200, { valid: true, provider: provider.name });
 
             default:
-                clearTimeout(timeoutId);
-                return response.status(400).json({ error: `Invalid action: ${action}` });
+                return send(400, { error: `Invalid action: ${action}` });
         }
     } catch (error) {
-        // Make sure to clear any hanging timeouts
-        if (timeoutId) {
-            clearTimeout(timeoutId);
+        if (lifecycle.hasResponded()) {
+            // The request already timed out or the client went away, and
+            // this error is most likely the resulting cancellation
+            console.warn(`Discarding ${action} error after the response was sent:`, error.message);
+            return;
         }
 
         console.error('Error processing OpenAI request:', error);
 
-        // Get HTTP status code from the error if available
-        const statusCode = error.status ||
-            (error.response && error.response.status) ||
-            500;
-
-        // Determine the type of error
-        const isRateLimit = statusCode === 429 || (error.message && error.message.includes('rate limit'));
-        const isTimeout = statusCode === 504 ||
-            (error.message && (
-                error.message.includes('timeout') ||
-                error.message.includes('timed out')
-            ));
-
-        // Enhanced error reporting
-        const errorResponse = {
-            error: isRateLimit ? 'Rate limit exceeded' :
+        // Keep stack trace for development, but not in production
+        if (process.env.NODE_ENV === 'development') {
+            console.error('Detailed error:', error);
+        }
+
+        const { statusCode, body } = describeError(error);
+        return send(statusCode, body);
+    }
+}
+
+/**
+ * Turn an error from a provider or action into an HTTP status and the JSON
+ * error body the client understands
+ * @param {Error} error - Error to describe
+ * @returns {{statusCode: number, body: Object}} - Status code and response body
+ */
+function describeError(error) {
+    // Get HTTP status code from the error if available
+    const statusCode = error.status ||
+        (error.response && error.response.status) ||
+        500;
+
+    // Determine the type of error
+    const isBadKey = statusCode === 401;
+    const isRateLimit = statusCode === 429 || (error.message && error.message.includes('rate limit'));
+    const isTimeout = statusCode === 504 ||
+        (error.message && (
+            error.message.includes('timeout') ||
+            error.message.includes('timed out')
+        ));
+
+    // Enhanced error reporting
+    const errorResponse = {
+        error: isBadKey ? 'Invalid API key' :
+            isRateLimit ? 'Rate limit exceeded' :
                 isTimeout ? 'Request timed out' :
                     'Error processing request',
-            message: error.message || 'Unknown error occurred',
-            retry: isRateLimit || statusCode >= 500 || isTimeout,
-            errorType: isTimeout ? 'timeout' :
+        message: error.message || 'Unknown error occurred',
+        retry: isRateLimit || statusCode >= 500 || isTimeout,
+        errorType: isBadKey ? 'invalid_api_key' :
+            isTimeout ? 'timeout' :
                 isRateLimit ? 'rate_limit' :
                     'api_error',
-            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    };
+
+    if (error.response) {
+        errorResponse.openaiError = {
+            status: error.response.status,
+            statusText: error.response.statusText,
+            data: error.response.data
         };
+    }
+
+    return { statusCode, body: errorResponse };
+}
+
+/**
+ * Get the response cache for the CACHE_STORE settings
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Response cache, or null if caching is switched off
+ * @throws {Error} - Throws if CACHE_STORE is unknown
+ */
+function getResponseCache(env) {
+    const config = [env.CACHE_STORE, env.CACHE_DIR, env.CACHE_MAX_ENTRIES].join('|');
+    if (!responseCaches.has(config)) {
+        const store = createCacheStore(env);
+        responseCaches.set(config, store && createResponseCache({ store, ttls: CACHE_TTLS, version: PROMPT_VERSION }));
+    }
+    return responseCaches.get(config);
+}
+
+/**
+ * Get the rate limiter for the rate limit settings. In session mode the
+ * sessions of one address also share an address bucket, `sessionsPerAddress`
+ * times the size of a session's, which has no daily budget of its own.
+ * @param {Object} env - Environment variables
+ * @param {Object} [options] - Limiter options
+ * @param {boolean} [options.perAddress] - Get the address limiter instead of the client limiter
+ * @returns {Object|null} - Rate limiter, or null if RATE_LIMIT_CAPACITY is 0
+ */
+function getRateLimiter(env, { perAddress = false } = {}) {
+    const setting = (name, fallback) => (env[name] !== undefined && env[name] !== '' ? Number(env[name]) : fallback);
+    const capacity = setting('RATE_LIMIT_CAPACITY', RATE_LIMIT_DEFAULTS.capacity);
+    const refillPerMinute = setting('RATE_LIMIT_REFILL_PER_MINUTE', RATE_LIMIT_DEFAULTS.refillPerMinute);
+    const scale = perAddress ? setting('RATE_LIMIT_SESSIONS_PER_ADDRESS', RATE_LIMIT_DEFAULTS.sessionsPerAddress) : 1;
+    const options = {
+        capacity: capacity * scale,
+        refillPerMinute: refillPerMinute * scale,
+        dailyBudget: perAddress ? 0 : setting('DAILY_BUDGET', RATE_LIMIT_DEFAULTS.dailyBudget)
+    };
+    const config = JSON.stringify({ perAddress, ...options });
+
+    if (!rateLimiters.has(config)) {
+        rateLimiters.set(config, options.capacity > 0
+            ? createRateLimiter({ ...options, weights: ACTION_COSTS })
+            : null);
+    }
+    return rateLimiters.get(config);
+}
+
+/**
+ * Take the tokens for a request from the client's bucket. A session's
+ * request must also fit in its address's bucket, so a client that keeps
+ * collecting new sessions gets no more than the address allows.
+ * @param {Object} rateLimiter - Client rate limiter (see getRateLimiter)
+ * @param {Object} request - HTTP request
+ * @param {string} action - API action being requested
+ * @param {boolean} useBudget - Whether the request is paid for from the daily budget
+ * @returns {import('./lib/rateLimit.js').RateLimitDecision} - Whether the request may go ahead
+ */
+function takeRateLimit(rateLimiter, request, action, useBudget) {
+    const clientId = clientIdFor(request, process.env);
+    const addressLimiter = clientId.startsWith('session:') && getRateLimiter(process.env, { perAddress: true });
+    if (!addressLimiter) {
+        return rateLimiter.take(clientId, action, { useBudget });
+    }
+
+    const addressId = addressIdFor(request);
+    const address = addressLimiter.check(addressId, action, { useBudget: false });
+    if (!address.allowed) {
+        return address;
+    }
+
+    const decision = rateLimiter.take(clientId, action, { useBudget });
+    if (decision.allowed) {
+        addressLimiter.take(addressId, action, { useBudget: false });
+    }
+    return decision;
+}
+
+/**
+ * Get the session token issuer for the configured SESSION_SECRET
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Session token issuer
+ */
+function getSessionTokens(env) {
+    const secret = env.SESSION_SECRET || '';
+    if (!sessionTokenIssuers.has(secret)) {
+        sessionTokenIssuers.set(secret, createSessionTokens(secret));
+    }
+    return sessionTokenIssuers.get(secret);
+}
 
-        if (error.response) {
-            errorResponse.openaiError = {
-                status: error.response.status,
-                statusText: error.response.statusText,
-                data: error.response.data
-            };
+/**
+ * When RATE_LIMIT_BY is 'session', hand a client without a valid session
+ * token a new one in the X-Session-Id response header. Until it sends the
+ * token back, its requests count against its IP address. Sessions are free
+ * to get, which is why their requests also count against their address
+ * (see takeRateLimit).
+ * @param {Object} request - HTTP request
+ * @param {Object} response - HTTP response
+ * @param {Object} env - Environment variables
+ */
+function issueSessionToken(request, response, env) {
+    if (env.RATE_LIMIT_BY !== 'session') {
+        return;
+    }
+
+    const tokens = getSessionTokens(env);
+    if (!tokens.verify((request.headers || {})['x-session-id'])) {
+        response.setHeader('X-Session-Id', tokens.issue());
+    }
+}
+
+/**
+ * Identify the address a request came from. X-Forwarded-For is not used,
+ * since clients can put anything in it.
+ * @param {Object} request - HTTP request
+ * @returns {string} - Address id
+ */
+function addressIdFor(request) {
+    // Vercel sets X-Real-IP to the address it received the request from
+    const ip = (request.headers || {})['x-real-ip'] || request.socket?.remoteAddress;
+
+    return ip ? `ip:${ip}` : 'anonymous';
+}
+
+/**
+ * Identify the client a request counts against: the session the server
+ * issued when RATE_LIMIT_BY is 'session', otherwise the client's address
+ * @param {Object} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @returns {string} - Client id
+ */
+function clientIdFor(request, env) {
+    if (env.RATE_LIMIT_BY === 'session') {
+        const session = getSessionTokens(env).verify((request.headers || {})['x-session-id']);
+        if (session) {
+            return `session:${session}`;
         }
+    }
 
-        // Keep stack trace for development, but not in production
-        if (process.env.NODE_ENV === 'development') {
-            console.error('Detailed error:', error);
+    return addressIdFor(request);
+}
+
+/**
+ * Read the API key the user sent in the X-OpenAI-Key header
+ * @param {Object} request - HTTP request
+ * @returns {string|null} - The key, or null if none was sent
+ */
+function userApiKeyFor(request) {
+    const header = (request.headers || {})['x-openai-key'];
+    return header ? String(header).trim() : null;
+}
+
+/**
+ * Explain why the rate limiter is holding a client off
+ * @param {{scope: string, retryAfter: number}} decision - The limiter's refusal or status
+ * @returns {{error: string, message: string, errorType: string}} - What to tell the client
+ */
+function describeRateLimit({ scope, retryAfter }) {
+    if (scope === 'budget') {
+        return {
+            error: 'Daily budget exhausted',
+            message: 'The generator has used up today\'s AI budget. It resets at midnight UTC.',
+            errorType: 'budget_exhausted'
+        };
+    }
+    return {
+        error: 'Too many requests',
+        message: `You are generating too fast. Please wait ${retryAfter} seconds.`,
+        errorType: 'client_rate_limit'
+    };
+}
+
+/**
+ * Refuse a request that is over its rate limit or the daily budget
+ * @param {Object} response - HTTP response
+ * @param {Function} send - The request lifecycle's send
+ * @param {import('./lib/rateLimit.js').RateLimitDecision} decision - The limiter's refusal
+ * @returns {boolean} - Whether the response was sent
+ */
+function sendRateLimited(response, send, decision) {
+    const { error, message, errorType } = describeRateLimit(decision);
+    response.setHeader('Retry-After', String(decision.retryAfter));
+
+    return send(429, {
+        error,
+        message,
+        retry: true,
+        errorType,
+        retryAfter: decision.retryAfter
+    });
+}
+
+/**
+ * Work out the cache key for a request from the part of the body the action
+ * reads and the model that answers it
+ * @param {Object} cache - Response cache
+ * @param {string} action - API action
+ * @param {Object} reqBody - Request body
+ * @param {Object} provider - LLM provider (see api/lib/providers)
+ * @returns {string|null} - Cache key, or null if the action is not cached
+ */
+function cacheKeyFor(cache, action, reqBody, provider) {
+    if (!CACHE_TTLS[action]) {
+        return null;
+    }
+    const keyFor = (capability, input) => cache.keyFor({
+        action,
+        provider: provider.name,
+        model: provider.models?.[capability],
+        input
+    });
+
+    switch (action) {
+        case 'generatePosterDescription':
+            return keyFor('chat', { plot: promptInputFor(action, reqBody.plot), style: reqBody.style });
+        case 'generateMoviePoster':
+            return keyFor('image', {
+                plot: promptInputFor(action, reqBody.plot),
+                style: reqBody.style,
+                artDirection: reqBody.artDirection || null,
+                ...posterOptionsFor(reqBody)
+            });
+        case 'generateTrailerAudio':
+            return keyFor('speech', { trailerText: reqBody.trailerText });
+        default:
+            return keyFor('chat', { plotElements: promptInputFor(action, reqBody.plotElements) });
+    }
+}
+
+/**
+ * Pick the plot element fields an action's prompt reads, leaving out empty
+ * ones and a cameo the movie does not have, since the prompts skip those too
+ * @param {string} action - API action
+ * @param {Object} elements - Validated plot elements
+ * @returns {Object} - The elements that shape the prompt
+ */
+function promptInputFor(action, elements) {
+    const input = {};
+    for (const field of PROMPT_FIELDS[action]) {
+        const value = elements[field];
+        if (value === undefined || value === null || value === '' || value === false) continue;
+        if (field === 'cameo' && !elements.hasCameo) continue;
+        input[field] = value;
+    }
+    return input;
+}
+
+/**
+ * Read a poster request's format, quality and image model style, filling
+ * in the defaults for those it leaves out
+ * @param {Object} reqBody - Validated request body
+ * @returns {{format: string, quality: string, imageStyle: string}} - Poster options
+ */
+function posterOptionsFor(reqBody) {
+    return {
+        format: reqBody.format || POSTER_DEFAULTS.format,
+        quality: reqBody.quality || POSTER_DEFAULTS.quality,
+        imageStyle: reqBody.imageStyle || POSTER_DEFAULTS.imageStyle
+    };
+}
+
+/**
+ * Whether job actions run as background jobs, as set by JOB_MODE
+ * ('background' or 'inline'). Serverless functions are frozen once they
+ * respond and a status check may reach another instance, so they default
+ * to answering job actions within the request.
+ * @param {Object} env - Environment variables
+ * @returns {boolean} - True if job actions are queued
+ * @throws {Error} - Throws if JOB_MODE is unknown
+ */
+function runsJobsInBackground(env) {
+    const mode = (env.JOB_MODE || (isServerless(env) ? 'inline' : 'background')).trim().toLowerCase();
+    if (mode !== 'background' && mode !== 'inline') {
+        throw new Error(`Unknown JOB_MODE "${mode}" (expected one of: background, inline)`);
+    }
+    return mode === 'background';
+}
+
+/**
+ * Answer a capability check: which provider and models would handle this
+ * client's requests, whose key pays for them, which features it offers, and
+ * how much of the client's rate limit and the daily budget is left. Nothing
+ * is sent to the provider; the key itself is checked by the checkApiKey action.
+ * @param {Object} request - HTTP request
+ * @param {Object} response - HTTP response
+ * @param {string|null} apiKey - The user's own API key, if they sent one
+ * @returns {Object} - The response
+ */
+function sendCapabilities(request, response, apiKey) {
+    response.setHeader('Cache-Control', 'no-store');
+
+    const rateLimiter = getRateLimiter(process.env);
+    const standing = rateLimiter && rateLimiter.status(clientIdFor(request, process.env), { useBudget: !apiKey });
+    const limits = {
+        quota: standing && {
+            capacity: standing.capacity,
+            remaining: standing.remaining,
+            refillPerMinute: standing.refillPerMinute,
+            costs: ACTION_COSTS
+        },
+        // Requests made with the user's own key are not paid from the budget
+        budget: standing && !apiKey ? standing.budget : null,
+        cooldown: standing && standing.retryAfter > 0
+            ? { active: true, retryAfter: standing.retryAfter, ...describeRateLimit(standing) }
+            : { active: false }
+    };
+
+    let provider;
+    try {
+        provider = createProvider(process.env, { maxRetries: 0, timeout: API_TIMEOUT, apiKey });
+    } catch (configError) {
+        return response.status(200).json({
+            configured: false,
+            provider: null,
+            keySource: null,
+            models: { chat: null, image: null, speech: null },
+            features: { text: false, image: false, audio: false },
+            ...limits,
+            message: configError.message
+        });
+    }
+
+    const { chat, image, speech } = provider.models;
+    return response.status(200).json({
+        configured: true,
+        provider: provider.name,
+        // The mock and most local servers need no key at all
+        keySource: apiKey ? 'user' : provider.name === 'mock' ? null : 'server',
+        models: { chat, image: image || null, speech: speech || null },
+        features: {
+            text: true,
+            image: Boolean(image),
+            audio: Boolean(speech)
+        },
+        ...limits
+    });
+}
+
+/**
+ * Answer a job status check
+ * @param {Object} response - HTTP response
+ * @param {string} jobId - Id of the job
+ * @returns {Object} - The response
+ */
+function sendJobStatus(response, jobId) {
+    const job = jobQueue.get(jobId);
+    response.setHeader('Cache-Control', 'no-store');
+
+    if (!job) {
+        return response.status(404).json({
+            error: 'Job not found',
+            message: 'The job has expired or never existed. Please start it again.',
+            retry: false,
+            errorType: 'job_not_found'
+        });
+    }
+
+    return response.status(200).json(job);
+}
+
+/**
+ * Run a job action with a provider of its own, bound to the job's abort
+ * signal rather than the request that queued it. Inline job actions pass
+ * their request's signal instead.
+ * @param {string} action - One of JOB_ACTIONS
+ * @param {Object} reqBody - Body of the request that queued the job
+ * @param {import('./lib/jobs.js').JobContext} context - Job context for cancellation and progress
+ * @param {string|null} apiKey - The user's own API key, if the request carried one
+ * @returns {Promise<any>} - The action's result
+ */
+async function runJob(action, reqBody, context, apiKey) {
+    const provider = createProvider(process.env, {
+        maxRetries: MAX_RETRIES,
+        timeout: action === 'generateMoviePoster' ? IMAGE_API_TIMEOUT : API_TIMEOUT,
+        signal: context.signal,
+        apiKey
+    });
+
+    switch (action) {
+        case 'generateMoviePoster': {
+            // Image requests get the longer per-attempt timeout
+            const { image, format } = await executeWithRetry(
+                () => generateMoviePoster(provider, {
+                    plot: reqBody.plot,
+                    style: reqBody.style,
+                    artDirection: reqBody.artDirection,
+                    ...posterOptionsFor(reqBody)
+                }, context),
+                { signal: context.signal, isImageRequest: true }
+            );
+
+            // Keep the image ourselves, so the poster outlives this job and
+            // can be saved and shared
+            context.report(0.97, 'Saving the poster');
+            const { id, hash, contentType, size } = await getAssetStore(process.env).put(image, `image/${format}`);
+            return { imageUrl: assetUrl({ id }), asset: { id, hash, contentType, size } };
         }
 
-        return response.status(statusCode).json(errorResponse);
+        case 'generateTrailerAudio':
+            // Audio is sent base64-encoded along with its format
+            return executeWithRetry(
+                () => generateTrailerAudio(provider, { trailerText: reqBody.trailerText }, context),
+                { signal: context.signal }
+            );
+
+        default:
+            throw new Error(`Invalid job action: ${action}`);
     }
 }
 
+/**
+ * Wait before the next retry, giving up early if the request is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Request cancellation signal
+ * @returns {Promise<void>} - Resolves after the delay
+ * @throws {Error} - Throws the abort reason if the signal fires first
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
 /**
  * Execute a function with retry logic for transient errors
  * @param {Function} fn - Function to execute
- * @param {boolean} isImageRequest - Whether this is an image generation request
+ * @param {Object} [options] - Retry options
+ * @param {AbortSignal} [options.signal] - Request cancellation signal; no attempts are made once it fires
+ * @param {boolean} [options.isImageRequest] - Whether this is an image generation request
  * @returns {Promise<any>} - Result of the function
- * @throws {Error} - Throws if all retries fail
+ * @throws {Error} - Throws if all retries fail or the request is cancelled
  */
-async function executeWithRetry(fn, isImageRequest = false) {
+async function executeWithRetry(fn, { signal, isImageRequest = false } = {}) {
     let lastError;
     let delay = INITIAL_RETRY_DELAY;
 
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        try {
-            // Set a timeout promise to race against the function execution
-            // Use longer timeout for image generation
-            const timeoutDuration = isImageRequest ? IMAGE_API_TIMEOUT : API_TIMEOUT;
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => {
-                    const timeoutError = new Error('Operation timed out');
-                    timeoutError.status = 504;
-                    reject(timeoutError);
-                }, timeoutDuration);
-            });
+        signal?.throwIfAborted();
 
-            // Race the function against the timeout
-            return await Promise.race([fn(), timeoutPromise]);
+        // Set a timeout promise to race against the function execution
+        // Use longer timeout for image generation
+        const timeoutDuration = isImageRequest ? IMAGE_API_TIMEOUT : API_TIMEOUT;
+        let raceTimer;
+        const timeoutPromise = new Promise((_, reject) => {
+            raceTimer = setTimeout(() => {
+                const timeoutError = new Error('Operation timed out');
+                timeoutError.status = 504;
+                reject(timeoutError);
+            }, timeoutDuration);
+        });
+
+        try {
+            // Race the function against the timeout, and don't leave the
+            // losing timer running once the race is decided
+            return await Promise.race([fn(), timeoutPromise]).finally(() => clearTimeout(raceTimer));
         } catch (error) {
             lastError = error;
 
+            // A cancelled request is not worth retrying
+            if (signal?.aborted) {
+                throw error;
+            }
+
             // Check specifically for timeout errors
             const isTimeout = error.status === 504 ||
                 (error.message && (
@@ -244,10 +1012,10 @@ async function executeWithRetry(fn, isImageRequest = false) {
                 throw error; // Don't retry client errors or if we've exceeded max retries
             }
 
-            console.log(`Attempt ${attempt} failed, retrying in ${delay}ms...`, error.message);
+            console.warn(`Attempt ${attempt} failed, retrying in ${delay}ms:`, error.message);
 
             // Wait before retrying with exponential backoff
-            await new Promise(resolve => setTimeout(resolve, delay));
+            await sleep(delay, signal);
             delay *= 2; // Exponential backoff
         }
     }
@@ -257,39 +1025,44 @@ async function executeWithRetry(fn, isImageRequest = false) {
 
 /**
  * Generate a dynamic title for a Jason Statham movie
- * @param {Object} openai - OpenAI client instance
+ * @param {Object} provider - LLM provider (see api/lib/providers)
  * @param {Object} elements - Elements to inspire the title
  * @returns {Promise<string>} - Generated title
  */
-async function generateTitle(openai, plotElements) {
+async function generateTitle(provider, plotElements) {
     if (!plotElements) {
         throw new Error('Plot elements are required to generate a title');
     }
 
     const prompt = plotElements.plotDescription
-        ? `Create an exciting, punchy title for a Jason Statham action movie with this plot: ${plotElements.plotDescription}`
+        ? `Create an exciting, punchy title for a Jason Statham action movie with this plot:
+
+${formatUserData([['Plot', plotElements.plotDescription]])}`
         : `Create an exciting, punchy title for a Jason Statham action movie with these elements:
-           - Former profession: ${plotElements.formerProfession || 'special forces'}
-           - Setting: ${plotElements.setting || 'urban environment'}
-           - Villain type: ${plotElements.villain || 'crime syndicate'}
-           - Key theme: ${plotElements.plotTrigger || 'revenge'}`;
+
+${formatUserData([
+        ['Former profession', plotElements.formerProfession || 'special forces'],
+        ['Setting', plotElements.setting || 'urban environment'],
+        ['Villain type', plotElements.villain || 'crime syndicate'],
+        ['Key theme', plotElements.plotTrigger || 'revenge']
+    ])}`;
 
     try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
+        let title = await provider.chat({
+            task: 'title',
+            input: plotElements,
             messages: [
                 {
                     role: 'system',
-                    content: 'You are a Hollywood movie title creator specializing in action films. Create short, powerful titles that would work for Jason Statham movies. Respond with ONLY the title, nothing else.'
+                    content: `You are a Hollywood movie title creator specializing in action films. Create short, powerful titles that would work for Jason Statham movies. Respond with ONLY the title, nothing else. ${USER_DATA_INSTRUCTION}`
                 },
                 { role: 'user', content: prompt }
             ],
-            max_tokens: 30,
+            maxTokens: 30,
             temperature: 0.7,
         });
 
         // Clean up any extra formatting or quotes
-        let title = response.choices[0].message.content.trim();
         title = title.replace(/^["']|["']$/g, ''); // Remove surrounding quotes if present
 
         return title;
@@ -300,65 +1073,90 @@ async function generateTitle(openai, plotElements) {
 }
 
 /**
- * Generate a movie plot using OpenAI
- * @param {Object} openai - OpenAI client instance
+ * Build the chat completion request for a movie plot
  * @param {Object} plotElements - Elements to include in the plot
- * @returns {Promise<Object>} - Generated plot with title
+ * @returns {import('./lib/providers/index.js').ChatRequest} - Chat request
  */
-async function generateMoviePlot(openai, plotElements) {
-    try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a creative film writer specializing in Jason Statham action movies. Create a detailed, entertaining plot summary for a Jason Statham movie that feels authentic to his style. Keep it action-packed, somewhat over-the-top, but still following a coherent narrative. Jason Statham is always the star and hero.'
-                },
-                {
-                    role: 'user',
-                    content: `Create a full plot summary for a Jason Statham movie with these elements to inspire you:
-
-${plotElements.title ? `Title: "${plotElements.title}"` : 'Generate an original title'}
-Setting: ${plotElements.setting}
-Statham's former profession: ${plotElements.formerProfession}
-Statham's current job: ${plotElements.currentJob}
-Plot trigger: ${plotElements.plotTrigger}
-Main villain: ${plotElements.villain}
-Villain's organization: ${plotElements.villainGroup}
-Statham's sidekick: ${plotElements.sidekick}
-Plot twist: ${plotElements.plotTwist}
-Featured vehicle: ${plotElements.vehicle}
-Signature weapon: ${plotElements.weapon}
-Key action scene: ${plotElements.actionScene}
-Villain's hideout: ${plotElements.villainHideout}
-Final confrontation: ${plotElements.bossFight}
-How the villain is defeated: ${plotElements.bossKill}
-${plotElements.hasCameo ? `Surprise cameo by: ${plotElements.cameo}` : ''}
-
-Write a complete, cohesive plot summary that incorporates these elements naturally. Make it sound like a real movie synopsis, not just a list of elements. Focus on creating a compelling narrative that showcases Jason Statham's action hero persona.
+function buildPlotRequest(plotElements) {
+    return {
+        task: 'plot',
+        input: plotElements,
+        messages: [
+            {
+                role: 'system',
+                content: `You are a creative film writer specializing in Jason Statham action movies. Create a detailed, entertaining plot summary for a Jason Statham movie that feels authentic to his style. Keep it action-packed, somewhat over-the-top, but still following a coherent narrative. Jason Statham is always the star and hero. ${USER_DATA_INSTRUCTION}`
+            },
+            {
+                role: 'user',
+                content: `Create a full plot summary for a Jason Statham movie with these elements to inspire you:
+
+${formatUserData([
+        ['Title', plotElements.title ? `"${plotElements.title}"` : ''],
+        ['Setting', plotElements.setting],
+        ['Statham\'s former profession', plotElements.formerProfession],
+        ['Statham\'s current job', plotElements.currentJob],
+        ['Plot trigger', plotElements.plotTrigger],
+        ['Main villain', plotElements.villain],
+        ['Villain\'s organization', plotElements.villainGroup],
+        ['Statham\'s sidekick', plotElements.sidekick],
+        ['Plot twist', plotElements.plotTwist],
+        ['Featured vehicle', plotElements.vehicle],
+        ['Signature weapon', plotElements.weapon],
+        ['Key action scene', plotElements.actionScene],
+        ['Villain\'s hideout', plotElements.villainHideout],
+        ['Final confrontation', plotElements.bossFight],
+        ['How the villain is defeated', plotElements.bossKill],
+        ['Surprise cameo by', plotElements.hasCameo ? plotElements.cameo : '']
+    ])}
+
+${plotElements.title ? '' : 'Generate an original title. '}Write a complete, cohesive plot summary that incorporates these elements naturally. Make it sound like a real movie synopsis, not just a list of elements. Focus on creating a compelling narrative that showcases Jason Statham's action hero persona.
 
 ${!plotElements.title ? 'Also, suggest a dynamic, punchy title for this movie at the beginning of your response prefixed with "TITLE: "' : ''}
 `
-                }
-            ],
-            max_tokens: 1000,
-            temperature: 0.8,
-        });
+            }
+        ],
+        maxTokens: 1000,
+        temperature: 0.8,
+    };
+}
 
-        const content = response.choices[0].message.content.trim();
+/**
+ * Split a "TITLE: ..." first line off a generated plot
+ * @param {string} content - Generated plot text
+ * @returns {{title: string, plot: string}|null} - Title and remaining plot, or null if there is no title line
+ */
+function splitPlotTitle(content) {
+    const titleMatch = content.match(/^TITLE:\s*(.+?)(?:\n|$)/i);
+    if (!titleMatch) {
+        return null;
+    }
+    return {
+        title: titleMatch[1].trim(),
+        plot: content.replace(/^TITLE:\s*.+?(?:\n|$)/i, '').trim()
+    };
+}
+
+/**
+ * Generate a movie plot
+ * @param {Object} provider - LLM provider (see api/lib/providers)
+ * @param {Object} plotElements - Elements to include in the plot
+ * @returns {Promise<Object>} - Generated plot with title
+ */
+async function generateMoviePlot(provider, plotElements) {
+    try {
+        const content = await provider.chat(buildPlotRequest(plotElements));
 
         // Extract title if none was provided
         let title = plotElements.title;
         let plot = content;
 
         if (!title) {
-            const titleMatch = content.match(/^TITLE:\s*(.+?)(?:\n|$)/i);
-            if (titleMatch) {
-                title = titleMatch[1].trim();
-                plot = content.replace(/^TITLE:\s*.+?(?:\n|$)/i, '').trim();
+            const split = splitPlotTitle(content);
+            if (split) {
+                ({ title, plot } = split);
             } else {
                 // If no title format found, generate one separately
-                title = await generateTitle(openai, { plotDescription: content });
+                title = await generateTitle(provider, { plotDescription: content });
             }
         }
 
@@ -373,22 +1171,18 @@ ${!plotElements.title ? 'Also, suggest a dynamic, punchy title for this movie at
 }
 
 /**
- * Generate a movie trailer script using OpenAI
- * This function creates a professional movie trailer voice-over script
- * that sounds like it came from a real Hollywood trailer
- *
- * @param {Object} openai - OpenAI client instance
+ * Build the chat completion request for a trailer script
  * @param {Object} plotElements - Elements to include in the trailer
- * @returns {Promise<string>} - Generated trailer script
+ * @returns {import('./lib/providers/index.js').ChatRequest} - Chat request
  */
-async function generateMovieTrailer(openai, plotElements) {
-    try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [
-                {
-                    role: 'system',
-                    content: `You are Don LaFontaine, the legendary movie trailer voice-over artist known for iconic phrases like "In a world..."
+function buildTrailerRequest(plotElements) {
+    return {
+        task: 'trailer',
+        input: plotElements,
+        messages: [
+            {
+                role: 'system',
+                content: `You are Don LaFontaine, the legendary movie trailer voice-over artist known for iconic phrases like "In a world..."
 Create an engaging, dramatic trailer script for a Jason Statham action movie.
 
 Guidelines for an authentic movie trailer script:
@@ -400,30 +1194,47 @@ Guidelines for an authentic movie trailer script:
 - Keep it under 60 seconds when read aloud (about 150 words)
 - End with the movie title and a powerful tagline
 - Include text that indicates how certain words should be delivered (whispered, shouted, etc.)
-- The script should be immediately ready for voice recording`
-                },
-                {
-                    role: 'user',
-                    content: `Create a dramatic movie trailer voice-over script for a Jason Statham film titled "${plotElements.title}" with these elements:
-
-Plot summary: ${plotElements.plot || plotElements.summary || "Use the plot elements below to craft a cohesive narrative"}
-Setting: ${plotElements.setting}
-Statham's background: Former ${plotElements.formerProfession}, now ${plotElements.currentJob}
-Main conflict: ${plotElements.plotTrigger}
-Villain: ${plotElements.villain} and their ${plotElements.villainGroup}
-Key action: ${plotElements.actionScene}
-Plot twist: ${plotElements.plotTwist}
-Final confrontation: ${plotElements.bossFight}
-${plotElements.hasCameo ? `Special appearance by: ${plotElements.cameo}` : ''}
-
-Write ONLY the trailer voice-over narration script as it would be performed by Don LaFontaine. Format it so it's instantly ready for voice recording, with indications for dramatic pauses, emphasis, and tone.`
-                }
-            ],
-            max_tokens: 500,
-            temperature: 0.7,
-        });
+- The script should be immediately ready for voice recording
 
-        return response.choices[0].message.content.trim();
+${USER_DATA_INSTRUCTION}`
+            },
+            {
+                role: 'user',
+                content: `Create a dramatic movie trailer voice-over script for a Jason Statham film with these elements:
+
+${formatUserData([
+        ['Title', plotElements.title ? `"${plotElements.title}"` : ''],
+        ['Plot summary', plotElements.plot || plotElements.summary],
+        ['Setting', plotElements.setting],
+        ['Statham\'s background', `Former ${plotElements.formerProfession}, now ${plotElements.currentJob}`],
+        ['Main conflict', plotElements.plotTrigger],
+        ['Villain', `${plotElements.villain} and their ${plotElements.villainGroup}`],
+        ['Key action', plotElements.actionScene],
+        ['Plot twist', plotElements.plotTwist],
+        ['Final confrontation', plotElements.bossFight],
+        ['Special appearance by', plotElements.hasCameo ? plotElements.cameo : '']
+    ])}
+
+${plotElements.plot || plotElements.summary ? '' : 'Use the plot elements to craft a cohesive narrative. '}Write ONLY the trailer voice-over narration script as it would be performed by Don LaFontaine. Format it so it's instantly ready for voice recording, with indications for dramatic pauses, emphasis, and tone.`
+            }
+        ],
+        maxTokens: 500,
+        temperature: 0.7,
+    };
+}
+
+/**
+ * Generate a movie trailer script
+ * This function creates a professional movie trailer voice-over script
+ * that sounds like it came from a real Hollywood trailer
+ *
+ * @param {Object} provider - LLM provider (see api/lib/providers)
+ * @param {Object} plotElements - Elements to include in the trailer
+ * @returns {Promise<string>} - Generated trailer script
+ */
+async function generateMovieTrailer(provider, plotElements) {
+    try {
+        return await provider.chat(buildTrailerRequest(plotElements));
     } catch (error) {
         console.error('Error generating trailer script:', error);
         throw error;
@@ -431,50 +1242,163 @@ Write ONLY the trailer voice-over narration script as it would be performed by D
 }
 
 /**
- * Generate a poster description using OpenAI
- * @param {Object} openai - OpenAI client instance
+ * Stream a plot or trailer completion to the client as server-sent events.
+ * Sends a `token` event ({ text }) for each piece of text, a `title` event
+ * when the model suggests a title, and finally a `done` event carrying the
+ * same payload the non-streaming action returns. Failures before the stream
+ * opens are thrown; failures after it opens are sent as an `error` event.
+ *
+ * @param {Object} provider - LLM provider (see api/lib/providers)
+ * @param {import('./lib/requestLifecycle.js').RequestLifecycle} lifecycle - Lifecycle of the request
+ * @param {Object} response - HTTP response to write events to
+ * @param {string} action - generateMoviePlot or generateMovieTrailer
+ * @param {Object} plotElements - Elements to include in the plot or trailer
+ * @param {function(Object): Promise<Object>} remember - Caches the `done` payload once the stream completes
+ */
+async function streamCompletion(provider, lifecycle, response, action, plotElements, remember) {
+    const isPlot = action === 'generateMoviePlot';
+    const params = isPlot ? buildPlotRequest(plotElements) : buildTrailerRequest(plotElements);
+    const stream = await executeWithRetry(() => provider.streamChat(params), { signal: lifecycle.signal });
+
+    // Taking over the response also stops the server timeout
+    if (!lifecycle.claim()) {
+        // The server timeout already answered this request
+        stream.abort();
+        return;
+    }
+
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+        if (!response.writableEnded && !response.destroyed) {
+            response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    // Stop paying for tokens nobody will read
+    response.on('close', () => stream.abort());
+
+    // Without a title the model starts with a "TITLE: ..." line, which is
+    // held back until it is complete and sent as its own event
+    const needsTitle = isPlot && !plotElements.title;
+    let holdingTitleLine = needsTitle;
+    let title = plotElements.title || '';
+    let content = '';
+
+    const releaseHeldText = () => {
+        holdingTitleLine = false;
+        const split = splitPlotTitle(content);
+        if (split) {
+            title = split.title;
+            sendEvent('title', { title });
+            sendEvent('token', { text: content.slice(content.indexOf('\n') + 1).trimStart() });
+        } else {
+            sendEvent('token', { text: content });
+        }
+    };
+
+    try {
+        for await (const text of stream) {
+            content += text;
+            if (!holdingTitleLine) {
+                sendEvent('token', { text });
+            } else if (content.includes('\n') || content.length > 200) {
+                releaseHeldText();
+            }
+        }
+
+        if (holdingTitleLine) {
+            releaseHeldText();
+        }
+
+        if (!isPlot) {
+            sendEvent('done', await remember({ trailer: content.trim() }));
+            return;
+        }
+
+        let plot = content.trim();
+        if (needsTitle) {
+            const split = splitPlotTitle(plot);
+            if (split) {
+                plot = split.plot;
+            } else {
+                title = await generateTitle(provider, { plotDescription: plot });
+            }
+        }
+        sendEvent('done', await remember({ title, plot }));
+    } catch (error) {
+        if (response.destroyed) return; // The client went away
+
+        console.error(`Error streaming ${action}:`, error);
+        sendEvent('error', {
+            error: 'Stream interrupted',
+            message: error.message || 'Unknown error occurred'
+        });
+    } finally {
+        response.end();
+    }
+}
+
+/**
+ * Generate a poster concept: a tagline, a description of the poster and the
+ * art direction the image step compiles into its prompt
+ * @param {Object} provider - LLM provider (see api/lib/providers)
  * @param {Object} params - Plot elements and style
- * @returns {Promise<string>} - Generated poster description
+ * @returns {Promise<import('./lib/posterConcept.js').PosterConcept>} - Generated poster concept
  */
-async function generatePosterDescription(openai, params) {
+async function generatePosterDescription(provider, params) {
     try {
         const { plot, style } = params;
         const { title, formerProfession, setting, villain, hasCameo, cameo, plot: plotText, summary } = plot;
+        const posterStyle = getPosterStyle(style);
 
-        const styleDescriptions = {
-            action: 'high-contrast with dramatic lighting, typically featuring blues and oranges, with explosions, action poses, and urban environments',
-            artsy: 'minimalist, artistic approach with bold colors, negative space, symbolic imagery, and artistic representation rather than literal',
-            vintage: 'retro style with grainy textures, faded colors, and a 1970s-80s aesthetic reminiscent of classic action movie posters'
-        };
-
-        const prompt = `Create a two-part movie poster description for an action film titled "${title}" starring Jason Statham.
+        const prompt = `Create a movie poster concept for a Jason Statham action film with these details:
 
-Part 1: Write a single powerful tagline for the poster (one sentence).
+${formatUserData([
+        ['Title', title ? `"${title}"` : ''],
+        ['Summary of the movie', plotText || summary],
+        ['Jason Statham plays a former', formerProfession],
+        ['Setting', setting],
+        ['Main villain or threat', villain],
+        ['Include in the poster', hasCameo ? cameo : '']
+    ])}
 
-Part 2: Describe in detail what the poster would look like in a ${style} style.
-The poster should be ${styleDescriptions[style]}.
+The poster is in a ${posterStyle.label} style and should be ${posterStyle.descriptionGuidance}.
 
-Summary of the movie: ${plotText || summary || ''}
-
-Include these elements:
-- Jason Statham as a former ${formerProfession}
-- Setting: ${setting}
-- Main villain or threat: ${villain}
-${hasCameo ? `- Include ${cameo} in the poster` : ''}
+Respond with a JSON object of this form:
+{
+  "tagline": "A single powerful tagline for the poster (one sentence)",
+  "description": "What the poster looks like, in a few sentences: the visual elements, atmosphere and how Jason Statham is portrayed",
+  "artDirection": {
+    "composition": "Framing and layout: camera angle, where Statham and the villain stand, what fills the background",
+    "palette": "Colors and lighting",
+    "props": "Weapons, vehicles and other objects in the frame",
+    "pose": "What Statham is doing and his expression"
+  }
+}
 
-For Part 2, be specific about visual elements, composition, positioning, color scheme, and atmosphere. Describe how Jason Statham is portrayed, what he's doing, what weapons or props are visible, and how the title is displayed. Make it detailed enough that someone could visualize and create this poster.`;
+The art direction is handed to an illustrator, so make every note concrete and visual. The title and credits are lettered separately; do not describe any text in the image. Every field is required and must be a string.`;
 
-        const response = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [{
-                role: 'user',
-                content: prompt
-            }],
+        const content = await provider.chat({
+            task: 'posterDescription',
+            input: params,
+            messages: [
+                {
+                    role: 'system',
+                    content: `You are a movie poster designer specializing in action films. ${USER_DATA_INSTRUCTION}`
+                },
+                { role: 'user', content: prompt }
+            ],
             temperature: 0.7,
-            max_tokens: 600
+            maxTokens: 800,
+            json: true
         });
-
-        return response.choices[0].message.content.trim();
+        return parsePosterConcept(content);
     } catch (error) {
         console.error('Error generating poster description:', error);
         throw error;
@@ -482,14 +1406,15 @@ For Part 2, be specific about visual elements, composition, positioning, color s
 }
 
 /**
- * Generate a movie poster using OpenAI's DALL-E 3 image generation API
- * @param {Object} openai - OpenAI client instance
- * @param {Object} params - Parameters including plot elements and style
- * @returns {Promise<string>} - URL to the generated poster image
+ * Generate a movie poster with the provider's image generation
+ * @param {Object} provider - LLM provider (see api/lib/providers)
+ * @param {Object} params - Plot elements, poster style, art direction, format, quality and image style
+ * @param {import('./lib/jobs.js').JobContext} job - Job to report progress to
+ * @returns {Promise<{image: Buffer, format: string}>} - The poster image data
  */
-async function generateMoviePoster(openai, params) {
+async function generateMoviePoster(provider, params, job) {
     try {
-        const { plot, style } = params;
+        const { plot, style, artDirection, format, quality, imageStyle } = params;
         if (!plot || !style) {
             throw new Error('Missing required parameters: plot and style');
         }
@@ -502,56 +1427,38 @@ async function generateMoviePoster(openai, params) {
             throw new Error('Movie title is required for poster generation');
         }
 
-        // Simplified prompt approach to avoid potential policy violations
-        let posterPrompt = '';
-
-        if (style === 'action') {
-            posterPrompt = `Create a professional movie poster for an action thriller titled "${title}" starring Jason Statham.
-            Use a high-contrast style with dramatic lighting, blues and oranges color scheme.
-            Show Statham in a heroic action pose. Set in ${setting}.
-            Include the title "${title}" in bold, impactful typography.`;
-        }
-        else if (style === 'artsy') {
-            posterPrompt = `Create an artistic movie poster for a film titled "${title}" starring Jason Statham.
-            Use a minimalist approach with bold colors, negative space, and symbolic imagery.
-            Include an artistic representation of the conflict between Statham's character and ${villain}.
-            Display the title "${title}" in stylized, artistic typography.`;
+        // The style's template only refers to the movie details; the details
+        // themselves are fenced off like in the chat prompts
+        let posterPrompt = fillTemplate(getPosterStyle(style).imagePrompt, POSTER_DETAIL_REFERENCES);
+        posterPrompt += ` ${USER_DATA_INSTRUCTION}\n${formatUserData([
+            ['Title', title],
+            ['Setting', setting],
+            ['Villain', villain],
+            ['Statham\'s former profession', formerProfession]
+        ])}`;
+        // Art direction from the poster concept, as reviewed by the user
+        const direction = compileArtDirection(artDirection);
+        if (direction) {
+            posterPrompt += `\n${direction}`;
         }
-        else { // vintage style
-            posterPrompt = `Create a vintage-style movie poster for "${title}" starring Jason Statham.
-            Use a retro 1970s-80s action film aesthetic with grainy texture and slightly faded colors.
-            Feature Statham in a classic action pose appropriate for the ${setting} setting.
-            Use retro typography for the title "${title}".`;
-        }
-
-        // Add context about the character without being too specific
-        posterPrompt += ` Statham plays a former ${formerProfession}.`;
+        // The app sets the title and credits itself; image models misspell them
+        posterPrompt += `\n${POSTER_FRAMING[format]}`;
+        posterPrompt += ' Do not include any text, letters, logos or credits in the image.';
 
-        console.log('Generating poster with prompt:', posterPrompt);
+        job.report(0.1, 'Composing the poster');
 
-        // Try to ensure DALL-E completes successfully with these parameters
-        const imageResponse = await openai.images.generate({
-            model: "dall-e-3",
+        const poster = await job.track(provider.generateImage({
             prompt: posterPrompt,
-            n: 1,
-            size: "1024x1024", // Using standard square format which has better success rate
-            quality: "standard", // Using standard quality to avoid potential errors
-            style: "vivid",
-            response_format: "url"
-        });
-
-        // Check for a valid response
-        if (!imageResponse || !imageResponse.data || !imageResponse.data[0] || !imageResponse.data[0].url) {
-            throw new Error('No valid image data returned from DALL-E API');
-        }
-
-        const imageUrl = imageResponse.data[0].url;
-        console.log('Successfully generated poster image:', imageUrl);
+            size: POSTER_SIZES[format],
+            quality,
+            style: imageStyle
+        }), { message: 'Painting the poster', expectedMs: EXPECTED_IMAGE_MS, to: 0.95 });
+        console.log(`Successfully generated poster image (${poster.image.length} bytes)`);
 
-        return imageUrl;
+        return poster;
     } catch (error) {
         // Enhanced error logging with complete details
-        console.error('DALL-E Image Generation Error:', {
+        console.error('Image Generation Error:', {
             message: error.message,
             status: error.status,
             data: error.response?.data,
@@ -567,12 +1474,13 @@ async function generateMoviePoster(openai, params) {
 }
 
 /**
- * Generate trailer audio using OpenAI's TTS service
- * @param {Object} openai - OpenAI client instance
+ * Generate trailer audio with the provider's speech synthesis
+ * @param {Object} provider - LLM provider (see api/lib/providers)
  * @param {Object} params - Parameters including trailer text
- * @returns {Promise<string>} - Base64-encoded audio data
+ * @param {import('./lib/jobs.js').JobContext} job - Job to report progress to
+ * @returns {Promise<{audio: string, format: string}>} - Base64-encoded audio data and its format
  */
-async function generateTrailerAudio(openai, params) {
+async function generateTrailerAudio(provider, params, job) {
     try {
         // Extract the trailer text
         const { trailerText } = params;
@@ -603,31 +1511,25 @@ async function generateTrailerAudio(openai, params) {
             </prosody>
         </speak>`;
 
-        // Truncate if needed (TTS-1 has a character limit)
-        const maxLength = 4000; // Increased slightly for SSML tags
-        if (script.length > maxLength) {
-            console.warn(`Trailer script too long (${script.length} chars), truncating to ${maxLength}`);
-            // Try to find a good place to cut, such as at a sentence or paragraph break
-            const truncated = script.substring(0, maxLength);
+        // Truncate if the markup pushed it past the speech model's limit
+        if (script.length > MAX_TRAILER_TEXT_LENGTH) {
+            console.warn(`Trailer script too long (${script.length} chars), truncating to ${MAX_TRAILER_TEXT_LENGTH}`);
+            const truncated = script.substring(0, MAX_TRAILER_TEXT_LENGTH);
             // Make sure we close any open SSML tags
             script = truncated.includes('</speak>') ? truncated : `${truncated}</prosody></speak>`;
         }
 
         console.log('Sending TTS request with script length:', script.length);
+        job.report(0.1, 'Preparing the script');
 
-        const response = await openai.audio.speech.create({
-            model: 'tts-1-hd', // Use HD model for better quality
+        const { audio, format } = await job.track(provider.generateSpeech({
             voice: 'onyx', // Deep, dramatic voice perfect for movie trailers
             input: script,
-            response_format: 'mp3',
             speed: 0.95, // Slightly slower for dramatic effect
-        });
-
-        // Convert the response to a base64 string for transport
-        const buffer = await response.arrayBuffer();
-        const base64 = Buffer.from(buffer).toString('base64');
+        }), { message: 'Recording the voice-over', expectedMs: EXPECTED_SPEECH_MS, to: 0.95 });
 
-        return base64;
+        // Convert the audio to a base64 string for transport
+        return { audio: audio.toString('base64'), format };
     } catch (error) {
         console.error('Error generating trailer audio:', error);
         throw error;
@@ -635,22 +1537,15 @@ async function generateTrailerAudio(openai, params) {
 }
 
 /**
- * Generate multiple movie plots for studio mode
- * @param {Object} openai - OpenAI client instance
- * @param {Object} params - Parameters with count of movies to generate
- * @returns {Promise<Array>} - Array of generated movies
+ * Request a batch of movie concepts and validate every item against the
+ * studio movie schema
+ * @param {Object} provider - LLM provider (see api/lib/providers)
+ * @param {number} movieCount - Number of movies to ask for
+ * @returns {Promise<{movies: Array<Object>, dropped: Array<Object>, repaired: number, unreadable: string|null}>} -
+ *     Valid movies, reports for dropped items, and why the response could not be read at all, if it could not
  */
-async function generateMultipleMovies(openai, params) {
-    try {
-        const { count } = params;
-
-        // Validate count parameter
-        const movieCount = Number(count);
-        if (isNaN(movieCount) || movieCount < 1 || movieCount > 5) {
-            throw new Error('Invalid count parameter: must be a number between 1 and 5');
-        }
-
-        const prompt = `Generate ${movieCount} unique and original action movie concepts starring Jason Statham.
+async function requestMovieBatch(provider, movieCount) {
+    const prompt = `Generate ${movieCount} unique and original action movie concepts starring Jason Statham.
 
 For each movie, include:
 1. Title (creative and original - avoid sequels to existing franchises)
@@ -670,71 +1565,86 @@ Format each movie as a JSON object like this:
   "actionScene": "Description of key action scene"
 }
 
-Return the results as a JSON array of these objects.`;
+Return a JSON object of the form { "movies": [ ... ] } containing exactly ${movieCount} of these objects. Every field is required and must be a string.`;
+
+    const content = await provider.chat({
+        task: 'movieBatch',
+        input: { count: movieCount },
+        messages: [{
+            role: 'user',
+            content: prompt
+        }],
+        temperature: 0.8,
+        maxTokens: 1000,
+        json: true
+    });
+
+    let candidates;
+    try {
+        candidates = extractMovieCandidates(parseModelJson(content));
+    } catch (parseError) {
+        console.error('Error parsing JSON response:', parseError);
+        return { movies: [], dropped: [], repaired: 0, unreadable: 'response is not valid JSON' };
+    }
 
-        const response = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [{
-                role: 'user',
-                content: prompt
-            }],
-            temperature: 0.8,
-            max_tokens: 1000,
-            response_format: { type: "json_object" }
-        });
+    if (candidates.length === 0) {
+        return { movies: [], dropped: [], repaired: 0, unreadable: 'response contains no movies' };
+    }
 
-        // Parse the response
-        try {
-            const content = response.choices[0].message.content.trim();
-            console.log('Raw response from OpenAI:', content);
-
-            // Try to parse the JSON response
-            let jsonResponse;
-            try {
-                jsonResponse = JSON.parse(content);
-            } catch (parseError) {
-                // Try to extract JSON from the response if it's not valid JSON
-                const jsonMatch = content.match(/(\[[\s\S]*\])|(\{[\s\S]*\})/);
-                if (jsonMatch) {
-                    jsonResponse = JSON.parse(jsonMatch[0]);
-                } else {
-                    throw parseError;
-                }
-            }
+    return { ...validateStudioMovies(candidates), unreadable: null };
+}
 
-            // Handle different response formats
-            if (Array.isArray(jsonResponse)) {
-                return jsonResponse;
-            } else if (jsonResponse.movies && Array.isArray(jsonResponse.movies)) {
-                return jsonResponse.movies;
-            } else {
-                // If we get an object with properties like title, plot, etc., wrap it in an array
-                if (jsonResponse.title && jsonResponse.plot) {
-                    return [jsonResponse];
-                }
-
-                // Try to extract movie objects from the response
-                const movies = [];
-                for (const key in jsonResponse) {
-                    if (typeof jsonResponse[key] === 'object' && jsonResponse[key].title) {
-                        movies.push(jsonResponse[key]);
-                    }
-                }
-
-                if (movies.length > 0) {
-                    return movies;
-                }
-
-                console.error('Unexpected JSON structure:', jsonResponse);
-                // Return at least an empty array to avoid null reference errors
-                return [];
+/**
+ * Generate multiple movie plots for studio mode.
+ * Every returned item is validated against STUDIO_MOVIE_SCHEMA; malformed
+ * items are repaired where possible and dropped otherwise, and the shortfall
+ * is re-requested once. Responses that cannot be read at all are counted
+ * separately from dropped items, since they hold no candidates.
+ * @param {Object} provider - LLM provider (see api/lib/providers)
+ * @param {Object} params - Parameters with count of movies to generate
+ * @returns {Promise<Object>} - Valid movies plus counts of requested, valid, repaired and dropped items and unreadable responses
+ */
+async function generateMultipleMovies(provider, params) {
+    try {
+        const { count } = params;
+
+        // Validate count parameter
+        const movieCount = Number(count);
+        if (isNaN(movieCount) || movieCount < 1 || movieCount > 5) {
+            throw new Error('Invalid count parameter: must be a number between 1 and 5');
+        }
+
+        const movies = [];
+        const errors = [];
+        const responseErrors = [];
+        let repaired = 0;
+
+        for (let attempt = 1; attempt <= MAX_BATCH_ATTEMPTS && movies.length < movieCount; attempt++) {
+            const batch = await requestMovieBatch(provider, movieCount - movies.length);
+
+            movies.push(...batch.movies);
+            repaired += batch.repaired;
+            errors.push(...batch.dropped.map((report) => ({ attempt, ...report })));
+            if (batch.unreadable) {
+                responseErrors.push({ attempt, message: batch.unreadable });
             }
-        } catch (err) {
-            console.error('Error parsing JSON response:', err);
-            console.error('Raw response:', response.choices[0].message.content);
-            // Return at least an empty array to avoid null reference errors
-            return [];
         }
+
+        if (errors.length > 0) {
+            console.warn('Dropped invalid studio movies:', JSON.stringify(errors));
+        }
+
+        const valid = movies.slice(0, movieCount);
+        return {
+            movies: valid,
+            requested: movieCount,
+            valid: valid.length,
+            repaired,
+            dropped: errors.length,
+            errors,
+            unreadable: responseErrors.length,
+            responseErrors
+        };
     } catch (error) {
         console.error('Error generating multiple movies:', error);
         throw new Error(`Failed to generate movies: ${error.message || 'Unknown error'}`);
@@ -1,23 +1,93 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import MoviePlot from './components/MoviePlot.jsx';
 import MoviePoster from './components/MoviePoster.jsx';
 import MovieStudio from './components/MovieStudio.jsx';
+import MovieLibrary from './components/MovieLibrary.jsx';
+import ElementPackManager from './components/ElementPackManager.jsx';
 import ApiKeyManager from './components/ApiKeyManager.jsx';
+import RateLimitNotice from './components/RateLimitNotice.jsx';
+import { createLibraryRecorder } from './services/libraryService';
+import { getActivePools } from './services/elementPackService';
+import { createPermalink, readPermalink, clearPermalink } from './utils/permalink';
 import './App.css';
 
 function App() {
   const [plotData, setPlotData] = useState(null);
-  const [activeTab, setActiveTab] = useState('generator'); // 'generator' or 'studio'
-  const [openaiInitialized, setOpenaiInitialized] = useState(false);
+  const [activeTab, setActiveTab] = useState('generator'); // 'generator', 'studio', 'library' or 'packs'
+  // What the server can do, per ApiKeyManager's last check; null until then
+  const [capabilities, setCapabilities] = useState(null);
+  const [posterStyle, setPosterStyle] = useState('action');
+  const [restoredPlot, setRestoredPlot] = useState(null);
+  const [shareStatus, setShareStatus] = useState('');
+  const [elementPools, setElementPools] = useState(getActivePools);
+  // Saves the movie currently shown in the generator to the library
+  const libraryRecorder = useRef(null);
+
+  // Restore a shared movie from the URL without calling the API again
+  useEffect(() => {
+    readPermalink()
+      .then((movie) => {
+        if (movie) {
+          setRestoredPlot(movie);
+          setPlotData(movie);
+          setPosterStyle(movie.posterStyle || 'action');
+          setActiveTab('generator');
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to open shared movie:', error);
+        setShareStatus('That movie link is broken or incomplete.');
+      });
+  }, []);
 
   const handlePlotGenerated = (newPlotData) => {
     setPlotData(newPlotData);
+    setRestoredPlot(null);
+    setShareStatus('');
+    // A freshly generated movie no longer matches a shared link in the address bar
+    clearPermalink();
+
+    libraryRecorder.current = createLibraryRecorder('generator');
+    libraryRecorder.current.recordPlot(newPlotData);
+  };
+
+  const handleOpenSavedMovie = (entry) => {
+    const movie = {
+      ...entry.elements,
+      summary: entry.plot,
+      trailer: entry.trailer,
+      posterStyle: entry.posterStyle || 'action'
+    };
+
+    libraryRecorder.current = createLibraryRecorder(entry.source, entry.id);
+    setRestoredPlot(movie);
+    setPlotData(movie);
+    setPosterStyle(movie.posterStyle);
+    setShareStatus('');
+    clearPermalink();
+    setActiveTab('generator');
   };
 
-  const handleOpenAIInitialized = (success) => {
-    setOpenaiInitialized(success);
+  const handleShare = async () => {
+    if (!plotData) return;
+
+    try {
+      const link = await createPermalink({ ...plotData, posterStyle });
+      window.history.replaceState(null, '', link);
+      await navigator.clipboard.writeText(link);
+      setShareStatus('Link copied to clipboard!');
+    } catch (error) {
+      console.error('Failed to share movie:', error);
+      setShareStatus('Copy the link from the address bar to share this movie.');
+    }
   };
 
+  // Each AI toggle is only offered when the server can actually deliver it
+  const features = capabilities?.features || {};
+  const textEnabled = Boolean(features.text);
+  const imageEnabled = textEnabled && Boolean(features.image);
+  const audioEnabled = textEnabled && Boolean(features.audio);
+
   return (
     <div className="app">
       <header>
@@ -37,35 +107,78 @@ function App() {
           >
             Movie Studio
           </button>
+          <button
+            className={`nav-btn ${activeTab === 'library' ? 'active' : ''}`}
+            onClick={() => setActiveTab('library')}
+          >
+            Library
+          </button>
+          <button
+            className={`nav-btn ${activeTab === 'packs' ? 'active' : ''}`}
+            onClick={() => setActiveTab('packs')}
+          >
+            Element Packs
+          </button>
         </nav>
       </header>
 
       <main>
         <section className="api-key-section">
-          <ApiKeyManager onInitialized={handleOpenAIInitialized} />
+          <ApiKeyManager onInitialized={setCapabilities} />
+          <RateLimitNotice />
         </section>
 
         {activeTab === 'generator' ? (
-          <div className="generator-mode">
-            <MoviePlot
-              onPlotGenerated={handlePlotGenerated}
-              openaiEnabled={openaiInitialized}
-            />
-            <MoviePoster
-              plot={plotData}
-              openaiEnabled={openaiInitialized}
-            />
+          <>
+            {(plotData || shareStatus) && (
+              <div className="share-bar">
+                {plotData && (
+                  <button className="share-btn" onClick={handleShare}>
+                    🔗 Share This Movie
+                  </button>
+                )}
+                {shareStatus && <span className="share-status">{shareStatus}</span>}
+              </div>
+            )}
+            <div className="generator-mode">
+              <MoviePlot
+                onPlotGenerated={handlePlotGenerated}
+                openaiEnabled={textEnabled}
+                audioEnabled={audioEnabled}
+                initialPlot={restoredPlot}
+                elementPools={elementPools}
+                onAudioGenerated={(audioUrl) => libraryRecorder.current?.attachAudio(audioUrl)}
+              />
+              <MoviePoster
+                plot={plotData}
+                openaiEnabled={textEnabled}
+                imageEnabled={imageEnabled}
+                initialStyle={posterStyle}
+                onStyleChange={setPosterStyle}
+                onPosterGenerated={(imageUrl, style) => libraryRecorder.current?.attachPoster(imageUrl, style)}
+                onDescriptionGenerated={(description, style) =>
+                  libraryRecorder.current?.attachPosterDescription(description, style)}
+              />
+            </div>
+          </>
+        ) : activeTab === 'studio' ? (
+          <div className="studio-mode">
+            <MovieStudio openaiEnabled={textEnabled} elementPools={elementPools} />
+          </div>
+        ) : activeTab === 'library' ? (
+          <div className="library-mode">
+            <MovieLibrary onOpenMovie={handleOpenSavedMovie} />
           </div>
         ) : (
-          <div className="studio-mode">
-            <MovieStudio openaiEnabled={openaiInitialized} />
+          <div className="packs-mode">
+            <ElementPackManager onPoolsChange={setElementPools} />
           </div>
         )}
       </main>
 
       <footer>
         <p>© {new Date().getFullYear()} Statham Generator | Not affiliated with Jason Statham</p>
-        {openaiInitialized && (
+        {textEnabled && (
           <p className="ai-badge">Enhanced with OpenAI</p>
         )}
       </footer>
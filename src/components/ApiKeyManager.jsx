@@ -1,32 +1,181 @@
-import React, { useEffect } from 'react';
-import { initializeOpenAI, isOpenAIInitialized } from '../services/openaiService';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { initializeOpenAI, setUserApiKey, validateApiKey } from '../services/openaiService';
+import { loadApiKey, saveApiKey, clearApiKey } from '../services/apiKeyService';
 
 /**
- * Component to manage API initialization
- * This is now a simpler component that automatically initializes the API
- * without requiring user input
+ * AI features the server can offer, in the order they are listed
+ * @type {Array<{id: string, label: string}>}
+ */
+const FEATURES = [
+  { id: 'text', label: 'Titles, plots and trailers' },
+  { id: 'image', label: 'Posters' },
+  { id: 'audio', label: 'Trailer voice-over' }
+];
+
+/**
+ * Explain whose key the requests use
+ * @param {import('../services/openaiService').Capabilities} capabilities - What the server reported
+ * @param {boolean} keySaved - Whether the user's key is saved in this browser
+ * @returns {string} - Explanation for the user
+ */
+function describeKeySource(capabilities, keySaved) {
+  if (capabilities.keySource === 'user') {
+    return keySaved
+      ? 'Using your own OpenAI key, stored encrypted in this browser.'
+      : 'Using your own OpenAI key for this visit. This browser cannot store it, so you will need to add it again next time.';
+  }
+  if (capabilities.keySource === 'server') {
+    return 'Using the server\'s OpenAI key. You can add your own key instead.';
+  }
+  if (capabilities.configured) {
+    return `The ${capabilities.provider} provider needs no API key.`;
+  }
+  return 'The server has no API key. Add your own OpenAI key to turn the AI features on.';
+}
+
+/**
+ * Checks which AI features the server can offer and lets the user bring
+ * their own OpenAI key. The key is checked with a cheap request before it is
+ * saved, stored encrypted in the browser and sent along with every request.
  *
  * @param {Object} props - Component props
- * @param {Function} props.onInitialized - Callback when API is initialized
+ * @param {function(import('../services/openaiService').Capabilities|null): void} props.onInitialized - Called with the server's capabilities after every check, or null if the server could not be reached
  * @returns {JSX.Element} - React component
  */
 function ApiKeyManager({ onInitialized }) {
-  // Initialize OpenAI on component mount
+  const [capabilities, setCapabilities] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [hasUserKey, setHasUserKey] = useState(false);
+  const [keySaved, setKeySaved] = useState(false);
+  const [keyInput, setKeyInput] = useState('');
+  const [validating, setValidating] = useState(false);
+  const [error, setError] = useState('');
+  // App passes a new callback on every render; only the latest one matters
+  const onInitializedRef = useRef(onInitialized);
+  onInitializedRef.current = onInitialized;
+
+  const refreshCapabilities = useCallback(async () => {
+    setChecking(true);
+    const result = await initializeOpenAI();
+    setCapabilities(result);
+    setError(result ? '' : 'Could not reach the server to check which AI features are available.');
+    setChecking(false);
+    onInitializedRef.current(result);
+  }, []);
+
+  // Pick up a key saved on an earlier visit before asking the server
   useEffect(() => {
-    const success = initializeOpenAI();
-    onInitialized(success);
-  }, [onInitialized]);
+    loadApiKey()
+      .catch(() => null)
+      .then((apiKey) => {
+        setUserApiKey(apiKey);
+        setHasUserKey(Boolean(apiKey));
+        setKeySaved(Boolean(apiKey));
+        return refreshCapabilities();
+      });
+  }, [refreshCapabilities]);
+
+  const handleSaveKey = async (event) => {
+    event.preventDefault();
+    const apiKey = keyInput.trim();
+    if (!apiKey) return;
+
+    setValidating(true);
+    setError('');
+    const result = await validateApiKey(apiKey);
+    if (!result.valid) {
+      setError(result.message);
+      setValidating(false);
+      return;
+    }
+
+    let saved = true;
+    try {
+      await saveApiKey(apiKey);
+    } catch (saveError) {
+      // Still usable until the page is closed
+      console.warn('Could not save the API key:', saveError);
+      saved = false;
+    }
+
+    setUserApiKey(apiKey);
+    setHasUserKey(true);
+    setKeySaved(saved);
+    setKeyInput('');
+    setValidating(false);
+    await refreshCapabilities();
+  };
+
+  const handleRemoveKey = async () => {
+    await clearApiKey();
+    setUserApiKey(null);
+    setHasUserKey(false);
+    setKeySaved(false);
+    await refreshCapabilities();
+  };
+
+  const available = FEATURES.filter(({ id }) => capabilities?.features?.[id]);
 
   return (
     <div className="api-key-manager">
-      <div className="api-key-stored">
-        <p>
-          <span className="success-icon">✓</span> AI features are ready to use
-        </p>
-        <p className="api-info">
-          This app uses AI to generate movie plots, trailers, and posters.
-        </p>
+      <div className="api-status" role="status">
+        {checking && !capabilities ? (
+          <p>Checking which AI features are available...</p>
+        ) : capabilities && (
+          <>
+            <div className={available.length > 0 ? 'api-key-stored' : 'api-key-stored api-key-missing'}>
+              <p>
+                {available.length === FEATURES.length
+                  ? <><span className="success-icon">✓</span> AI features are ready to use</>
+                  : available.length > 0
+                    ? 'Some AI features are available'
+                    : 'AI features are off'}
+              </p>
+            </div>
+            <ul className="feature-status">
+              {FEATURES.map(({ id, label }) => (
+                <li key={id} className={capabilities.features?.[id] ? 'available' : 'unavailable'}>
+                  {capabilities.features?.[id] ? '✓' : '✗'} {label}
+                </li>
+              ))}
+            </ul>
+            <p className="api-info">{describeKeySource(capabilities, keySaved)}</p>
+            {capabilities.budget && (
+              <p className="api-info">
+                Today's shared AI budget: {capabilities.budget.remaining} of {capabilities.budget.limit} credits left.
+              </p>
+            )}
+          </>
+        )}
       </div>
+
+      {hasUserKey ? (
+        <button className="clear-key-btn" onClick={handleRemoveKey} disabled={checking}>
+          Remove My Key
+        </button>
+      ) : (
+        <form className="api-key-form" onSubmit={handleSaveKey}>
+          <label htmlFor="api-key-input" className="api-key-info">
+            Your OpenAI API key (optional)
+          </label>
+          <div className="input-group">
+            <input
+              id="api-key-input"
+              className="api-key-input"
+              type="password"
+              autoComplete="off"
+              placeholder="sk-..."
+              value={keyInput}
+              onChange={(event) => setKeyInput(event.target.value)}
+            />
+            <button type="submit" className="submit-key-btn" disabled={validating || !keyInput.trim()}>
+              {validating ? 'Checking...' : 'Use My Key'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="error-message" role="alert">{error}</p>}
     </div>
   );
 }
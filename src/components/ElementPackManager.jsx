@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import {
+    getAllPacks,
+    getEnabledPackIds,
+    setPackEnabled,
+    isBuiltInPack,
+    importPack,
+    removeCustomPack,
+    exportPack,
+    getActivePools
+} from '../services/elementPackService';
+
+/**
+ * Count the values a pack provides across all categories
+ * @param {import('../services/elementPackService').ElementPack} pack - The pack
+ * @returns {number} - Number of element values
+ */
+function countElements(pack) {
+    return Object.values(pack.elements).reduce((total, values) => total + values.length, 0);
+}
+
+/**
+ * Offer a pack as a JSON file download
+ * @param {import('../services/elementPackService').ElementPack} pack - Pack to download
+ */
+function downloadPack(pack) {
+    const blob = new Blob([exportPack(pack)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${pack.id}-${pack.version}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Manage the element packs the generator draws from: enable or disable
+ * packs, import custom packs from JSON files and export packs for sharing.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onPoolsChange - Callback with the merged pools whenever the enabled packs change
+ * @returns {JSX.Element} - React component
+ */
+function ElementPackManager({ onPoolsChange }) {
+    const [packs, setPacks] = useState(getAllPacks);
+    const [enabledIds, setEnabledIds] = useState(getEnabledPackIds);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState('');
+
+    const refresh = () => {
+        setPacks(getAllPacks());
+        setEnabledIds(getEnabledPackIds());
+        onPoolsChange(getActivePools());
+    };
+
+    const handleToggle = (id) => {
+        setPackEnabled(id, !enabledIds.includes(id));
+        refresh();
+    };
+
+    const handleImport = async (event) => {
+        const file = event.target.files && event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setError(null);
+        setMessage('');
+
+        try {
+            const pack = importPack(await file.text());
+            setMessage(`Imported "${pack.name}" v${pack.version}.`);
+            refresh();
+        } catch (error) {
+            console.error('Failed to import element pack:', error);
+            setError(error.message);
+        }
+    };
+
+    const handleRemove = (pack) => {
+        if (!window.confirm(`Remove the "${pack.name}" pack?`)) return;
+
+        removeCustomPack(pack.id);
+        refresh();
+    };
+
+    return (
+        <div className="element-packs">
+            <h2>Element Packs</h2>
+            <p>
+                Packs supply the settings, villains, weapons, cameos and everything else the
+                generator picks from. Enable several to mix them together.
+            </p>
+
+            <div className="studio-controls">
+                <label className="pack-import">
+                    Import pack (.json)
+                    <input type="file" accept="application/json,.json" onChange={handleImport} />
+                </label>
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    {error}
+                </div>
+            )}
+            {message && <p className="pack-message">{message}</p>}
+
+            <ul className="pack-list">
+                {packs.map((pack) => (
+                    <li key={pack.id} className="pack-item">
+                        <label className="pack-toggle">
+                            <input
+                                type="checkbox"
+                                checked={enabledIds.includes(pack.id)}
+                                onChange={() => handleToggle(pack.id)}
+                            />
+                            <span>
+                                <strong>{pack.name}</strong> <small>v{pack.version}</small>
+                                {isBuiltInPack(pack.id) && <small className="pack-badge">built-in</small>}
+                                <br />
+                                <small>{pack.description || `${countElements(pack)} elements`}</small>
+                            </span>
+                        </label>
+                        <div className="pack-actions">
+                            <button className="clear-key-btn" onClick={() => downloadPack(pack)}>
+                                Export
+                            </button>
+                            {!isBuiltInPack(pack.id) && (
+                                <button className="clear-key-btn" onClick={() => handleRemove(pack)}>
+                                    Remove
+                                </button>
+                            )}
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default ElementPackManager;
@@ -0,0 +1,23 @@
+import React from 'react';
+
+/**
+ * Progress bar for a background job running on the server
+ *
+ * @param {Object} props - Component props
+ * @param {import('../services/openaiService').JobProgress} props.job - Latest job status
+ * @returns {JSX.Element} - React component
+ */
+function JobProgress({ job }) {
+    const percent = Math.round((job.progress || 0) * 100);
+
+    return (
+        <div className="job-progress">
+            <progress value={percent} max="100" aria-label={job.message}>{percent}%</progress>
+            <p className="job-progress-message">
+                {job.status === 'queued' ? 'Waiting for a free slot...' : job.message} ({percent}%)
+            </p>
+        </div>
+    );
+}
+
+export default JobProgress;
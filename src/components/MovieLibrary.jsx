@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import {
+    listMovies,
+    toggleFavorite,
+    deleteMovie
+} from '../services/libraryService';
+
+/**
+ * Create an object URL for a stored blob and revoke it when it changes or unmounts
+ * @param {Blob|null} blob - The blob to expose
+ * @returns {string} - Object URL, or an empty string when there is no blob
+ */
+function useObjectUrl(blob) {
+    const [url, setUrl] = useState('');
+
+    useEffect(() => {
+        if (!blob) {
+            setUrl('');
+            return undefined;
+        }
+
+        const objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+        return () => URL.revokeObjectURL(objectUrl);
+    }, [blob]);
+
+    return url;
+}
+
+/**
+ * Detailed view of a single library entry
+ *
+ * @param {Object} props - Component props
+ * @param {import('../services/libraryService').LibraryEntry} props.movie - The entry to show
+ * @param {Function} [props.onOpen] - Callback to open the movie in the generator
+ * @returns {JSX.Element} - React component
+ */
+function LibraryDetail({ movie, onOpen }) {
+    const posterUrl = useObjectUrl(movie.posterImage);
+    const audioUrl = useObjectUrl(movie.trailerAudio);
+    const { elements } = movie;
+
+    return (
+        <div className="library-detail">
+            <h3>{movie.title}</h3>
+
+            {(posterUrl || movie.posterImageUrl) && (
+                <div className="poster-image">
+                    <img src={posterUrl || movie.posterImageUrl} alt={`${movie.title} movie poster`} />
+                </div>
+            )}
+
+            {audioUrl && (
+                <div className="library-audio">
+                    <audio controls src={audioUrl} />
+                </div>
+            )}
+
+            {movie.plot ? (
+                <div className="plot-text">
+                    {movie.plot.split('\n').map((text, index) => (
+                        <p key={index}>{text.trim()}</p>
+                    ))}
+                </div>
+            ) : (
+                <div className="poster-details">
+                    <p><strong>Featuring:</strong> Jason Statham as a former {elements.formerProfession}</p>
+                    <p><strong>Villain:</strong> {elements.villain}</p>
+                    <p><strong>Setting:</strong> {elements.setting}</p>
+                </div>
+            )}
+
+            {movie.trailer && (
+                <details className="library-trailer">
+                    <summary>Trailer script</summary>
+                    <pre>{movie.trailer}</pre>
+                </details>
+            )}
+
+            {movie.posterDescription && (
+                <details className="library-trailer">
+                    <summary>Poster description</summary>
+                    <pre>{movie.posterDescription}</pre>
+                </details>
+            )}
+
+            {onOpen && (
+                <button className="generate-btn" onClick={() => onOpen(movie)}>
+                    Open in Generator
+                </button>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Browse, search, favorite and delete movies saved in the local library
+ *
+ * @param {Object} props - Component props
+ * @param {Function} [props.onOpenMovie] - Callback to open a saved movie in the generator
+ * @returns {JSX.Element} - React component
+ */
+function MovieLibrary({ onOpenMovie }) {
+    const [movies, setMovies] = useState([]);
+    const [query, setQuery] = useState('');
+    const [favoritesOnly, setFavoritesOnly] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadMovies = async () => {
+        try {
+            const entries = await listMovies({ query, favoritesOnly });
+            setMovies(entries);
+            setError(null);
+        } catch (error) {
+            console.error('Failed to load library:', error);
+            setError('Could not open the movie library in this browser.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadMovies();
+    }, [query, favoritesOnly]);
+
+    const handleToggleFavorite = async (id) => {
+        try {
+            await toggleFavorite(id);
+        } catch (error) {
+            console.error('Failed to update favorite:', error);
+            setError('Could not update the movie in your library.');
+            return;
+        }
+        loadMovies();
+    };
+
+    const handleDelete = async (movie) => {
+        if (!window.confirm(`Delete "${movie.title}" from your library?`)) return;
+
+        try {
+            await deleteMovie(movie.id);
+        } catch (error) {
+            console.error('Failed to delete movie:', error);
+            setError('Could not delete the movie from your library.');
+            return;
+        }
+        if (selectedId === movie.id) {
+            setSelectedId(null);
+        }
+        loadMovies();
+    };
+
+    const selectedMovie = movies.find((movie) => movie.id === selectedId);
+
+    return (
+        <div className="movie-library">
+            <h2>Movie Library</h2>
+            <p>Every movie you generate is saved here on this device.</p>
+
+            <div className="library-controls">
+                <input
+                    type="search"
+                    className="library-search"
+                    placeholder="Search by title, villain or setting"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={favoritesOnly}
+                        onChange={() => setFavoritesOnly(!favoritesOnly)}
+                    />
+                    Favorites only
+                </label>
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <p className="generating-text">Loading library...</p>
+            ) : movies.length === 0 ? (
+                <p className="library-empty">
+                    {query || favoritesOnly ? 'No movies match your search.' : 'No movies yet. Go make some!'}
+                </p>
+            ) : (
+                <div className="library-layout">
+                    <ul className="library-list">
+                        {movies.map((movie) => (
+                            <li
+                                key={movie.id}
+                                className={`library-item ${movie.id === selectedId ? 'active' : ''}`}
+                            >
+                                <button
+                                    className="library-item-main"
+                                    onClick={() => setSelectedId(movie.id)}
+                                >
+                                    <strong>{movie.title}</strong>
+                                    <span>{movie.elements.villain} · {movie.elements.setting}</span>
+                                    <small>{new Date(movie.createdAt).toLocaleString()}</small>
+                                </button>
+                                <button
+                                    className={`favorite-btn ${movie.favorite ? 'active' : ''}`}
+                                    onClick={() => handleToggleFavorite(movie.id)}
+                                    title={movie.favorite ? 'Remove from favorites' : 'Add to favorites'}
+                                >
+                                    {movie.favorite ? '★' : '☆'}
+                                </button>
+                                <button
+                                    className="delete-btn"
+                                    onClick={() => handleDelete(movie)}
+                                    title="Delete"
+                                >
+                                    ✕
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    {selectedMovie ? (
+                        <LibraryDetail movie={selectedMovie} onOpen={onOpenMovie} />
+                    ) : (
+                        <p className="library-empty">Select a movie to see its details.</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default MovieLibrary;
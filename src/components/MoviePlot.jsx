@@ -1,13 +1,19 @@
 import React, { useState, useEffect, useRef } from 'react';
 import {
     generateTitle,
-    generateMoviePlot,
-    generateMovieTrailer,
+    streamMoviePlot,
+    streamMovieTrailer,
     generateTrailerAudio
 } from '../services/openaiService';
+import PlotElementEditor from './PlotElementEditor';
+import JobProgress from './JobProgress';
+import { createRandom, generateSeed, normalizeSeed } from '../utils/random';
+import { FALLBACK_ELEMENTS, ELEMENT_FIELDS } from '../data/plotElements';
 
 /**
  * @typedef {Object} PlotElements
+ * @property {string} seed - Seed the elements were rolled from
+ * @property {boolean} [edited] - Whether elements were locked or re-rolled after rolling from the seed
  * @property {string} title - The title of the movie
  * @property {string} setting - The setting where the movie takes place
  * @property {string} formerProfession - Jason Statham's former profession
@@ -29,11 +35,33 @@ import {
  * @property {string|Object} [summary] - Plot summary or AI response object
  */
 
+/**
+ * How the boss goes down when hardcore mode is off
+ * @type {string}
+ */
+const TAME_BOSS_KILL = 'defeated in an epic showdown';
+
+/**
+ * Pick a value from a list, avoiding the current value when there is an alternative
+ * @param {import('../utils/random').SeededRandom} rng - Random generator
+ * @param {string[]} options - Values to choose from
+ * @param {string} current - Value to avoid
+ * @returns {string} - The chosen value
+ */
+function pickDifferent(rng, options, current) {
+    const alternatives = options.filter((option) => option !== current);
+    return rng.pick(alternatives.length > 0 ? alternatives : options);
+}
+
 /**
  * @typedef {Object} MoviePlotProps
  * @property {function(PlotElements): void} [onPlotGenerated] - Callback when plot is generated
  * @property {boolean} [studioMode] - Whether component is in studio mode
  * @property {boolean} [openaiEnabled] - Whether OpenAI features are enabled
+ * @property {boolean} [audioEnabled] - Whether the server can voice trailers; defaults to openaiEnabled
+ * @property {PlotElements} [initialPlot] - Previously generated movie to show without calling the API
+ * @property {function(string): void} [onAudioGenerated] - Callback with the trailer audio URL once generated
+ * @property {Object<string, string[]>} [elementPools] - Element pools from the enabled element packs
  */
 
 /**
@@ -42,7 +70,15 @@ import {
  * @param {MoviePlotProps} props - Component props
  * @returns {React.ReactElement} - React component
  */
-function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false }) {
+function MoviePlot({
+    onPlotGenerated,
+    studioMode = false,
+    openaiEnabled = false,
+    audioEnabled = openaiEnabled,
+    initialPlot = null,
+    onAudioGenerated,
+    elementPools = FALLBACK_ELEMENTS
+}) {
     const [plot, setPlot] = useState(null);
     const [trailerMode, setTrailerMode] = useState(false);
     const [hardcoreMode, setHardcoreMode] = useState(false);
@@ -50,137 +86,21 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
     const [loading, setLoading] = useState(false);
     const [aiGeneratedPlot, setAiGeneratedPlot] = useState('');
     const [aiGeneratedTrailer, setAiGeneratedTrailer] = useState('');
+    // Which AI text ('plot' or 'trailer') is currently arriving token by token
+    const [streaming, setStreaming] = useState(null);
     const [trailerAudioUrl, setTrailerAudioUrl] = useState('');
     const [isGeneratingAudio, setIsGeneratingAudio] = useState(false);
+    // Latest status of the server's audio job while the voice-over is recorded
+    const [audioProgress, setAudioProgress] = useState(null);
     const [isPlayingAudio, setIsPlayingAudio] = useState(false);
     const [error, setError] = useState(null);
+    const [seedInput, setSeedInput] = useState('');
+    const [lockedFields, setLockedFields] = useState({});
+    const [editorOpen, setEditorOpen] = useState(false);
     const audioRef = useRef(null);
 
-    // Fallback elements if API fails
-    const fallbackElements = {
-        titles: [
-            'Steel Vengeance', 'Midnight Execute', 'Urban Predator',
-            'Blood Protocol', 'Maximum Impact', 'Terminal Velocity',
-            'Shadow Operative', 'Lethal Measure', 'Absolute Zero',
-            'Deadlock', 'Hard Target', 'Tactical Strike',
-            'Bullet Business', 'Concrete Jungle', 'Chrome Fury',
-            'Iron Command', 'Shock Wave', 'Savage Justice'
-        ],
-        settings: [
-            'post-apocalyptic London', 'underground fight club in Bangkok',
-            'high-speed train across Europe', 'skyscraper in Dubai',
-            'secret government facility', 'luxury yacht in the Mediterranean',
-            'abandoned prison complex', 'illegal street racing circuit in Tokyo',
-            'remote military outpost', 'elite assassins\' convention'
-        ],
-        formerProfessions: [
-            'Navy SEAL', 'MI6 Operative', 'Special Forces soldier',
-            'undercover cop', 'elite hitman', 'government assassin',
-            'private military contractor', 'black ops specialist',
-            'Delta Force commando', 'Royal Marines officer',
-            'CIA field agent', 'KGB defector', 'Spetsnaz operative',
-            'bomb disposal expert', 'hostage negotiator', 'SWAT team leader',
-            'combat medic', 'military interrogator', 'foreign legion veteran',
-            'covert operations specialist', 'counter-terrorism expert',
-            'intelligence officer', 'deep cover operative', 'pararescue jumper'
-        ],
-        currentJobs: [
-            'gas station attendant', 'grocery store clerk', 'auto mechanic',
-            'bartender', 'bouncer at a local club',
-            'fishing boat captain', 'martial arts instructor',
-            'construction worker', 'warehouse worker', 'truck driver',
-            'handyman', 'tow truck operator', 'factory worker',
-            'security guard', 'janitor', 'logger', 'plumber',
-            'electrician', 'delivery driver', 'diner cook',
-            'maintenance worker', 'gardener', 'roadside mechanic'
-        ],
-        plotTriggers: [
-            'his daughter is kidnapped', 'his brother is murdered',
-            'an old enemy resurfaces', 'he witnesses a brutal crime',
-            'he\'s framed for a crime he didn\'t commit', 'his peaceful town is threatened',
-            'his hidden past is exposed', 'a mysterious package is delivered to him'
-        ],
-        villains: [
-            'a ruthless drug lord', 'his former mentor turned arms dealer',
-            'corrupt government officials', 'a tech billionaire with mind-control technology',
-            'twin assassins with martial arts skills', 'a criminal mastermind',
-            'an international terrorist organization', 'a sadistic crime family'
-        ],
-        villainGroups: [
-            'the Russian Mob', 'the Yakuza', 'the Triads',
-            'Eastern European gangsters', 'rogue intelligence operatives',
-            'private military contractors', 'a secret society of assassins'
-        ],
-        sidekicks: [
-            'a genius hacker', 'a reluctant rookie cop',
-            'an undercover agent', 'a witty getaway driver',
-            'a skilled martial artist', 'an arms dealer',
-            'his estranged ex-partner', 'a reformed criminal'
-        ],
-        plotTwists: [
-            'he discovers he has only 24 hours to live',
-            'his supposedly dead wife is behind everything',
-            'the mission is a cover for a larger conspiracy',
-            'his sidekick betrays him at the crucial moment',
-            'the villain is his biological sibling',
-            'he\'s been used as a pawn in a government experiment',
-            'he\'s actually the villain\'s clone',
-            'everything was orchestrated by his commanding officer'
-        ],
-        vehicles: [
-            'a modified muscle car', 'a military-grade motorcycle',
-            'a stealth helicopter', 'an armored truck',
-            'a souped-up sports car', 'a weaponized jet ski',
-            'an experimental hovercraft', 'a vintage Aston Martin'
-        ],
-        weapons: [
-            'dual pistols with custom ammunition', 'a prototype energy weapon',
-            'his bare hands and martial arts skills', 'everyday items turned into weapons',
-            'a high-tech multi-tool', 'a rare ancient weapon',
-            'an experimental government firearm', 'a customized sniper rifle'
-        ],
-        actionScenes: [
-            'a brutal fight in a kitchen using cookware as weapons',
-            'a high-speed chase through narrow city streets',
-            'a shootout in an abandoned warehouse',
-            'hand-to-hand combat on top of a moving train',
-            'an explosive escape from a collapsing building',
-            'an underwater battle with enemy divers'
-        ],
-        villainHideouts: [
-            'a luxurious nightclub', 'a fortified warehouse complex',
-            'a private island mansion', 'a penthouse apartment',
-            'an abandoned factory', 'an underground bunker',
-            'a heavily guarded compound', 'a remote mountain fortress'
-        ],
-        bossFights: [
-            'a hand-to-hand fight on a helicopter pad during a storm',
-            'a brutal showdown in a burning building',
-            'a chase through a maze of shipping containers',
-            'a final confrontation in a sacred temple',
-            'a battle on the edge of a skyscraper',
-            'a fight to the death in an industrial meat freezer'
-        ],
-        bossKills: [
-            'thrown into industrial machinery',
-            'ejected from a plane at high altitude',
-            'impaled on their own weapon',
-            'crushed by falling debris',
-            'drowned in a tank of water',
-            'blown up by their own explosives'
-        ],
-        cameos: [
-            'Dwayne "The Rock" Johnson as a rival operative',
-            'Vin Diesel as an old army buddy',
-            'Tom Hardy as a mysterious informant',
-            'Ryan Reynolds as a chatty weapons dealer',
-            'Charlize Theron as a deadly assassin',
-            'Michelle Rodriguez as a street-racing contact'
-        ]
-    };
-
-    const random = (arr) => arr[Math.floor(Math.random() * arr.length)];
-    const includeCameo = () => Math.random() > 0.7; // 30% chance of a cameo
+    // Elements to pick from, supplied by the enabled element packs
+    const fallbackElements = elementPools;
 
     useEffect(() => {
         return () => {
@@ -190,9 +110,27 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
         };
     }, [trailerAudioUrl]);
 
+    // Restore a previously generated movie (e.g. from a shared link) as-is
+    useEffect(() => {
+        if (!initialPlot) return;
+
+        const summary = initialPlot.summary;
+        setPlot(initialPlot);
+        setAiGeneratedPlot(summary && typeof summary === 'object' ? summary.plot || '' : summary || '');
+        setAiGeneratedTrailer(initialPlot.trailer || '');
+        setTrailerAudioUrl('');
+        setError(null);
+    }, [initialPlot]);
+
+    // In studio mode, develop the given elements (or a random movie) as soon as we mount
     useEffect(() => {
         if (studioMode && !plot) {
-            generatePlot();
+            if (initialPlot) {
+                const { summary, trailer, ...elements } = initialPlot;
+                developPlot(elements, initialPlot.title, { keepTitle: true });
+            } else {
+                generatePlot();
+            }
         }
     }, [studioMode]);
 
@@ -225,16 +163,21 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
     }, [audioRef.current]);
 
     const generateAudio = async (trailerText) => {
-        if (!openaiEnabled || !trailerText || trailerText.length < 10) return;
+        if (!openaiEnabled || !audioEnabled || !trailerText || trailerText.length < 10) return;
 
         setIsGeneratingAudio(true);
+        setAudioProgress(null);
         setError(null);
 
         try {
-            const audioUrl = await generateTrailerAudio(trailerText);
+            const audioUrl = await generateTrailerAudio(trailerText, { onProgress: setAudioProgress });
             if (audioUrl) {
                 setTrailerAudioUrl(audioUrl);
 
+                if (onAudioGenerated) {
+                    onAudioGenerated(audioUrl);
+                }
+
                 if (audioRef.current) {
                     setTimeout(() => {
                         audioRef.current.play()
@@ -249,30 +192,43 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
             setError("Error generating audio: " + (error.message || "Unknown error"));
         } finally {
             setIsGeneratingAudio(false);
+            setAudioProgress(null);
         }
     };
 
-    const generateDynamicTitle = async (plotElements) => {
+    const generateDynamicTitle = async (plotElements, fallbackTitle) => {
         if (!openaiEnabled || !useAI) {
-            return random(fallbackElements.titles);
+            return fallbackTitle;
         }
 
         try {
             const title = await generateTitle(plotElements);
-            return title || random(fallbackElements.titles);
+            return title || fallbackTitle;
         } catch (error) {
             console.error('Error generating title:', error);
-            return random(fallbackElements.titles);
+            return fallbackTitle;
         }
     };
 
-    const generateOpenAIContent = async (plotElements) => {
+    /**
+     * Stream the AI plot (and, if no plot comes back, the trailer) for a set of elements
+     * @param {PlotElements} plotElements - Elements to write about
+     * @param {Object} [options] - Generation options
+     * @param {boolean} [options.keepTitle] - Ignore any title the model suggests
+     * @returns {Promise<Object|null>} - The AI plot and title, or null
+     */
+    const generateOpenAIContent = async (plotElements, { keepTitle = false } = {}) => {
         if (!openaiEnabled || !useAI) return null;
 
         setError(null);
 
         try {
-            const aiPlot = await generateMoviePlot(plotElements);
+            setStreaming('plot');
+            const aiPlot = await streamMoviePlot(plotElements, {
+                onToken: (text) => setAiGeneratedPlot((prev) => prev + text),
+                ...(keepTitle ? {} : { onTitle: (title) => setPlot((prev) => prev && { ...prev, title }) })
+            });
+            setStreaming(null);
             if (aiPlot) {
                 if (typeof aiPlot === 'string') {
                     setAiGeneratedPlot(aiPlot);
@@ -290,10 +246,14 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
                 }
             }
 
-            const aiTrailer = await generateMovieTrailer({
+            setStreaming('trailer');
+            const aiTrailer = await streamMovieTrailer({
                 ...plotElements,
                 plot: aiGeneratedPlot
+            }, {
+                onToken: (text) => setAiGeneratedTrailer((prev) => prev + text)
             });
+            setStreaming(null);
 
             if (aiTrailer) {
                 setAiGeneratedTrailer(aiTrailer);
@@ -308,53 +268,111 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
             console.error('Error generating OpenAI content:', error);
             setError("Failed to generate content. Using fallback generator.");
             return null;
+        } finally {
+            setStreaming(null);
         }
     };
 
+    /**
+     * Roll a fresh set of plot elements from a seed, keeping locked fields
+     * from the current plot. Every value is drawn in a fixed order (locked or
+     * not) so the same seed always yields the same unlocked elements.
+     *
+     * @param {string} seed - Seed to roll from
+     * @returns {{plotElements: PlotElements, fallbackTitle: string}} - Rolled elements and a non-AI title
+     */
+    const rollPlotElements = (seed) => {
+        const rng = createRandom(seed);
+        const hasCameo = rng.chance(0.3); // 30% chance of a cameo
+        const plotElements = {
+            seed,
+            setting: rng.pick(fallbackElements.settings),
+            formerProfession: rng.pick(fallbackElements.formerProfessions),
+            currentJob: rng.pick(fallbackElements.currentJobs),
+            plotTrigger: rng.pick(fallbackElements.plotTriggers),
+            villain: rng.pick(fallbackElements.villains),
+            villainGroup: rng.pick(fallbackElements.villainGroups),
+            sidekick: rng.pick(fallbackElements.sidekicks),
+            plotTwist: rng.pick(fallbackElements.plotTwists),
+            vehicle: rng.pick(fallbackElements.vehicles),
+            weapon: rng.pick(fallbackElements.weapons),
+            actionScene: rng.pick(fallbackElements.actionScenes),
+            villainHideout: rng.pick(fallbackElements.villainHideouts),
+            bossFight: rng.pick(fallbackElements.bossFights),
+            bossKill: rng.pick(fallbackElements.bossKills),
+            hasCameo,
+            cameo: hasCameo ? rng.pick(fallbackElements.cameos) : '',
+            title: '' // Initialize the title property
+        };
+        const fallbackTitle = rng.pick(fallbackElements.titles);
+
+        // The kill is always rolled so toggling hardcore mode keeps the other elements stable
+        if (!hardcoreMode) {
+            plotElements.bossKill = TAME_BOSS_KILL;
+        }
+
+        if (plot) {
+            const lockedKeys = Object.keys(lockedFields).filter((key) => lockedFields[key]);
+            for (const key of lockedKeys) {
+                plotElements[key] = plot[key];
+                if (key === 'cameo') {
+                    plotElements.hasCameo = plot.hasCameo;
+                }
+            }
+            if (lockedKeys.length > 0) {
+                plotElements.edited = true;
+            }
+        }
+
+        return { plotElements, fallbackTitle };
+    };
+
     const generatePlot = async () => {
+        const seed = normalizeSeed(seedInput) || generateSeed();
+        const { plotElements, fallbackTitle } = rollPlotElements(seed);
+        await developPlot(plotElements, fallbackTitle, { keepTitle: Boolean(plot && lockedFields.title) });
+    };
+
+    /**
+     * Turn a set of plot elements into a full movie: title, AI summary and
+     * trailer (when AI is enabled) or the template-based plot otherwise.
+     *
+     * @param {PlotElements} plotElements - Elements to build the movie from
+     * @param {string} fallbackTitle - Title to use when AI is unavailable
+     * @param {Object} [options] - Development options
+     * @param {boolean} [options.keepTitle] - Keep plotElements.title instead of generating a new one
+     */
+    const developPlot = async (plotElements, fallbackTitle, { keepTitle = false } = {}) => {
         setLoading(true);
         setTrailerAudioUrl('');
+        setAiGeneratedPlot('');
+        setAiGeneratedTrailer('');
         setError(null);
 
-        // First, generate plot elements
-        const hasCameo = includeCameo();
-        const plotElements = {
-            setting: random(fallbackElements.settings),
-            formerProfession: random(fallbackElements.formerProfessions),
-            currentJob: random(fallbackElements.currentJobs),
-            plotTrigger: random(fallbackElements.plotTriggers),
-            villain: random(fallbackElements.villains),
-            villainGroup: random(fallbackElements.villainGroups),
-            sidekick: random(fallbackElements.sidekicks),
-            plotTwist: random(fallbackElements.plotTwists),
-            vehicle: random(fallbackElements.vehicles),
-            weapon: random(fallbackElements.weapons),
-            actionScene: random(fallbackElements.actionScenes),
-            villainHideout: random(fallbackElements.villainHideouts),
-            bossFight: random(fallbackElements.bossFights),
-            bossKill: hardcoreMode ? random(fallbackElements.bossKills) : "defeated in an epic showdown",
-            hasCameo,
-            cameo: hasCameo ? random(fallbackElements.cameos) : '',
-            title: '' // Initialize the title property
-        };
+        // A locked or hand-picked title survives whatever the model suggests
+        const titleLocked = Boolean(keepTitle && plotElements.title);
 
         try {
             // Generate a title dynamically if using AI
-            if (openaiEnabled && useAI) {
-                plotElements.title = await generateDynamicTitle(plotElements);
+            if (titleLocked) {
+                // The title is locked or was chosen by the user
+            } else if (openaiEnabled && useAI) {
+                plotElements.title = await generateDynamicTitle(plotElements, fallbackTitle);
             } else {
-                plotElements.title = random(fallbackElements.titles);
+                plotElements.title = fallbackTitle;
             }
 
             // Generate AI content if enabled
             if (openaiEnabled && useAI) {
-                const aiContent = await generateOpenAIContent(plotElements);
+                // Show the elements straight away so the plot can stream in below them
+                setPlot(plotElements);
+                const aiContent = await generateOpenAIContent(plotElements, { keepTitle: titleLocked });
 
                 if (aiContent) {
                     // If we received AI content with a title, use it
                     const fullPlot = {
                         ...plotElements,
-                        ...(aiContent.title ? { title: aiContent.title } : {}),
+                        ...(aiContent.title && !titleLocked ? { title: aiContent.title } : {}),
                         summary: aiContent.plot || aiContent,
                         trailer: '', // Initialize the trailer property
                     };
@@ -363,7 +381,10 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
 
                     // Generate trailer
                     try {
-                        const aiTrailer = await generateMovieTrailer(fullPlot);
+                        setStreaming('trailer');
+                        const aiTrailer = await streamMovieTrailer(fullPlot, {
+                            onToken: (text) => setAiGeneratedTrailer((prev) => prev + text)
+                        });
                         if (aiTrailer) {
                             setAiGeneratedTrailer(aiTrailer);
                             fullPlot.trailer = aiTrailer;
@@ -374,6 +395,8 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
                         }
                     } catch (trailerError) {
                         console.error('Error generating trailer:', trailerError);
+                    } finally {
+                        setStreaming(null);
                     }
 
                     // Pass the generated plot to parent component
@@ -397,6 +420,55 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
         }
     };
 
+    /**
+     * Re-roll a single element of the current plot and regenerate the
+     * summary and trailer around it. The title is kept.
+     *
+     * @param {string} key - PlotElements field to re-roll
+     */
+    const rerollField = async (key) => {
+        if (!plot || loading) return;
+
+        const field = ELEMENT_FIELDS.find((candidate) => candidate.key === key);
+        const rng = createRandom(generateSeed());
+        const { summary, trailer, ...elements } = plot;
+        const plotElements = { ...elements, edited: true };
+
+        if (key === 'title') {
+            const fallbackTitle = pickDifferent(rng, fallbackElements.titles, plot.title);
+            plotElements.title = await generateDynamicTitle({ ...plotElements, title: '' }, fallbackTitle);
+        } else if (key === 'bossKill' && !hardcoreMode) {
+            plotElements.bossKill = TAME_BOSS_KILL;
+        } else {
+            plotElements[key] = pickDifferent(rng, fallbackElements[field.pool], plot[key]);
+            if (key === 'cameo') {
+                plotElements.hasCameo = true;
+            }
+        }
+
+        await developPlot(plotElements, plot.title, { keepTitle: true });
+    };
+
+    /**
+     * Generate a movie from elements the user built in the editor
+     * @param {PlotElements} elements - Validated, hand-built elements
+     */
+    const generateFromEditor = async (elements) => {
+        const seed = (plot && plot.seed) || generateSeed();
+        const fallbackTitle = createRandom(seed).pick(fallbackElements.titles);
+
+        setEditorOpen(false);
+        await developPlot(
+            { ...elements, seed, edited: true },
+            fallbackTitle,
+            { keepTitle: Boolean(elements.title) }
+        );
+    };
+
+    const toggleLock = (key) => {
+        setLockedFields((prev) => ({ ...prev, [key]: !prev[key] }));
+    };
+
     const createBasicPlot = (plotElements) => {
         setPlot(plotElements);
 
@@ -430,9 +502,9 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
 
         // Use AI-generated content if available
         if (openaiEnabled && useAI) {
-            if (trailerMode && aiGeneratedTrailer) {
+            if (trailerMode && (aiGeneratedTrailer || streaming === 'trailer')) {
                 return aiGeneratedTrailer;
-            } else if (!trailerMode && aiGeneratedPlot) {
+            } else if (!trailerMode && (aiGeneratedPlot || streaming === 'plot')) {
                 return aiGeneratedPlot;
             }
         }
@@ -509,6 +581,19 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
         return trailerMode ? trailerPlot : standardPlot;
     };
 
+    const seedField = (
+        <label className="seed-field">
+            Seed:
+            <input
+                type="text"
+                value={seedInput}
+                placeholder="random"
+                onChange={(e) => setSeedInput(e.target.value)}
+                disabled={loading}
+            />
+        </label>
+    );
+
     const formatTrailerText = (text) => {
         if (!text) return [];
 
@@ -536,7 +621,15 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
                 </div>
             )}
 
-            {!plot ? (
+            {editorOpen ? (
+                <PlotElementEditor
+                    pools={fallbackElements}
+                    initialElements={plot}
+                    onSubmit={generateFromEditor}
+                    onCancel={() => setEditorOpen(false)}
+                    disabled={loading}
+                />
+            ) : !plot ? (
                 <div>
                     {!studioMode && <p>Click the button to generate a Jason Statham movie!</p>}
                     <div className="options">
@@ -566,6 +659,7 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
                                 Use AI Enhancement
                             </label>
                         )}
+                        {seedField}
                     </div>
                     <button
                         className="generate-btn"
@@ -581,11 +675,32 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
                             studioMode ? 'Generate' : 'Generate Movie'
                         )}
                     </button>
+                    {!studioMode && (
+                        <button
+                            className="editor-toggle-btn"
+                            onClick={() => setEditorOpen(true)}
+                            disabled={loading}
+                        >
+                            ✏️ Build Your Own
+                        </button>
+                    )}
                 </div>
             ) : (
                 <div>
                     <div className="plot-container">
                         <h2>{plot.title}</h2>
+                        <p className="plot-seed">
+                            Seed: <code>{plot.seed}</code>
+                            {plot.edited && <span className="seed-edited"> (edited)</span>}
+                            {normalizeSeed(seedInput) !== plot.seed && (
+                                <button
+                                    className="seed-reuse-btn"
+                                    onClick={() => setSeedInput(plot.seed)}
+                                >
+                                    Reuse
+                                </button>
+                            )}
+                        </p>
 
                         {trailerMode && (
                             <div className="audio-player">
@@ -612,17 +727,22 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
                                 ) : (
                                     <div className="audio-generating">
                                         {isGeneratingAudio ? (
-                                            <p className="generating-message">
-                                                <span className="loading-spinner"></span>
-                                                Creating trailer voice audio...
-                                            </p>
-                                        ) : openaiEnabled && useAI ? (
+                                            <>
+                                                <p className="generating-message">
+                                                    <span className="loading-spinner"></span>
+                                                    Creating trailer voice audio...
+                                                </p>
+                                                {audioProgress && <JobProgress job={audioProgress} />}
+                                            </>
+                                        ) : openaiEnabled && useAI && audioEnabled ? (
                                             <button
                                                 className="audio-btn"
                                                 onClick={() => generateAudio(aiGeneratedTrailer || getPlotText())}
                                             >
                                                 🎙️ Generate Trailer Voice
                                             </button>
+                                        ) : openaiEnabled && useAI ? (
+                                            <p className="audio-unavailable">Trailer voice-over is not available on this server.</p>
                                         ) : null}
                                     </div>
                                 )}
@@ -639,9 +759,41 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
                                     <p key={index}>{text.trim()}</p>
                                 ))
                             )}
+                            {streaming === (trailerMode ? 'trailer' : 'plot') && (
+                                <span className="streaming-cursor" aria-hidden="true"></span>
+                            )}
                         </div>
                     </div>
 
+                    <details className="plot-elements">
+                        <summary>Plot Elements</summary>
+                        <ul>
+                            {ELEMENT_FIELDS.map(({ key, label }) => (
+                                <li key={key} className={lockedFields[key] ? 'locked' : ''}>
+                                    <span className="element-label">{label}</span>
+                                    <span className="element-value">
+                                        {key === 'cameo' && !plot.hasCameo ? 'None' : plot[key]}
+                                    </span>
+                                    <button
+                                        className="element-btn"
+                                        onClick={() => toggleLock(key)}
+                                        title={lockedFields[key] ? 'Unlock' : 'Keep this element when generating a new movie'}
+                                    >
+                                        {lockedFields[key] ? '🔒' : '🔓'}
+                                    </button>
+                                    <button
+                                        className="element-btn"
+                                        onClick={() => rerollField(key)}
+                                        disabled={loading}
+                                        title="Re-roll this element"
+                                    >
+                                        🎲
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </details>
+
                     <div className="options">
                         <label>
                             <input
@@ -676,6 +828,7 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
                                 Use AI Enhancement
                             </label>
                         )}
+                        {seedField}
                     </div>
 
                     {!studioMode && (
@@ -692,6 +845,13 @@ function MoviePlot({ onPlotGenerated, studioMode = false, openaiEnabled = false
                             ) : 'Generate New Movie'}
                         </button>
                     )}
+                    <button
+                        className="editor-toggle-btn"
+                        onClick={() => setEditorOpen(true)}
+                        disabled={loading}
+                    >
+                        ✏️ Edit Elements
+                    </button>
                 </div>
             )}
         </div>
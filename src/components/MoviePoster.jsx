@@ -1,72 +1,96 @@
-import React, { useState, useEffect } from 'react';
-import { generatePosterDescription, generateMoviePoster } from '../services/openaiService';
+import React, { useState, useEffect, useMemo } from 'react';
+import { generateAIPosterConcept, generateMoviePoster } from '../services/openaiService';
+import { createRandom } from '../utils/random';
+import { composePoster, posterCredits } from '../utils/posterCompositor';
+import { POSTER_STYLES, getPosterStyle } from '../data/posterStyles';
+import JobProgress from './JobProgress';
+
+/**
+ * Poster shapes the server can draw
+ * @type {Array<{id: string, label: string}>}
+ */
+const POSTER_FORMATS = [
+    { id: 'portrait', label: 'One-sheet (portrait)' },
+    { id: 'landscape', label: 'Banner (landscape)' },
+    { id: 'square', label: 'Social (square)' }
+];
+
+/**
+ * Image quality settings; HD takes longer and costs more
+ * @type {Array<{id: string, label: string}>}
+ */
+const IMAGE_QUALITIES = [
+    { id: 'standard', label: 'Standard' },
+    { id: 'hd', label: 'HD' }
+];
+
+/**
+ * Looks the image model can aim for
+ * @type {Array<{id: string, label: string}>}
+ */
+const IMAGE_STYLES = [
+    { id: 'vivid', label: 'Vivid' },
+    { id: 'natural', label: 'Natural' }
+];
+
+/**
+ * Art direction notes the AI concept suggests and the user can edit before
+ * the poster is drawn; the server compiles them into the image prompt
+ * @type {Array<{id: string, label: string}>}
+ */
+const ART_DIRECTION_FIELDS = [
+    { id: 'composition', label: 'Composition' },
+    { id: 'palette', label: 'Palette' },
+    { id: 'props', label: 'Props' },
+    { id: 'pose', label: 'Pose' }
+];
+
+/**
+ * Longest art direction note the server accepts
+ * @type {number}
+ */
+const MAX_ART_DIRECTION_LENGTH = 400;
 
 /**
  * MoviePoster component - Renders a movie poster concept or generates an AI poster image
  *
  * @param {Object} plot - The plot information with title, setting, villain, etc.
  * @param {boolean} openaiEnabled - Whether OpenAI API is available
+ * @param {boolean} [imageEnabled] - Whether the server can generate poster images; defaults to openaiEnabled
+ * @param {string} [initialStyle] - Poster style to show, e.g. when restoring a shared movie
+ * @param {Function} [onStyleChange] - Callback when the user picks a different style
+ * @param {Function} [onPosterGenerated] - Callback with the image URL and style once a poster is generated
+ * @param {Function} [onDescriptionGenerated] - Callback with the AI description and style once generated
  * @returns {React.Component} - Rendered component
  */
-function MoviePoster({ plot, openaiEnabled = false }) {
-    const [posterStyle, setPosterStyle] = useState('action'); // action, artsy, vintage
-    const [aiPosterDescription, setAiPosterDescription] = useState('');
+function MoviePoster({
+    plot,
+    openaiEnabled = false,
+    imageEnabled = openaiEnabled,
+    initialStyle = 'action',
+    onStyleChange,
+    onPosterGenerated,
+    onDescriptionGenerated
+}) {
+    const [posterStyle, setPosterStyle] = useState(initialStyle); // A style id from the registry
+    // AI concept: tagline, description and suggested art direction
+    const [aiPosterConcept, setAiPosterConcept] = useState(null);
+    // The concept's art direction as edited by the user
+    const [artDirection, setArtDirection] = useState({});
     const [posterImageUrl, setPosterImageUrl] = useState('');
+    // Object URL of the art with the title and credits lettered over it
+    const [finalPosterUrl, setFinalPosterUrl] = useState('');
     const [isGeneratingDescription, setIsGeneratingDescription] = useState(false);
     const [isGeneratingImage, setIsGeneratingImage] = useState(false);
+    // Latest status of the server's poster job while the image is generated
+    const [imageProgress, setImageProgress] = useState(null);
     const [useAI, setUseAI] = useState(true);
     const [useImageGen, setUseImageGen] = useState(true);
+    const [posterFormat, setPosterFormat] = useState('portrait');
+    const [imageQuality, setImageQuality] = useState('standard');
+    const [imageStyle, setImageStyle] = useState('vivid');
     const [error, setError] = useState(null);
 
-    // Poster concepts
-    const posterConcepts = {
-        action: {
-            filters: ['high-contrast', 'dramatic lighting', 'desaturated', 'moody blues and oranges'],
-            layouts: [
-                'Jason Statham walking away from an explosion',
-                'Jason Statham standing on a rooftop overlooking the city',
-                'Jason Statham in a fighting stance with weapons drawn',
-                'Close-up of Jason Statham\'s face with a determined expression',
-                'Jason Statham in a car/motorcycle with motion blur',
-            ],
-            elements: [
-                'raining cityscape', 'shattered glass', 'bullet holes',
-                'burning vehicles', 'shadowy figures', 'helicopters',
-                'skyscrapers', 'lens flares', 'reflections in sunglasses'
-            ]
-        },
-        artsy: {
-            filters: ['minimalist', 'silhouette style', 'bold colors', 'geometric patterns'],
-            layouts: [
-                'Abstract silhouette of Jason Statham with a weapon',
-                'Split-screen showing the dual nature of the character',
-                'Fragmented image showing different aspects of the plot',
-                'Single iconic object representing the film (gun, car, etc.)',
-                'Surreal composition blending character and setting',
-            ],
-            elements: [
-                'negative space', 'symbolic imagery', 'stark color contrast',
-                'typography as art', 'hand-drawn elements', 'metaphorical objects',
-                'artistic blood splatter', 'abstract city elements'
-            ]
-        },
-        vintage: {
-            filters: ['grainy texture', 'faded colors', 'letterbox format', 'worn edges'],
-            layouts: [
-                '1970s-style multiple character panels',
-                'Jason Statham in a classic action pose reminiscent of old movie posters',
-                'Painted portrait style of the main characters',
-                'Montage of action scenes in comic book style panels',
-                'Oversized title with smaller action vignettes',
-            ],
-            elements: [
-                'retro typography', 'halftone patterns', 'faded photography',
-                'old film scratches', 'vintage color palette', 'hand-painted look',
-                'classic movie star composition', 'block lettering'
-            ]
-        }
-    };
-
     // Tagline generation
     const taglinePrefixes = [
         'In a world where', 'When', 'This time',
@@ -88,8 +112,6 @@ function MoviePoster({ plot, openaiEnabled = false }) {
         '. No surrender.', '. No going back.', '. Only revenge.'
     ];
 
-    const random = (arr) => arr[Math.floor(Math.random() * arr.length)];
-
     /**
      * Generate custom plot details to enhance poster generation
      * @returns {Object} - Enhanced plot details
@@ -119,6 +141,12 @@ function MoviePoster({ plot, openaiEnabled = false }) {
         return visualElements;
     };
 
+    useEffect(() => {
+        if (initialStyle) {
+            setPosterStyle(initialStyle);
+        }
+    }, [initialStyle]);
+
     // Generate OpenAI poster description when plot or poster style changes
     useEffect(() => {
         // Removed auto-generation to only show the button
@@ -130,8 +158,15 @@ function MoviePoster({ plot, openaiEnabled = false }) {
         }
     }, [plot, posterStyle, useAI]);
 
+    // A concept is written for one plot and style
+    useEffect(() => {
+        setAiPosterConcept(null);
+        setArtDirection({});
+    }, [plot, posterStyle]);
+
     /**
-     * Generate a poster description using OpenAI
+     * Generate a poster concept using OpenAI: the first stage of the poster,
+     * whose art direction the user can edit before the image is generated
      */
     const generateAIPosterDescription = async () => {
         if (!plot || !openaiEnabled || !useAI) return;
@@ -140,9 +175,17 @@ function MoviePoster({ plot, openaiEnabled = false }) {
         setError(null);
 
         try {
-            const description = await generatePosterDescription(plot, posterStyle);
-            if (description) {
-                setAiPosterDescription(description);
+            // Asking again for a concept we already have means "give me a different one"
+            const concept = await generateAIPosterConcept(plot, posterStyle, {
+                regenerate: Boolean(aiPosterConcept)
+            });
+            if (concept.description) {
+                setAiPosterConcept(concept);
+                setArtDirection(concept.artDirection);
+
+                if (onDescriptionGenerated) {
+                    onDescriptionGenerated(concept.description, posterStyle);
+                }
 
                 // Removed auto-generation of image
                 // User must click the Generate Poster button explicitly
@@ -161,28 +204,48 @@ function MoviePoster({ plot, openaiEnabled = false }) {
     const generatePosterImage = async () => {
         if (!plot) return;
 
+        // A poster already on screen means the user wants a new one, not the cached one
+        const regenerate = Boolean(posterImageUrl);
         setIsGeneratingImage(true);
+        setImageProgress(null);
         setError(null);
         setPosterImageUrl('');
 
         try {
-            if (openaiEnabled && useAI && useImageGen) {
+            if (openaiEnabled && imageEnabled && useAI && useImageGen) {
                 // Get enhanced plot details for better image generation
                 const enhancedPlot = {
                     ...plot,
                     ...getEnhancedPlotDetails()
                 };
 
-                const imageUrl = await generateMoviePoster(enhancedPlot, posterStyle);
+                // Art direction only counts while the AI concept is shown
+                const notes = Object.fromEntries(Object.entries(aiPosterConcept ? artDirection : {})
+                    .filter(([, note]) => note.trim()));
+
+                const imageUrl = await generateMoviePoster(enhancedPlot, posterStyle, {
+                    onProgress: setImageProgress,
+                    regenerate,
+                    ...(Object.keys(notes).length > 0 ? { artDirection: notes } : {}),
+                    format: posterFormat,
+                    quality: imageQuality,
+                    imageStyle
+                });
                 if (imageUrl) {
                     setPosterImageUrl(imageUrl);
+
+                    if (onPosterGenerated) {
+                        onPosterGenerated(imageUrl, posterStyle);
+                    }
                 } else {
                     throw new Error('No image URL returned');
                 }
             } else {
                 // If not using AI, simulate image generation with a delay
                 setTimeout(() => {
-                    setError('Image generation requires OpenAI API access. Using concept visualization instead.');
+                    setError(openaiEnabled && !imageEnabled
+                        ? 'This server cannot generate poster images. Using concept visualization instead.'
+                        : 'Image generation requires OpenAI API access. Using concept visualization instead.');
                     setIsGeneratingImage(false);
                 }, 1500);
             }
@@ -191,17 +254,22 @@ function MoviePoster({ plot, openaiEnabled = false }) {
             setError('Failed to generate poster image. Please try again.');
         } finally {
             setIsGeneratingImage(false);
+            setImageProgress(null);
         }
     };
 
     /**
-     * Generate a poster concept based on the plot and selected style
+     * Generate a poster concept based on the plot and selected style.
+     * The concept is seeded from the plot's seed and the style, so the same
+     * movie always gets the same tagline and visualization.
      * @returns {Object|null} - Generated poster concept
      */
     const generatePosterConcept = () => {
         if (!plot) return null;
 
-        const style = posterConcepts[posterStyle];
+        const rng = createRandom(plot.seed ? `${plot.seed}:poster:${posterStyle}` : '');
+        const random = rng.pick;
+        const style = getPosterStyle(posterStyle).concept;
         const tagline = `${random(taglinePrefixes)} ${random(taglineMiddles)}${random(taglineSuffixes)}`;
 
         return {
@@ -214,7 +282,45 @@ function MoviePoster({ plot, openaiEnabled = false }) {
         };
     };
 
-    const posterConcept = plot ? generatePosterConcept() : null;
+    const posterConcept = useMemo(() => (plot ? generatePosterConcept() : null), [plot, posterStyle]);
+
+    const showAiDescription = Boolean(openaiEnabled && useAI && aiPosterConcept);
+    const posterTagline = !plot ? '' : showAiDescription ?
+        aiPosterConcept.tagline || aiPosterConcept.description.split('\n')[0] :
+        posterConcept.tagline;
+    const credits = posterCredits(plot);
+
+    // Letter the title, tagline and credits over the art whenever either changes
+    useEffect(() => {
+        setFinalPosterUrl('');
+        if (!posterImageUrl || !plot) return undefined;
+
+        let cancelled = false;
+        let objectUrl = '';
+        composePoster({
+            imageUrl: posterImageUrl,
+            style: posterStyle,
+            title: plot.title,
+            tagline: posterTagline,
+            credits: posterCredits(plot)
+        })
+            .then((blob) => {
+                if (cancelled) return;
+                objectUrl = URL.createObjectURL(blob);
+                setFinalPosterUrl(objectUrl);
+            })
+            .catch((composeError) => {
+                // The plain art is still worth showing
+                console.warn('Could not composite the poster:', composeError);
+            });
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [posterImageUrl, posterStyle, plot, posterTagline]);
+
+    const posterFileName = `${(plot?.title || 'poster').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'poster'}-${posterStyle}-${posterFormat}.png`;
 
     /**
      * Handle style change
@@ -222,10 +328,22 @@ function MoviePoster({ plot, openaiEnabled = false }) {
      */
     const handleStyleChange = (style) => {
         setPosterStyle(style);
+        if (onStyleChange) {
+            onStyleChange(style);
+        }
         // Clear the current poster image when style changes
         setPosterImageUrl('');
     };
 
+    /**
+     * Handle format change; a poster in another shape needs new art
+     * @param {string} format - The new poster format
+     */
+    const handleFormatChange = (format) => {
+        setPosterFormat(format);
+        setPosterImageUrl('');
+    };
+
     return (
         <div className="movie-poster">
             <h3>Movie Poster</h3>
@@ -235,24 +353,15 @@ function MoviePoster({ plot, openaiEnabled = false }) {
             ) : (
                 <>
                     <div className="poster-styles">
-                        <button
-                            className={posterStyle === 'action' ? 'active' : ''}
-                            onClick={() => handleStyleChange('action')}
-                        >
-                            Action
-                        </button>
-                        <button
-                            className={posterStyle === 'artsy' ? 'active' : ''}
-                            onClick={() => handleStyleChange('artsy')}
-                        >
-                            Artistic
-                        </button>
-                        <button
-                            className={posterStyle === 'vintage' ? 'active' : ''}
-                            onClick={() => handleStyleChange('vintage')}
-                        >
-                            Vintage
-                        </button>
+                        {POSTER_STYLES.map(({ id, label }) => (
+                            <button
+                                key={id}
+                                className={posterStyle === id ? 'active' : ''}
+                                onClick={() => handleStyleChange(id)}
+                            >
+                                {label}
+                            </button>
+                        ))}
 
                         {openaiEnabled && (
                             <>
@@ -270,7 +379,7 @@ function MoviePoster({ plot, openaiEnabled = false }) {
                                     AI Descriptions
                                 </label>
 
-                                {useAI && (
+                                {useAI && imageEnabled && (
                                     <label className="image-toggle">
                                         <input
                                             type="checkbox"
@@ -287,24 +396,56 @@ function MoviePoster({ plot, openaiEnabled = false }) {
                         )}
                     </div>
 
+                    {openaiEnabled && useAI && imageEnabled && useImageGen && (
+                        <div className="poster-options">
+                            <label>
+                                Format
+                                <select value={posterFormat} onChange={(event) => handleFormatChange(event.target.value)}>
+                                    {POSTER_FORMATS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                                </select>
+                            </label>
+                            <label>
+                                Quality
+                                <select value={imageQuality} onChange={(event) => setImageQuality(event.target.value)}>
+                                    {IMAGE_QUALITIES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                                </select>
+                            </label>
+                            <label>
+                                Look
+                                <select value={imageStyle} onChange={(event) => setImageStyle(event.target.value)}>
+                                    {IMAGE_STYLES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                                </select>
+                            </label>
+                        </div>
+                    )}
+
                     {error && (
                         <div className="error-message">
                             {error}
                         </div>
                     )}
 
-                    <div className={`poster-concept ${posterStyle}`}>
+                    <div className={`poster-concept ${posterStyle}`} style={getPosterStyle(posterStyle).theme}>
                         {/* Display AI-generated poster if available */}
                         {posterImageUrl && (
-                            <div className="poster-image">
-                                <img src={posterImageUrl} alt={`${plot.title} movie poster`} />
+                            <div className={`poster-image ${posterFormat}`}>
+                                <img src={finalPosterUrl || posterImageUrl} alt={`${plot.title} movie poster`} />
+                                {finalPosterUrl && (
+                                    <a className="download-poster-btn" href={finalPosterUrl} download={posterFileName}>
+                                        Download Poster
+                                    </a>
+                                )}
                             </div>
                         )}
 
                         {/* Show loading indicator while generating image */}
                         {isGeneratingImage && (
                             <div className="generating-poster">
-                                <div className="loading-spinner"></div>
+                                {imageProgress ? (
+                                    <JobProgress job={imageProgress} />
+                                ) : (
+                                    <div className="loading-spinner"></div>
+                                )}
                                 <p>Generating movie poster with DALL-E...</p>
                                 <p className="small">(This may take a minute)</p>
                             </div>
@@ -318,9 +459,7 @@ function MoviePoster({ plot, openaiEnabled = false }) {
                                 </div>
 
                                 <div className="poster-tagline">
-                                    <p>"{openaiEnabled && useAI && aiPosterDescription ?
-                                        aiPosterDescription.split('\n')[0] :
-                                        posterConcept.tagline}"</p>
+                                    <p>"{posterTagline}"</p>
                                 </div>
 
                                 <div className="poster-visualization">
@@ -329,15 +468,20 @@ function MoviePoster({ plot, openaiEnabled = false }) {
                                         <p className="generating-text">Generating AI poster concept...</p>
                                     ) : (
                                         <>
-                                            {openaiEnabled && useAI && aiPosterDescription ? (
+                                            {showAiDescription ? (
                                                 <div className="ai-poster-description">
-                                                    {aiPosterDescription.split('\n').slice(1).map((line, i) => (
+                                                    {aiPosterConcept.description.split('\n').slice(1).map((line, i) => (
                                                         <p key={i}>{line}</p>
                                                     ))}
                                                 </div>
                                             ) : (
                                                 <p>{posterConcept.visualTheme}</p>
                                             )}
+                                            {openaiEnabled && useAI && (
+                                                <button className="clear-key-btn" onClick={generateAIPosterDescription}>
+                                                    {aiPosterConcept ? 'Regenerate AI Concept' : 'Generate AI Concept'}
+                                                </button>
+                                            )}
                                         </>
                                     )}
                                 </div>
@@ -355,11 +499,33 @@ function MoviePoster({ plot, openaiEnabled = false }) {
                             )}
                         </div>
 
-                        <div className="poster-credits">
-                            <p>JASON STATHAM</p>
-                            <p>Directed by MICHAEL BAY | Written by CHRISTOPHER NOLAN</p>
-                            <p>COMING SOON</p>
-                        </div>
+                        {/* The composited poster carries its own billing block */}
+                        {!finalPosterUrl && (
+                            <div className="poster-credits">
+                                <p>{credits.starring}</p>
+                                <p>{credits.billing}</p>
+                                <p>{credits.release}</p>
+                            </div>
+                        )}
+
+                        {/* Review the concept's art direction before paying for an image */}
+                        {showAiDescription && imageEnabled && useImageGen && (
+                            <div className="art-direction">
+                                <h4>ART DIRECTION</h4>
+                                {ART_DIRECTION_FIELDS.map(({ id, label }) => (
+                                    <label key={id}>
+                                        {label}
+                                        <textarea
+                                            value={artDirection[id] || ''}
+                                            maxLength={MAX_ART_DIRECTION_LENGTH}
+                                            rows={2}
+                                            disabled={isGeneratingImage}
+                                            onChange={(event) => setArtDirection({ ...artDirection, [id]: event.target.value })}
+                                        />
+                                    </label>
+                                ))}
+                            </div>
+                        )}
 
                         {/* Always show Generate Poster button when we have a plot */}
                         <div className="generate-poster-btn">
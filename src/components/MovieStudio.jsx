@@ -1,37 +1,134 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import MoviePlot from './MoviePlot';
+import MoviePoster from './MoviePoster';
+import { describeShortfall, generateMultipleMovies } from '../services/openaiService';
+import { createLibraryRecorder } from '../services/libraryService';
+import { FALLBACK_ELEMENTS, ELEMENT_FIELDS } from '../data/plotElements';
+import { createRandom, generateSeed } from '../utils/random';
 
-function MovieStudio({ openaiEnabled }) {
+/**
+ * @typedef {Object} StudioMovie
+ * @property {string} title - Movie title
+ * @property {string} plot - Brief plot summary
+ * @property {string} character - Statham's former profession
+ * @property {string} setting - Where the main action takes place
+ * @property {string} villain - Main villain
+ * @property {string} actionScene - Key action scene
+ */
+
+/**
+ * Map a movie from the batch endpoint onto a full PlotElements object.
+ * Fields the batch does not provide are rolled from the element pools
+ * with a seeded generator, so the card can be expanded into a full plot.
+ *
+ * @param {StudioMovie} [studioMovie] - Movie returned by generateMultipleMovies
+ * @param {Object<string, string[]>} pools - Element pools to fill gaps from
+ * @param {string} seed - Seed for the filler elements
+ * @returns {import('./MoviePlot').PlotElements} - Full plot elements
+ */
+function toPlotElements(studioMovie = {}, pools, seed) {
+    const rng = createRandom(seed);
+    const provided = {
+        title: studioMovie.title,
+        formerProfession: studioMovie.character,
+        setting: studioMovie.setting,
+        villain: studioMovie.villain,
+        actionScene: studioMovie.actionScene
+    };
+
+    const elements = { seed, hasCameo: false, cameo: '' };
+    for (const { key, pool } of ELEMENT_FIELDS) {
+        if (key === 'cameo') continue;
+        // Always draw so the filler elements depend only on the seed
+        const rolled = rng.pick(pools[pool]);
+        elements[key] = provided[key] || rolled;
+    }
+    elements.bossKill = 'defeated in an epic showdown';
+
+    if (studioMovie.plot) {
+        elements.summary = studioMovie.plot;
+    }
+
+    return elements;
+}
+
+/**
+ * Studio mode - produces a batch of movies with a single API call and lets
+ * the user expand any of them into a full plot, trailer and poster.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.openaiEnabled - Whether OpenAI features are enabled
+ * @param {Object<string, string[]>} [props.elementPools] - Element pools from the enabled element packs
+ * @returns {JSX.Element} - React component
+ */
+function MovieStudio({ openaiEnabled, elementPools = FALLBACK_ELEMENTS }) {
     const [movieCount, setMovieCount] = useState(3);
     const [movies, setMovies] = useState([]);
     const [isGenerating, setIsGenerating] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState('');
+    // Library recorders keyed by movie id, so later updates land on the right entry
+    const libraryRecorders = useRef({});
 
-    // Generate multiple movies at once
+    // Generate the whole batch with one request
     const generateMovies = async () => {
         setIsGenerating(true);
+        setError(null);
+        setNotice('');
 
-        // Create an array of the requested number of movies
-        const newMovies = Array(movieCount).fill(null).map((_, index) => ({
-            id: Date.now() + index,
-            generated: false,
-            plot: null
-        }));
+        let batch = [];
+        if (openaiEnabled) {
+            try {
+                const result = await generateMultipleMovies(movieCount);
+                batch = result.movies;
+                if (result.valid < movieCount) {
+                    setNotice(`${result.valid} of ${movieCount} AI movies were usable (${describeShortfall(result)}); the rest were filled in locally.`);
+                }
+            } catch (error) {
+                console.error('Error generating movie batch:', error);
+                setError('Failed to generate movies with AI. Using the fallback generator.');
+            }
+        }
+
+        const newMovies = Array(movieCount).fill(null).map((_, index) => {
+            const elements = toPlotElements(batch[index], elementPools, generateSeed());
+            return {
+                id: `${Date.now()}-${index}`,
+                elements,
+                plot: elements,
+                showPlot: false,
+                showPoster: false,
+                plotRequested: false
+            };
+        });
+
+        for (const movie of newMovies) {
+            libraryRecorders.current[movie.id] = createLibraryRecorder('studio');
+            libraryRecorders.current[movie.id].recordPlot(movie.elements);
+        }
 
         setMovies(newMovies);
         setIsGenerating(false);
     };
 
-    // Handle when a movie plot is generated
-    const handlePlotGenerated = (index, plotData) => {
-        setMovies(prevMovies => {
-            const updatedMovies = [...prevMovies];
-            updatedMovies[index] = {
-                ...updatedMovies[index],
-                generated: true,
-                plot: plotData
-            };
-            return updatedMovies;
-        });
+    const updateMovie = (id, changes) => {
+        setMovies(prevMovies => prevMovies.map(movie => (
+            movie.id === id ? { ...movie, ...changes } : movie
+        )));
+    };
+
+    // Handle when a card's full plot has been generated
+    const handlePlotGenerated = (id, plotData) => {
+        updateMovie(id, { plot: plotData });
+        libraryRecorders.current[id]?.attachPlot(plotData);
+    };
+
+    const togglePlot = (movie) => {
+        updateMovie(movie.id, { showPlot: !movie.showPlot, plotRequested: true });
+    };
+
+    const togglePoster = (movie) => {
+        updateMovie(movie.id, { showPoster: !movie.showPoster });
     };
 
     return (
@@ -63,23 +160,74 @@ function MovieStudio({ openaiEnabled }) {
                 ) : (
                     <button
                         className="studio-btn"
-                        onClick={() => setMovies([])}
+                        onClick={() => {
+                            setMovies([]);
+                            setNotice('');
+                            libraryRecorders.current = {};
+                        }}
                     >
                         New Batch
                     </button>
                 )}
             </div>
 
+            {error && (
+                <div className="error-message">
+                    {error}
+                </div>
+            )}
+            {notice && <p className="pack-message">{notice}</p>}
+
             {movies.length > 0 && (
                 <div className="movie-grid">
                     {movies.map((movie, index) => (
                         <div key={movie.id} className="movie-grid-item">
-                            <h3>Movie #{index + 1}</h3>
-                            <MoviePlot
-                                studioMode={true}
-                                openaiEnabled={openaiEnabled}
-                                onPlotGenerated={(plotData) => handlePlotGenerated(index, plotData)}
-                            />
+                            <h3>{movie.plot.title || `Movie #${index + 1}`}</h3>
+
+                            {movie.elements.summary && (
+                                <p className="studio-summary">{movie.elements.summary}</p>
+                            )}
+
+                            <div className="poster-details">
+                                <p><strong>Featuring:</strong> Jason Statham as a former {movie.elements.formerProfession}</p>
+                                <p><strong>Setting:</strong> {movie.elements.setting}</p>
+                                <p><strong>Villain:</strong> {movie.elements.villain}</p>
+                                <p><strong>Key scene:</strong> {movie.elements.actionScene}</p>
+                            </div>
+
+                            <div className="studio-card-actions">
+                                <button className="clear-key-btn" onClick={() => togglePlot(movie)}>
+                                    {movie.showPlot ? 'Hide Full Plot' : 'Full Plot & Trailer'}
+                                </button>
+                                <button className="clear-key-btn" onClick={() => togglePoster(movie)}>
+                                    {movie.showPoster ? 'Hide Poster' : 'Poster'}
+                                </button>
+                            </div>
+
+                            {/* Kept mounted once requested so hiding it doesn't throw the plot away */}
+                            {movie.plotRequested && (
+                                <div hidden={!movie.showPlot}>
+                                    <MoviePlot
+                                        studioMode={true}
+                                        openaiEnabled={openaiEnabled}
+                                        elementPools={elementPools}
+                                        initialPlot={movie.elements}
+                                        onPlotGenerated={(plotData) => handlePlotGenerated(movie.id, plotData)}
+                                        onAudioGenerated={(audioUrl) => libraryRecorders.current[movie.id]?.attachAudio(audioUrl)}
+                                    />
+                                </div>
+                            )}
+
+                            {movie.showPoster && (
+                                <MoviePoster
+                                    plot={movie.plot}
+                                    openaiEnabled={openaiEnabled}
+                                    onPosterGenerated={(imageUrl, style) =>
+                                        libraryRecorders.current[movie.id]?.attachPoster(imageUrl, style)}
+                                    onDescriptionGenerated={(description, style) =>
+                                        libraryRecorders.current[movie.id]?.attachPosterDescription(description, style)}
+                                />
+                            )}
                         </div>
                     ))}
                 </div>
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { ELEMENT_FIELDS, MAX_ELEMENT_LENGTH } from '../data/plotElements';
+
+/**
+ * Build the editor's form values from an existing set of plot elements
+ * @param {Object} [elements] - Plot elements to start from
+ * @returns {Object} - Form values keyed by field
+ */
+function toFormValues(elements = {}) {
+    const values = { hasCameo: Boolean(elements.hasCameo) };
+    for (const { key } of ELEMENT_FIELDS) {
+        values[key] = elements[key] || '';
+    }
+    return values;
+}
+
+/**
+ * Validate hand-built plot elements
+ * @param {Object} values - Form values
+ * @returns {Object<string, string>} - Error messages keyed by field; empty when valid
+ */
+export function validatePlotElements(values) {
+    const errors = {};
+
+    for (const { key, label, required } of ELEMENT_FIELDS) {
+        const value = (values[key] || '').trim();
+        const isRequired = required || (key === 'cameo' && values.hasCameo);
+
+        if (isRequired && !value) {
+            errors[key] = `${label} is required`;
+        } else if (value.length > MAX_ELEMENT_LENGTH) {
+            errors[key] = `${label} must be ${MAX_ELEMENT_LENGTH} characters or fewer`;
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Form for building a movie by hand. Every plot element is a combobox: pick
+ * a value from the element pools or type your own.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pools - Element pools to offer as suggestions, keyed by category
+ * @param {Object} [props.initialElements] - Plot elements to pre-fill the form with
+ * @param {Function} props.onSubmit - Callback with the validated plot elements
+ * @param {Function} [props.onCancel] - Callback when the user closes the editor
+ * @param {boolean} [props.disabled] - Whether submitting is currently disabled
+ * @returns {JSX.Element} - React component
+ */
+function PlotElementEditor({ pools, initialElements, onSubmit, onCancel, disabled = false }) {
+    const [values, setValues] = useState(() => toFormValues(initialElements));
+    const [errors, setErrors] = useState({});
+
+    const setValue = (key, value) => {
+        setValues((prev) => ({ ...prev, [key]: value }));
+        if (errors[key]) {
+            setErrors((prev) => ({ ...prev, [key]: undefined }));
+        }
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+
+        const validationErrors = validatePlotElements(values);
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+
+        const elements = { hasCameo: values.hasCameo };
+        for (const { key } of ELEMENT_FIELDS) {
+            elements[key] = values[key].trim();
+        }
+        if (!elements.hasCameo) {
+            elements.cameo = '';
+        }
+
+        onSubmit(elements);
+    };
+
+    return (
+        <form className="element-editor" onSubmit={handleSubmit} noValidate>
+            <h3>Build Your Own Movie</h3>
+            <p className="api-info">Pick from the list or type anything you like. Leave the title blank to have one generated.</p>
+
+            {ELEMENT_FIELDS.map(({ key, label, pool, required }) => {
+                if (key === 'cameo' && !values.hasCameo) return null;
+
+                const inputId = `element-editor-${key}`;
+                return (
+                    <div key={key} className={`editor-field ${errors[key] ? 'invalid' : ''}`}>
+                        <label htmlFor={inputId}>
+                            {label}{(required || key === 'cameo') && <span className="required-mark">*</span>}
+                        </label>
+                        <input
+                            id={inputId}
+                            type="text"
+                            list={`${inputId}-options`}
+                            value={values[key]}
+                            maxLength={MAX_ELEMENT_LENGTH}
+                            onChange={(e) => setValue(key, e.target.value)}
+                        />
+                        <datalist id={`${inputId}-options`}>
+                            {(pools[pool] || []).map((option) => (
+                                <option key={option} value={option} />
+                            ))}
+                        </datalist>
+                        {errors[key] && <span className="error-message">{errors[key]}</span>}
+                    </div>
+                );
+            })}
+
+            <label className="editor-checkbox">
+                <input
+                    type="checkbox"
+                    checked={values.hasCameo}
+                    onChange={() => setValue('hasCameo', !values.hasCameo)}
+                />
+                Include a cameo
+            </label>
+
+            <div className="editor-actions">
+                <button type="submit" className="generate-btn" disabled={disabled}>
+                    Generate From These Elements
+                </button>
+                {onCancel && (
+                    <button type="button" className="clear-key-btn" onClick={onCancel}>
+                        Cancel
+                    </button>
+                )}
+            </div>
+        </form>
+    );
+}
+
+export default PlotElementEditor;
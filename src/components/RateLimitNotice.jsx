@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { subscribeToRateLimit } from '../services/openaiService';
+
+/**
+ * Format a number of seconds as a short countdown, e.g. "45s", "2:05" or "3:04:05"
+ * @param {number} seconds - Seconds left
+ * @returns {string} - Countdown text
+ */
+function formatCountdown(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+    }
+    return minutes > 0 ? `${minutes}:${secs}` : `${seconds}s`;
+}
+
+/**
+ * Counts down while the server is rate limiting this client, so the user
+ * knows when the AI features are back
+ *
+ * @returns {JSX.Element|null} - React component, or nothing while requests are allowed
+ */
+function RateLimitNotice() {
+    const [limit, setLimit] = useState(null);
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => subscribeToRateLimit((status) => {
+        setLimit(status);
+        setNow(Date.now());
+    }), []);
+
+    // Tick once a second until the limit runs out
+    useEffect(() => {
+        if (!limit) return undefined;
+
+        const timer = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            if (current >= limit.until) {
+                setLimit(null);
+            }
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [limit]);
+
+    if (!limit || now >= limit.until) {
+        return null;
+    }
+
+    const countdown = formatCountdown(Math.ceil((limit.until - now) / 1000));
+
+    return (
+        <div className="rate-limit-notice" role="status">
+            {limit.errorType === 'budget_exhausted'
+                ? `Today's AI budget is used up. AI features are back in ${countdown}.`
+                : `Easy there! You're generating too fast. AI features are back in ${countdown}.`}
+        </div>
+    );
+}
+
+export default RateLimitNotice;
@@ -0,0 +1,6 @@
+/**
+ * Maximum length of a hand-entered element value. The server accepts
+ * titles up to the same length (see api/lib/requestValidation.js).
+ * @type {number}
+ */
+export const MAX_ELEMENT_LENGTH = 200;
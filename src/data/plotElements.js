@@ -0,0 +1,42 @@
+import corePack from './packs/core.json';
+
+/**
+ * Built-in pools of plot elements, keyed by category.
+ * These come from the core element pack and are always available.
+ * @type {Object<string, string[]>}
+ */
+export const FALLBACK_ELEMENTS = corePack.elements;
+
+/**
+ * @typedef {Object} ElementField
+ * @property {string} key - PlotElements property
+ * @property {string} label - Human-readable label
+ * @property {string} pool - Category in the element pools to pick values from
+ * @property {boolean} required - Whether a hand-built movie must provide a value
+ */
+
+/**
+ * Plot element fields in display order
+ * @type {ElementField[]}
+ */
+export const ELEMENT_FIELDS = [
+    { key: 'title', label: 'Title', pool: 'titles', required: false },
+    { key: 'setting', label: 'Setting', pool: 'settings', required: true },
+    { key: 'formerProfession', label: 'Former profession', pool: 'formerProfessions', required: true },
+    { key: 'currentJob', label: 'Current job', pool: 'currentJobs', required: true },
+    { key: 'plotTrigger', label: 'Plot trigger', pool: 'plotTriggers', required: true },
+    { key: 'villain', label: 'Villain', pool: 'villains', required: true },
+    { key: 'villainGroup', label: 'Villain group', pool: 'villainGroups', required: true },
+    { key: 'sidekick', label: 'Sidekick', pool: 'sidekicks', required: true },
+    { key: 'plotTwist', label: 'Plot twist', pool: 'plotTwists', required: true },
+    { key: 'vehicle', label: 'Vehicle', pool: 'vehicles', required: true },
+    { key: 'weapon', label: 'Weapon', pool: 'weapons', required: true },
+    { key: 'actionScene', label: 'Action scene', pool: 'actionScenes', required: true },
+    { key: 'villainHideout', label: 'Villain hideout', pool: 'villainHideouts', required: true },
+    { key: 'bossFight', label: 'Boss fight', pool: 'bossFights', required: true },
+    { key: 'bossKill', label: 'Boss kill', pool: 'bossKills', required: true },
+    // Only required when the movie has a cameo
+    { key: 'cameo', label: 'Cameo', pool: 'cameos', required: false }
+];
+
+export { MAX_ELEMENT_LENGTH } from './elementLimits';
@@ -0,0 +1,306 @@
+/**
+ * Poster style registry, shared by the server (prompts and request
+ * validation) and the app (style picker, concept, theme and lettering).
+ * A new style is one more entry here; nothing else needs to change.
+ */
+
+/**
+ * Font and colors for one kind of lettering on a composited poster
+ * @typedef {Object} LetteringStyle
+ * @property {string} family - CSS font family list
+ * @property {string} [weight] - CSS font weight, 'normal' by default
+ * @property {boolean} [italic] - Whether the text is set in italics
+ * @property {number} size - Largest font size as a fraction of the poster's shorter side
+ * @property {number} [minSize] - Smallest font size the text may shrink to, as a fraction of the shorter side
+ * @property {number} [maxLines] - Lines the text may wrap over, 1 by default
+ * @property {string} color - Fill color
+ * @property {string} [stroke] - Outline color
+ * @property {string} [glow] - Shadow color behind the text
+ * @property {string} [banner] - Color of a band drawn behind the text
+ */
+
+/**
+ * How a style letters its composited posters
+ * @typedef {Object} PosterTypography
+ * @property {Array<string>} top - Blocks stacked down from the top edge, in order
+ * @property {Array<string>} bottom - Blocks stacked up from the bottom edge, in reading order
+ * @property {string} scrim - Color the art fades into behind the lettering
+ * @property {string} [tint] - Color laid over the whole art
+ * @property {string} [frame] - Color of a border around the poster
+ * @property {Object<string, LetteringStyle>} lettering - Lettering for the title, tagline, starring, billing and release blocks
+ */
+
+/**
+ * @typedef {Object} PosterStyle
+ * @property {string} id - Stable id sent to the server and stored with movies
+ * @property {string} label - Name on the style picker
+ * @property {string} imagePrompt - Image prompt template; `{title}`, `{setting}` and `{villain}` are filled in
+ *     with references to the movie details, which the server fences off after the template
+ * @property {string} descriptionGuidance - How the poster should look, for the AI poster description
+ * @property {{filters: Array<string>, layouts: Array<string>, elements: Array<string>}} concept - Pools the offline poster concept is picked from
+ * @property {{background: string, color: string, border: string}} theme - Colors of the poster panel
+ * @property {PosterTypography} typography - Lettering of the composited poster
+ */
+
+/**
+ * Every poster style, in picker order
+ * @type {Array<PosterStyle>}
+ */
+export const POSTER_STYLES = [
+    {
+        id: 'action',
+        label: 'Action',
+        imagePrompt: `Create a professional movie poster for {title}, an action thriller starring Jason Statham.
+            Use a high-contrast style with dramatic lighting, blues and oranges color scheme.
+            Show Statham in a heroic action pose. Set in {setting}.
+            Keep the bottom third dark and uncluttered.`,
+        descriptionGuidance: 'high-contrast with dramatic lighting, typically featuring blues and oranges, with explosions, action poses, and urban environments',
+        concept: {
+            filters: ['high-contrast', 'dramatic lighting', 'desaturated', 'moody blues and oranges'],
+            layouts: [
+                'Jason Statham walking away from an explosion',
+                'Jason Statham standing on a rooftop overlooking the city',
+                'Jason Statham in a fighting stance with weapons drawn',
+                'Close-up of Jason Statham\'s face with a determined expression',
+                'Jason Statham in a car/motorcycle with motion blur',
+            ],
+            elements: [
+                'raining cityscape', 'shattered glass', 'bullet holes',
+                'burning vehicles', 'shadowy figures', 'helicopters',
+                'skyscrapers', 'lens flares', 'reflections in sunglasses'
+            ]
+        },
+        theme: { background: '#1c1c1c', color: '#fff', border: '1px solid #ddd' },
+        typography: {
+            top: ['starring', 'tagline'],
+            bottom: ['title', 'billing', 'release'],
+            scrim: 'rgba(0, 0, 0, 0.85)',
+            lettering: {
+                starring: { family: '"Arial Narrow", Arial, sans-serif', weight: 'bold', size: 0.045, color: '#ffffff' },
+                tagline: { family: '"Arial Narrow", Arial, sans-serif', size: 0.032, maxLines: 2, color: '#e6e6e6' },
+                title: {
+                    family: 'Impact, Haettenschweiler, "Arial Narrow Bold", sans-serif',
+                    size: 0.12,
+                    minSize: 0.07,
+                    maxLines: 2,
+                    color: '#ffffff',
+                    glow: 'rgba(255, 122, 26, 0.9)'
+                },
+                billing: { family: '"Arial Narrow", Arial, sans-serif', size: 0.018, maxLines: 3, color: '#bbbbbb' },
+                release: { family: 'Impact, Haettenschweiler, sans-serif', size: 0.04, color: '#ff7a1a' }
+            }
+        }
+    },
+    {
+        id: 'artsy',
+        label: 'Artistic',
+        imagePrompt: `Create an artistic movie poster for {title}, a film starring Jason Statham.
+            Use a minimalist approach with bold colors, negative space, and symbolic imagery.
+            Include an artistic representation of the conflict between Statham's character and {villain}.
+            Leave calm, empty space across the top.`,
+        descriptionGuidance: 'minimalist, artistic approach with bold colors, negative space, symbolic imagery, and artistic representation rather than literal',
+        concept: {
+            filters: ['minimalist', 'silhouette style', 'bold colors', 'geometric patterns'],
+            layouts: [
+                'Abstract silhouette of Jason Statham with a weapon',
+                'Split-screen showing the dual nature of the character',
+                'Fragmented image showing different aspects of the plot',
+                'Single iconic object representing the film (gun, car, etc.)',
+                'Surreal composition blending character and setting',
+            ],
+            elements: [
+                'negative space', 'symbolic imagery', 'stark color contrast',
+                'typography as art', 'hand-drawn elements', 'metaphorical objects',
+                'artistic blood splatter', 'abstract city elements'
+            ]
+        },
+        theme: { background: '#fff', color: '#333', border: '2px solid #333' },
+        typography: {
+            top: ['title', 'tagline'],
+            bottom: ['starring', 'billing', 'release'],
+            scrim: 'rgba(255, 255, 255, 0.9)',
+            lettering: {
+                title: {
+                    family: '"Helvetica Neue", Helvetica, Arial, sans-serif',
+                    weight: '300',
+                    size: 0.1,
+                    minSize: 0.05,
+                    maxLines: 2,
+                    color: '#222222'
+                },
+                tagline: { family: 'Georgia, serif', italic: true, size: 0.03, maxLines: 2, color: '#444444' },
+                starring: { family: '"Helvetica Neue", Helvetica, Arial, sans-serif', weight: '300', size: 0.035, color: '#222222' },
+                billing: { family: '"Helvetica Neue", Helvetica, Arial, sans-serif', size: 0.017, maxLines: 3, color: '#555555' },
+                release: { family: '"Helvetica Neue", Helvetica, Arial, sans-serif', weight: 'bold', size: 0.026, color: '#e50914' }
+            }
+        }
+    },
+    {
+        id: 'vintage',
+        label: 'Vintage',
+        imagePrompt: `Create a vintage-style movie poster for {title}, starring Jason Statham.
+            Use a retro 1970s-80s action film aesthetic with grainy texture and slightly faded colors.
+            Feature Statham in a classic action pose appropriate for {setting}.
+            Leave room across the top and bottom edges.`,
+        descriptionGuidance: 'retro style with grainy textures, faded colors, and a 1970s-80s aesthetic reminiscent of classic action movie posters',
+        concept: {
+            filters: ['grainy texture', 'faded colors', 'letterbox format', 'worn edges'],
+            layouts: [
+                '1970s-style multiple character panels',
+                'Jason Statham in a classic action pose reminiscent of old movie posters',
+                'Painted portrait style of the main characters',
+                'Montage of action scenes in comic book style panels',
+                'Oversized title with smaller action vignettes',
+            ],
+            elements: [
+                'retro typography', 'halftone patterns', 'faded photography',
+                'old film scratches', 'vintage color palette', 'hand-painted look',
+                'classic movie star composition', 'block lettering'
+            ]
+        },
+        theme: { background: '#f5f1e6', color: '#5a4535', border: '1px solid #c5b29a' },
+        typography: {
+            top: ['tagline', 'title'],
+            bottom: ['starring', 'billing', 'release'],
+            scrim: 'rgba(58, 36, 20, 0.85)',
+            tint: 'rgba(196, 150, 90, 0.18)',
+            frame: '#f5f1e6',
+            lettering: {
+                tagline: { family: 'Georgia, serif', italic: true, size: 0.032, maxLines: 2, color: '#f5f1e6' },
+                title: {
+                    family: 'Rockwell, "Courier New", Georgia, serif',
+                    weight: 'bold',
+                    size: 0.13,
+                    minSize: 0.06,
+                    maxLines: 2,
+                    color: '#f4d35e',
+                    stroke: '#7a1f12'
+                },
+                starring: { family: 'Rockwell, Georgia, serif', weight: 'bold', size: 0.04, color: '#f5f1e6' },
+                billing: { family: 'Georgia, serif', size: 0.018, maxLines: 3, color: '#e8dcc4' },
+                release: { family: 'Rockwell, Georgia, serif', weight: 'bold', size: 0.035, color: '#f5f1e6', banner: '#9b2226' }
+            }
+        }
+    },
+    {
+        id: 'noir',
+        label: 'Noir',
+        imagePrompt: `Create a film noir movie poster for {title}, a crime thriller starring Jason Statham.
+            Use stark black and white with deep shadows, venetian blind light and rain-slicked streets in {setting}.
+            Show Statham in a trench coat, half in shadow.
+            Keep the bottom third dark and uncluttered.`,
+        descriptionGuidance: 'black and white film noir with hard shadows, rain, cigarette smoke, venetian blind lighting and a lone figure under a streetlamp',
+        concept: {
+            filters: ['black and white', 'hard shadows', 'venetian blind light', 'rain-streaked'],
+            layouts: [
+                'Jason Statham under a lone streetlamp in the rain',
+                'Jason Statham\'s silhouette in a smoky doorway',
+                'Close-up of Jason Statham half in shadow',
+                'Jason Statham reflected in a rain puddle',
+                'Jason Statham framed by venetian blind shadows',
+            ],
+            elements: [
+                'trench coat', 'fedora', 'cigarette smoke', 'wet asphalt',
+                'neon sign glow', 'shadowy stairwell', 'revolver', 'femme fatale silhouette'
+            ]
+        },
+        theme: { background: '#111', color: '#e6e6e6', border: '1px solid #555' },
+        typography: {
+            top: ['starring', 'tagline'],
+            bottom: ['title', 'billing', 'release'],
+            scrim: 'rgba(0, 0, 0, 0.9)',
+            lettering: {
+                starring: { family: 'Georgia, serif', size: 0.04, color: '#e6e6e6' },
+                tagline: { family: 'Georgia, serif', italic: true, size: 0.03, maxLines: 2, color: '#bbbbbb' },
+                title: {
+                    family: '"Bodoni 72", Didot, Georgia, serif',
+                    weight: 'bold',
+                    size: 0.11,
+                    minSize: 0.06,
+                    maxLines: 2,
+                    color: '#f2f2f2'
+                },
+                billing: { family: 'Georgia, serif', size: 0.017, maxLines: 3, color: '#999999' },
+                release: { family: 'Georgia, serif', italic: true, size: 0.03, color: '#d4af37' }
+            }
+        }
+    },
+    {
+        id: 'vhs',
+        label: '80s VHS',
+        imagePrompt: `Create a 1980s VHS box cover for {title}, a straight-to-video action movie starring Jason Statham.
+            Use airbrushed painting, neon magenta and cyan, chrome highlights and a laser grid horizon.
+            Show Statham mid-action in {setting}, with {villain} looming behind him.
+            Keep the bottom third dark and uncluttered.`,
+        descriptionGuidance: 'an airbrushed 1980s VHS box cover with neon magenta and cyan, chrome, laser grids, explosions and a painted hero mid-action',
+        concept: {
+            filters: ['airbrushed', 'neon magenta and cyan', 'chrome highlights', 'tape-worn colors'],
+            layouts: [
+                'Painted Jason Statham firing from the hip in front of a sunset',
+                'Jason Statham on a motorcycle bursting through a laser grid',
+                'Giant villain face looming over a tiny Statham',
+                'Jason Statham back to back with his sidekick, weapons up',
+                'Exploding helicopter above a neon skyline',
+            ],
+            elements: [
+                'laser grid', 'palm trees', 'chrome', 'neon sunset',
+                'tracking lines', 'muscle car', 'sparks', 'rental store sticker'
+            ]
+        },
+        theme: { background: '#1a0b2e', color: '#ff9ee6', border: '2px solid #00e5ff' },
+        typography: {
+            top: ['starring', 'tagline'],
+            bottom: ['title', 'billing', 'release'],
+            scrim: 'rgba(26, 11, 46, 0.9)',
+            lettering: {
+                starring: { family: '"Arial Black", Arial, sans-serif', weight: 'bold', size: 0.045, color: '#00e5ff' },
+                tagline: { family: '"Arial Narrow", Arial, sans-serif', italic: true, size: 0.032, maxLines: 2, color: '#ffffff' },
+                title: {
+                    family: '"Arial Black", Impact, sans-serif',
+                    weight: 'bold',
+                    italic: true,
+                    size: 0.12,
+                    minSize: 0.06,
+                    maxLines: 2,
+                    color: '#ff3cac',
+                    stroke: '#00e5ff',
+                    glow: 'rgba(255, 60, 172, 0.8)'
+                },
+                billing: { family: '"Arial Narrow", Arial, sans-serif', size: 0.018, maxLines: 3, color: '#c9b6ff' },
+                release: { family: '"Arial Black", Arial, sans-serif', weight: 'bold', size: 0.035, color: '#1a0b2e', banner: '#ffd23f' }
+            }
+        }
+    }
+];
+
+/**
+ * Style used when a movie has none, or one this registry no longer knows
+ * @type {string}
+ */
+export const DEFAULT_POSTER_STYLE = 'action';
+
+/**
+ * Ids of every poster style
+ * @type {Array<string>}
+ */
+export const POSTER_STYLE_IDS = POSTER_STYLES.map(({ id }) => id);
+
+/**
+ * Look up a poster style, falling back to the default style
+ * @param {string} id - Style id
+ * @returns {PosterStyle} - The style
+ */
+export function getPosterStyle(id) {
+    return POSTER_STYLES.find((style) => style.id === id) ||
+        POSTER_STYLES.find((style) => style.id === DEFAULT_POSTER_STYLE);
+}
+
+/**
+ * Fill in a prompt template's `{name}` placeholders; unknown names become empty
+ * @param {string} template - Template text
+ * @param {Object<string, string>} values - Values by placeholder name
+ * @returns {string} - Filled-in text
+ */
+export function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? '');
+}
@@ -0,0 +1,222 @@
+/**
+ * Name of the IndexedDB database holding the key that encrypts the user's API key
+ * @type {string}
+ */
+const DB_NAME = 'statham-keys';
+
+/**
+ * Schema version of the key database
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * Object store holding encryption keys
+ * @type {string}
+ */
+const KEY_STORE = 'keys';
+
+/**
+ * Id of the encryption key for the OpenAI API key
+ * @type {string}
+ */
+const ENCRYPTION_KEY_ID = 'openai-api-key';
+
+/**
+ * localStorage key holding the encrypted API key
+ * @type {string}
+ */
+const STORAGE_KEY = 'statham-openai-key';
+
+/**
+ * @typedef {Object} EncryptedApiKey
+ * @property {string} iv - Base64 AES-GCM initialization vector
+ * @property {string} data - Base64 ciphertext
+ */
+
+/**
+ * Cached database connection
+ * @type {Promise<IDBDatabase>|null}
+ */
+let dbPromise = null;
+
+/**
+ * Whether this browser can store an API key encrypted
+ * @returns {boolean} - Whether IndexedDB, Web Crypto and localStorage are all available
+ */
+export function canStoreApiKey() {
+    return typeof indexedDB !== 'undefined' &&
+        typeof localStorage !== 'undefined' &&
+        typeof crypto !== 'undefined' &&
+        Boolean(crypto.subtle);
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<any>} - The request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and create if needed) the key database
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(KEY_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a function against the key store inside a transaction
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} fn - Function issuing the request
+ * @returns {Promise<any>} - The request result
+ */
+async function withStore(mode, fn) {
+    const db = await openDatabase();
+    const transaction = db.transaction(KEY_STORE, mode);
+    return requestToPromise(fn(transaction.objectStore(KEY_STORE)));
+}
+
+/**
+ * Get the AES-GCM key that encrypts the API key. It is created
+ * non-extractable, so page scripts can use it but never read its bytes, and
+ * it lives in IndexedDB apart from the ciphertext in localStorage.
+ *
+ * @param {boolean} create - Create the key if there is none yet
+ * @returns {Promise<CryptoKey|null>} - The key, or null if there is none
+ */
+async function getEncryptionKey(create) {
+    const existing = await withStore('readonly', (store) => store.get(ENCRYPTION_KEY_ID));
+    if (existing || !create) {
+        return existing || null;
+    }
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await withStore('readwrite', (store) => store.put(key, ENCRYPTION_KEY_ID));
+    return key;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes to encode
+ * @returns {string} - Base64 text
+ */
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Whether an encrypted API key is saved in this browser
+ * @returns {boolean} - Whether a key is saved
+ */
+export function hasSavedApiKey() {
+    return typeof localStorage !== 'undefined' && Boolean(localStorage.getItem(STORAGE_KEY));
+}
+
+/**
+ * Encrypt the user's API key and save it in this browser
+ * @param {string} apiKey - Key to save
+ * @returns {Promise<void>} - Resolves once the key is saved
+ * @throws {Error} - Throws if the browser cannot store the key encrypted
+ */
+export async function saveApiKey(apiKey) {
+    if (!canStoreApiKey()) {
+        throw new Error('This browser cannot store the key encrypted');
+    }
+
+    const key = await getEncryptionKey(true);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+
+    /** @type {EncryptedApiKey} */
+    const encrypted = { iv: toBase64(iv), data: toBase64(data) };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(encrypted));
+}
+
+/**
+ * Load and decrypt the saved API key. A key that can no longer be decrypted,
+ * e.g. because the site data was partly cleared, is removed.
+ * @returns {Promise<string|null>} - The key, or null if none is saved
+ */
+export async function loadApiKey() {
+    if (!canStoreApiKey() || !hasSavedApiKey()) {
+        return null;
+    }
+
+    try {
+        /** @type {EncryptedApiKey} */
+        const encrypted = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        const key = await getEncryptionKey(false);
+        if (!key) {
+            throw new Error('The encryption key is missing');
+        }
+
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(encrypted.iv) },
+            key,
+            fromBase64(encrypted.data)
+        );
+        return new TextDecoder().decode(data);
+    } catch (error) {
+        console.warn('Could not read the saved API key, removing it:', error);
+        await clearApiKey();
+        return null;
+    }
+}
+
+/**
+ * Remove the saved API key and the key that encrypted it
+ * @returns {Promise<void>} - Resolves once both are gone
+ */
+export async function clearApiKey() {
+    if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+    if (typeof indexedDB === 'undefined') {
+        return;
+    }
+
+    try {
+        await withStore('readwrite', (store) => store.delete(ENCRYPTION_KEY_ID));
+    } catch (error) {
+        console.warn('Could not remove the API key encryption key:', error);
+    }
+}
+
+export default {
+    canStoreApiKey,
+    hasSavedApiKey,
+    saveApiKey,
+    loadApiKey,
+    clearApiKey
+};
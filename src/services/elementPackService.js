@@ -0,0 +1,296 @@
+import corePack from '../data/packs/core.json';
+import ninetiesActionPack from '../data/packs/90s-action.json';
+import heistPack from '../data/packs/heist.json';
+import spacePack from '../data/packs/space.json';
+import { ELEMENT_FIELDS, MAX_ELEMENT_LENGTH } from '../data/plotElements';
+
+/**
+ * Newest element pack format this app understands
+ * @type {number}
+ */
+export const PACK_FORMAT_VERSION = 1;
+
+/**
+ * Element categories a pack may provide, e.g. 'settings' or 'villains'
+ * @type {string[]}
+ */
+export const ELEMENT_CATEGORIES = ELEMENT_FIELDS.map((field) => field.pool);
+
+/**
+ * Packs shipped with the app. Only the core pack is enabled by default.
+ * @type {ElementPack[]}
+ */
+export const BUILT_IN_PACKS = [corePack, ninetiesActionPack, heistPack, spacePack];
+
+/**
+ * localStorage key holding imported custom packs
+ * @type {string}
+ */
+const CUSTOM_PACKS_KEY = 'statham.elementPacks.custom';
+
+/**
+ * localStorage key holding the ids of enabled packs
+ * @type {string}
+ */
+const ENABLED_PACKS_KEY = 'statham.elementPacks.enabled';
+
+/**
+ * Maximum size of an imported pack file in characters
+ * @type {number}
+ */
+const MAX_PACK_SIZE = 200000;
+
+/**
+ * @typedef {Object} ElementPack
+ * @property {number} formatVersion - Version of the pack file format
+ * @property {string} id - Unique, URL-safe pack id
+ * @property {string} name - Display name
+ * @property {string} version - Version of the pack's content, e.g. "1.2.0"
+ * @property {string} [description] - Short description of the pack
+ * @property {Object<string, string[]>} elements - Values per element category
+ */
+
+/**
+ * Validate a parsed element pack and normalize its values
+ * @param {Object} pack - Parsed pack JSON
+ * @returns {ElementPack} - The normalized pack
+ * @throws {Error} - Throws listing every problem found if the pack is invalid
+ */
+export function validatePack(pack) {
+    const problems = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        throw new Error('Element pack must be a JSON object');
+    }
+
+    if (!Number.isInteger(pack.formatVersion) || pack.formatVersion < 1) {
+        problems.push('formatVersion must be a positive integer');
+    } else if (pack.formatVersion > PACK_FORMAT_VERSION) {
+        problems.push(`formatVersion ${pack.formatVersion} is newer than this app supports (${PACK_FORMAT_VERSION})`);
+    }
+    if (typeof pack.id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,63}$/.test(pack.id)) {
+        problems.push('id must be lowercase letters, digits and dashes');
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+        problems.push('name is required');
+    }
+    if (typeof pack.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(pack.version)) {
+        problems.push('version must look like "1.0.0"');
+    }
+    if (!pack.elements || typeof pack.elements !== 'object' || Array.isArray(pack.elements)) {
+        problems.push('elements must be an object of category arrays');
+    }
+
+    const elements = {};
+    if (problems.length === 0) {
+        for (const [category, values] of Object.entries(pack.elements)) {
+            if (!ELEMENT_CATEGORIES.includes(category)) {
+                problems.push(`unknown element category "${category}"`);
+                continue;
+            }
+            if (!Array.isArray(values) || values.some((value) => typeof value !== 'string')) {
+                problems.push(`${category} must be an array of strings`);
+                continue;
+            }
+
+            const cleaned = values.map((value) => value.trim()).filter(Boolean);
+            if (cleaned.some((value) => value.length > MAX_ELEMENT_LENGTH)) {
+                problems.push(`${category} has values longer than ${MAX_ELEMENT_LENGTH} characters`);
+                continue;
+            }
+            elements[category] = [...new Set(cleaned)];
+        }
+
+        if (problems.length === 0 && Object.values(elements).every((values) => values.length === 0)) {
+            problems.push('pack does not contain any elements');
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid element pack: ${problems.join('; ')}`);
+    }
+
+    return {
+        formatVersion: pack.formatVersion,
+        id: pack.id,
+        name: pack.name.trim(),
+        version: pack.version,
+        description: typeof pack.description === 'string' ? pack.description.trim() : '',
+        elements
+    };
+}
+
+/**
+ * Merge several packs into a single set of element pools. Values are unioned
+ * per category in pack order; categories no enabled pack provides fall back
+ * to the core pack so generation always has something to pick from.
+ *
+ * @param {ElementPack[]} packs - Packs to merge
+ * @returns {Object<string, string[]>} - Merged element pools
+ */
+export function mergePacks(packs) {
+    const pools = {};
+
+    for (const category of ELEMENT_CATEGORIES) {
+        const values = new Set();
+        for (const pack of packs) {
+            for (const value of pack.elements[category] || []) {
+                values.add(value);
+            }
+        }
+        pools[category] = values.size > 0 ? [...values] : [...corePack.elements[category]];
+    }
+
+    return pools;
+}
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {any} fallback - Value to return when missing or unreadable
+ * @returns {any} - Stored value
+ */
+function readStorage(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+        console.warn(`Could not read ${key} from storage:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value to localStorage
+ * @param {string} key - Storage key
+ * @param {any} value - Value to store
+ */
+function writeStorage(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+}
+
+/**
+ * Get the custom packs the user has imported
+ * @returns {ElementPack[]} - Imported packs
+ */
+export function getCustomPacks() {
+    return readStorage(CUSTOM_PACKS_KEY, []).filter((pack) => {
+        try {
+            validatePack(pack);
+            return true;
+        } catch (error) {
+            console.warn(`Ignoring stored element pack "${pack && pack.id}":`, error.message);
+            return false;
+        }
+    });
+}
+
+/**
+ * Get every available pack, built-in packs first
+ * @returns {ElementPack[]} - All packs
+ */
+export function getAllPacks() {
+    return [...BUILT_IN_PACKS, ...getCustomPacks()];
+}
+
+/**
+ * Whether a pack ships with the app
+ * @param {string} id - Pack id
+ * @returns {boolean} - True for built-in packs
+ */
+export function isBuiltInPack(id) {
+    return BUILT_IN_PACKS.some((pack) => pack.id === id);
+}
+
+/**
+ * Get the ids of the packs used for generation
+ * @returns {string[]} - Enabled pack ids
+ */
+export function getEnabledPackIds() {
+    return readStorage(ENABLED_PACKS_KEY, [corePack.id]);
+}
+
+/**
+ * Enable or disable a pack
+ * @param {string} id - Pack id
+ * @param {boolean} enabled - Whether the pack should be used
+ */
+export function setPackEnabled(id, enabled) {
+    const ids = getEnabledPackIds().filter((enabledId) => enabledId !== id);
+    if (enabled) {
+        ids.push(id);
+    }
+    writeStorage(ENABLED_PACKS_KEY, ids);
+}
+
+/**
+ * Get the element pools built from all enabled packs
+ * @returns {Object<string, string[]>} - Merged element pools
+ */
+export function getActivePools() {
+    const enabledIds = getEnabledPackIds();
+    return mergePacks(getAllPacks().filter((pack) => enabledIds.includes(pack.id)));
+}
+
+/**
+ * Import a pack from JSON text. A custom pack with the same id is replaced
+ * and the imported pack is enabled.
+ *
+ * @param {string} text - Pack JSON
+ * @returns {ElementPack} - The imported pack
+ * @throws {Error} - Throws if the text is not a valid pack
+ */
+export function importPack(text) {
+    if (text.length > MAX_PACK_SIZE) {
+        throw new Error('Element pack file is too large');
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Element pack is not valid JSON: ${error.message}`);
+    }
+
+    const pack = validatePack(parsed);
+    if (isBuiltInPack(pack.id)) {
+        throw new Error(`"${pack.id}" is a built-in pack; give your pack a different id`);
+    }
+
+    const packs = getCustomPacks().filter((existing) => existing.id !== pack.id);
+    writeStorage(CUSTOM_PACKS_KEY, [...packs, pack]);
+    setPackEnabled(pack.id, true);
+    return pack;
+}
+
+/**
+ * Remove an imported pack
+ * @param {string} id - Pack id
+ */
+export function removeCustomPack(id) {
+    writeStorage(CUSTOM_PACKS_KEY, getCustomPacks().filter((pack) => pack.id !== id));
+    setPackEnabled(id, false);
+}
+
+/**
+ * Serialize a pack for sharing
+ * @param {ElementPack} pack - Pack to export
+ * @returns {string} - Pretty-printed pack JSON
+ */
+export function exportPack(pack) {
+    return `${JSON.stringify(pack, null, 2)}\n`;
+}
+
+export default {
+    validatePack,
+    mergePacks,
+    getCustomPacks,
+    getAllPacks,
+    isBuiltInPack,
+    getEnabledPackIds,
+    setPackEnabled,
+    getActivePools,
+    importPack,
+    removeCustomPack,
+    exportPack
+};
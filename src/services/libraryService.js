@@ -0,0 +1,316 @@
+/**
+ * Name of the IndexedDB database holding the movie library
+ * @type {string}
+ */
+const DB_NAME = 'statham-library';
+
+/**
+ * Schema version of the library database
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * Object store holding saved movies
+ * @type {string}
+ */
+const MOVIE_STORE = 'movies';
+
+/**
+ * @typedef {Object} LibraryEntry
+ * @property {string} id - Unique id of the entry
+ * @property {string} title - Movie title
+ * @property {Object} elements - The PlotElements the movie was generated from
+ * @property {string} plot - AI or template plot summary
+ * @property {string} trailer - Trailer script
+ * @property {string} posterStyle - Poster style used for the poster
+ * @property {string} posterDescription - AI poster description
+ * @property {string} posterImageUrl - Original poster URL (may expire)
+ * @property {Blob|null} posterImage - Poster image data
+ * @property {Blob|null} trailerAudio - Trailer voice-over audio data
+ * @property {boolean} favorite - Whether the user favorited the movie
+ * @property {string} source - Where the movie was generated ('generator' or 'studio')
+ * @property {number} createdAt - Creation timestamp
+ * @property {number} updatedAt - Last update timestamp
+ */
+
+/**
+ * Cached database connection
+ * @type {Promise<IDBDatabase>|null}
+ */
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<any>} - The request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and create or upgrade if needed) the library database
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('This browser does not support IndexedDB'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(MOVIE_STORE)) {
+                const store = db.createObjectStore(MOVIE_STORE, { keyPath: 'id' });
+                store.createIndex('createdAt', 'createdAt');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a function against the movie store inside a transaction
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} fn - Function issuing the request
+ * @returns {Promise<any>} - The request result
+ */
+async function withStore(mode, fn) {
+    const db = await openDatabase();
+    const transaction = db.transaction(MOVIE_STORE, mode);
+    return requestToPromise(fn(transaction.objectStore(MOVIE_STORE)));
+}
+
+/**
+ * Create a unique id for a library entry
+ * @returns {string} - A unique id
+ */
+function createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Download a URL (including blob: URLs) into a Blob
+ * @param {string} url - URL to download
+ * @returns {Promise<Blob|null>} - The data, or null if it could not be fetched
+ */
+export async function blobFromUrl(url) {
+    if (!url) return null;
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        return await response.blob();
+    } catch (error) {
+        // Cross-origin images without CORS headers cannot be read back
+        console.warn('Could not store media in library:', error);
+        return null;
+    }
+}
+
+/**
+ * Split generated plot data into the library entry's movie fields
+ * @param {Object} plotData - Plot elements with optional summary and trailer
+ * @returns {{title: string, elements: Object, plot: string, trailer: string}} - Entry fields
+ */
+function toEntryFields(plotData) {
+    const { summary, trailer, ...elements } = plotData;
+    return {
+        title: plotData.title || 'Untitled Action',
+        elements,
+        plot: summary && typeof summary === 'object' ? summary.plot || '' : summary || '',
+        trailer: trailer || ''
+    };
+}
+
+/**
+ * Save a generated movie to the library
+ * @param {Object} plotData - Plot elements with optional summary and trailer
+ * @param {Object} [options] - Extra entry fields
+ * @param {string} [options.source] - Where the movie was generated
+ * @returns {Promise<string>} - Id of the new entry
+ */
+export async function saveMovie(plotData, { source = 'generator' } = {}) {
+    const now = Date.now();
+
+    /** @type {LibraryEntry} */
+    const entry = {
+        id: createId(),
+        ...toEntryFields(plotData),
+        posterStyle: '',
+        posterDescription: '',
+        posterImageUrl: '',
+        posterImage: null,
+        trailerAudio: null,
+        favorite: false,
+        source,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await withStore('readwrite', (store) => store.add(entry));
+    return entry.id;
+}
+
+/**
+ * Get a single library entry
+ * @param {string} id - Entry id
+ * @returns {Promise<LibraryEntry|undefined>} - The entry, if it exists
+ */
+export async function getMovie(id) {
+    return withStore('readonly', (store) => store.get(id));
+}
+
+/**
+ * Merge changes into an existing library entry. The entry is read and
+ * written in one transaction, so overlapping updates (a poster and an audio
+ * track arriving together) cannot overwrite each other's fields.
+ *
+ * @param {string} id - Entry id
+ * @param {Partial<LibraryEntry>|function(LibraryEntry): Partial<LibraryEntry>} changes - Fields to update, or a function of the stored entry returning them
+ * @returns {Promise<LibraryEntry|null>} - The updated entry, or null if it no longer exists
+ */
+export async function updateMovie(id, changes) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(MOVIE_STORE, 'readwrite');
+        const store = transaction.objectStore(MOVIE_STORE);
+        let updated = null;
+
+        const read = store.get(id);
+        read.onsuccess = () => {
+            const existing = read.result;
+            if (!existing) return;
+
+            const fields = typeof changes === 'function' ? changes(existing) : changes;
+            updated = { ...existing, ...fields, id, updatedAt: Date.now() };
+            store.put(updated);
+        };
+
+        transaction.oncomplete = () => resolve(updated);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Toggle the favorite flag on an entry
+ * @param {string} id - Entry id
+ * @returns {Promise<LibraryEntry|null>} - The updated entry
+ */
+export async function toggleFavorite(id) {
+    return updateMovie(id, (existing) => ({ favorite: !existing.favorite }));
+}
+
+/**
+ * Delete an entry from the library
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function deleteMovie(id) {
+    await withStore('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * List library entries, newest first
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.query] - Text matched against title, villain and setting
+ * @param {boolean} [filters.favoritesOnly] - Only return favorited entries
+ * @returns {Promise<LibraryEntry[]>} - Matching entries
+ */
+export async function listMovies({ query = '', favoritesOnly = false } = {}) {
+    const entries = await withStore('readonly', (store) => store.getAll());
+    const needle = query.trim().toLowerCase();
+
+    return entries
+        .filter((entry) => !favoritesOnly || entry.favorite)
+        .filter((entry) => {
+            if (!needle) return true;
+            return [entry.title, entry.elements.villain, entry.elements.setting]
+                .some((field) => field && field.toLowerCase().includes(needle));
+        })
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Create a recorder that saves one generated movie and attaches media to it as
+ * it becomes available. Updates issued before the initial save has finished
+ * are queued behind it.
+ *
+ * @param {string} source - Where the movie was generated ('generator' or 'studio')
+ * @param {string} [existingId] - Id of an entry already in the library, to attach media to it
+ * @returns {Object} - Recorder with recordPlot, attachPlot, attachAudio, attachPoster and attachPosterDescription
+ */
+export function createLibraryRecorder(source, existingId = null) {
+    let entryId = existingId ? Promise.resolve(existingId) : null;
+
+    const update = async (changes) => {
+        try {
+            const id = await entryId;
+            if (id) {
+                await updateMovie(id, changes);
+            }
+        } catch (error) {
+            console.error('Failed to update library entry:', error);
+        }
+    };
+
+    return {
+        recordPlot(plotData) {
+            entryId = saveMovie(plotData, { source }).catch((error) => {
+                console.error('Failed to save movie to library:', error);
+                return null;
+            });
+            return entryId;
+        },
+
+        async attachPlot(plotData) {
+            await update(toEntryFields(plotData));
+        },
+
+        async attachAudio(audioUrl) {
+            const trailerAudio = await blobFromUrl(audioUrl);
+            if (trailerAudio) {
+                await update({ trailerAudio });
+            }
+        },
+
+        async attachPoster(imageUrl, posterStyle) {
+            const posterImage = await blobFromUrl(imageUrl);
+            await update({ posterImageUrl: imageUrl, posterImage, posterStyle });
+        },
+
+        async attachPosterDescription(posterDescription, posterStyle) {
+            await update({ posterDescription, posterStyle });
+        }
+    };
+}
+
+export default {
+    saveMovie,
+    getMovie,
+    updateMovie,
+    toggleFavorite,
+    deleteMovie,
+    listMovies,
+    blobFromUrl,
+    createLibraryRecorder
+};
@@ -1,3 +1,5 @@
+import { createRandom } from '../utils/random';
+
 /**
  * Flag indicating whether API functionality is available
  * @type {boolean}
@@ -22,6 +24,31 @@ const INITIAL_RETRY_DELAY = 1000;
  */
 const FETCH_TIMEOUT = 30000; // 30 seconds
 
+/**
+ * Client-side timeout for the request that starts a background job. Servers
+ * without a job queue answer it only once the job is done (in up to a minute).
+ * @type {number}
+ */
+const JOB_REQUEST_TIMEOUT = 70000; // 70 seconds
+
+/**
+ * How often to check on a background job in milliseconds
+ * @type {number}
+ */
+const JOB_POLL_INTERVAL = 1000;
+
+/**
+ * How long to wait for a background job before giving up, in milliseconds
+ * @type {number}
+ */
+const JOB_WAIT_TIMEOUT = 360000; // 6 minutes
+
+/**
+ * Status checks that may fail in a row before a job is given up on
+ * @type {number}
+ */
+const MAX_JOB_POLL_FAILURES = 3;
+
 /**
  * Error backoff state to track API errors and implement circuit breaking
  * @type {Object}
@@ -34,14 +61,71 @@ const errorBackoff = {
 };
 
 /**
- * Initialize the OpenAI service
- * @returns {boolean} - Whether initialization was successful
+ * When the server's rate limit lets this client in again, and why it was
+ * refused; `until` is 0 while the client is not rate limited
+ * @type {{until: number, errorType: string, message: string}}
  */
-export const initializeOpenAI = () => {
-    // We always return true because the API key is handled server-side
-    return true;
+const rateLimit = {
+    until: 0,
+    errorType: '',
+    message: ''
 };
 
+/**
+ * Listeners told about every new rate limit
+ * @type {Set<function(RateLimitStatus): void>}
+ */
+const rateLimitListeners = new Set();
+
+/**
+ * Session token the server issued to this browser tab, sent back so the
+ * server can rate limit by session
+ * @type {string|null}
+ */
+let sessionId = null;
+
+/**
+ * OpenAI key the user supplied, sent with every request instead of relying
+ * on the server's key; null when the user has not added one
+ * @type {string|null}
+ */
+let userApiKey = null;
+
+/**
+ * What the server last reported it can do, or null before the first check
+ * @type {Capabilities|null}
+ */
+let capabilities = null;
+
+/**
+ * Initialize the OpenAI service by asking the server what it can do. AI
+ * generation is only marked available if the server can generate text, and a
+ * cooldown the server reports is honoured like a rate limit.
+ * @returns {Promise<Capabilities|null>} - The server's capabilities, or null if it could not be reached
+ */
+export const initializeOpenAI = async () => {
+    try {
+        capabilities = await fetchCapabilities();
+    } catch (error) {
+        console.error('Could not check the server\'s AI capabilities:', error);
+        capabilities = null;
+        apiAvailable = false;
+        return null;
+    }
+
+    apiAvailable = Boolean(capabilities.features?.text);
+    if (capabilities.cooldown?.active) {
+        noteRateLimit(capabilities.cooldown);
+    }
+    return capabilities;
+};
+
+/**
+ * Get what the server reported at the last initializeOpenAI
+ * @returns {Capabilities|null} - Capabilities, or null if they are unknown
+ */
+export const getCapabilities = () => capabilities;
+
 /**
  * Check if OpenAI service is initialized
  * @returns {boolean} - Whether OpenAI service is initialized
@@ -74,19 +158,119 @@ export const clearOpenAI = () => {
     errorBackoff.isInCooldown = false;
 };
 
+/**
+ * Use the user's own OpenAI key for every following request
+ * @param {string|null} apiKey - The key, or null to go back to the server's key
+ */
+export const setUserApiKey = (apiKey) => {
+    userApiKey = apiKey || null;
+};
+
+/**
+ * @typedef {Object} RateLimitStatus
+ * @property {number} until - When requests are allowed again (ms since epoch)
+ * @property {string} errorType - 'client_rate_limit' or 'budget_exhausted'
+ * @property {string} message - The server's explanation
+ */
+
+/**
+ * Get the current rate limit, if the server has refused this client
+ * @returns {RateLimitStatus|null} - Rate limit, or null if requests are allowed
+ */
+export const getRateLimit = () => (rateLimit.until > Date.now() ? { ...rateLimit } : null);
+
+/**
+ * Be told whenever the server rate limits this client. A listener added
+ * while a rate limit is in force is called with it straight away.
+ * @param {function(RateLimitStatus): void} listener - Called with each rate limit
+ * @returns {function(): void} - Removes the listener
+ */
+export const subscribeToRateLimit = (listener) => {
+    rateLimitListeners.add(listener);
+    const current = getRateLimit();
+    if (current) {
+        listener(current);
+    }
+    return () => rateLimitListeners.delete(listener);
+};
+
+/**
+ * Get the session token the server issued to this browser tab
+ * @returns {string|null} - Session token, or null before the server has issued one
+ */
+function getSessionId() {
+    if (!sessionId && typeof sessionStorage !== 'undefined') {
+        sessionId = sessionStorage.getItem('statham-session-id');
+    }
+    return sessionId;
+}
+
+/**
+ * Keep the session token the server issued in a response, if it sent one
+ * @param {Response} response - Fetch response
+ */
+function adoptSessionId(response) {
+    const issued = response.headers?.get('X-Session-Id');
+    if (issued && issued !== sessionId) {
+        sessionId = issued;
+        if (typeof sessionStorage !== 'undefined') {
+            sessionStorage.setItem('statham-session-id', issued);
+        }
+    }
+}
+
+/**
+ * Headers sent with every API request
+ * @param {string|null} [apiKey] - User API key to send; defaults to the one in use
+ * @returns {Object<string, string>} - Request headers
+ */
+function requestHeaders(apiKey = userApiKey) {
+    const session = getSessionId();
+    return {
+        'Content-Type': 'application/json',
+        ...(session ? { 'X-Session-Id': session } : {}),
+        ...(apiKey ? { 'X-OpenAI-Key': apiKey } : {})
+    };
+}
+
+/**
+ * Make the error for a request the rate limit refused
+ * @returns {Error} - Error marked with isRateLimited and the seconds to wait
+ */
+function rateLimitError() {
+    const error = new Error(rateLimit.message);
+    error.isRateLimited = true;
+    error.retryAfter = Math.max(0, Math.ceil((rateLimit.until - Date.now()) / 1000));
+    return error;
+}
+
+/**
+ * Record a rate limit the server reported and tell the listeners
+ * @param {Object} errorData - Body of the server's 429 response
+ * @returns {Error} - Error to throw for the refused request
+ */
+function noteRateLimit(errorData) {
+    rateLimit.until = Date.now() + errorData.retryAfter * 1000;
+    rateLimit.errorType = errorData.errorType;
+    rateLimit.message = errorData.message || 'Too many requests. Please wait a moment.';
+    rateLimitListeners.forEach((listener) => listener({ ...rateLimit }));
+    return rateLimitError();
+}
+
 /**
  * Fetch with timeout to prevent hanging requests
  * @param {string} url - The URL to fetch
  * @param {Object} options - Fetch options
+ * @param {number} [timeout] - Milliseconds before the request is aborted
  * @returns {Promise<Response>} - The fetch response
  */
-async function fetchWithTimeout(url, options) {
+async function fetchWithTimeout(url, options, timeout = FETCH_TIMEOUT) {
     const controller = new AbortController();
     const signal = controller.signal;
 
     const timeoutId = setTimeout(() => {
         controller.abort();
-    }, FETCH_TIMEOUT);
+    }, timeout);
 
     try {
         const response = await fetch(url, {
@@ -94,6 +278,7 @@ async function fetchWithTimeout(url, options) {
             signal
         });
         clearTimeout(timeoutId);
+        adoptSessionId(response);
         return response;
     } catch (error) {
         clearTimeout(timeoutId);
@@ -110,15 +295,22 @@ async function fetchWithTimeout(url, options) {
  * Generic fetch function with retry logic
  * @param {string} action - The API action to perform
  * @param {Object} payload - The data to send to the API
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Milliseconds each attempt may take
  * @returns {Promise<any>} - The API response
  * @throws {Error} - Throws if all retries fail
  */
-async function fetchWithRetry(action, payload) {
+async function fetchWithRetry(action, payload, { timeout = FETCH_TIMEOUT } = {}) {
     // If we're in cooldown period, immediately fail
     if (errorBackoff.isInCooldown) {
         throw new Error('API temporarily unavailable due to previous errors. Please try again later.');
     }
 
+    // The server would refuse the request anyway
+    if (getRateLimit()) {
+        throw rateLimitError();
+    }
+
     let lastError;
     let delay = INITIAL_RETRY_DELAY;
 
@@ -133,20 +325,24 @@ async function fetchWithRetry(action, payload) {
 
             const response = await fetchWithTimeout('/api/openai', {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
+                headers: requestHeaders(),
                 body: JSON.stringify({
                     action,
                     ...payload
                 }),
-            });
+            }, timeout);
 
             // Check for error response
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
                 const errorMessage = errorData.message || errorData.error || `HTTP error: ${response.status}`;
 
+                // Our own rate limit says exactly when to come back; it is
+                // not an upstream quota problem, so there is no cooldown
+                if (response.status === 429 && errorData.retryAfter !== undefined) {
+                    throw noteRateLimit(errorData);
+                }
+
                 // Identify the type of error based on status code and message
                 const isTimeout = response.status === 504 ||
                     (errorData.errorType === 'timeout') ||
@@ -229,7 +425,7 @@ async function fetchWithRetry(action, payload) {
             }
 
             // If this is a quota error, don't retry
-            if (error.message && (
+            if (error.isRateLimited || error.message && (
                 error.message.includes('quota') ||
                 error.message.includes('billing') ||
                 error.message.includes('rate limit')
@@ -247,6 +443,89 @@ async function fetchWithRetry(action, payload) {
     throw lastError;
 }
 
+/**
+ * @typedef {Object} JobProgress
+ * @property {string} status - queued, running, done or failed
+ * @property {number} progress - Fraction complete, from 0 to 1
+ * @property {string} message - What the server is doing right now
+ */
+
+/**
+ * Wait for a background job on the server to finish, polling its status
+ * @param {string} jobId - Id of the job
+ * @param {function(JobProgress): void} [onProgress] - Called with every status update
+ * @returns {Promise<any>} - The job's result
+ * @throws {Error} - Throws if the job fails, expires or takes too long
+ */
+async function waitForJob(jobId, onProgress) {
+    const startedAt = Date.now();
+    let failures = 0;
+
+    while (Date.now() - startedAt < JOB_WAIT_TIMEOUT) {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+
+        let job;
+        try {
+            const response = await fetchWithTimeout(`/api/openai?jobId=${encodeURIComponent(jobId)}`, {
+                method: 'GET',
+                headers: requestHeaders()
+            });
+            job = await response.json().catch(() => ({}));
+
+            if (response.status === 404) {
+                throw Object.assign(new Error(job.message || 'The job has expired'), { fatal: true });
+            }
+            if (!response.ok) {
+                throw new Error(job.message || job.error || `HTTP error: ${response.status}`);
+            }
+            failures = 0;
+        } catch (error) {
+            failures++;
+            if (error.fatal || failures >= MAX_JOB_POLL_FAILURES) {
+                throw error;
+            }
+            console.warn(`Job status check failed (${failures}/${MAX_JOB_POLL_FAILURES}):`, error.message);
+            continue;
+        }
+
+        if (onProgress) {
+            onProgress({ status: job.status, progress: job.progress, message: job.message });
+        }
+
+        if (job.status === 'done') {
+            return job.result;
+        }
+        if (job.status === 'failed') {
+            throw new Error((job.error && (job.error.message || job.error.error)) || 'Job failed');
+        }
+    }
+
+    throw new Error('Timed out waiting for the server to finish');
+}
+
+/**
+ * Start a slow action as a background job and wait for its result
+ * @param {string} action - The API action to perform
+ * @param {Object} payload - The data to send to the API
+ * @param {function(JobProgress): void} [onProgress] - Called with every status update
+ * @returns {Promise<any>} - The action's result
+ * @throws {Error} - Throws if the job cannot be started or fails
+ */
+async function runJob(action, payload, onProgress) {
+    const response = await fetchWithRetry(action, payload, { timeout: JOB_REQUEST_TIMEOUT });
+    const data = await response.json();
+
+    // Cache hits, and servers that run jobs within the request, answer with the result
+    if (!data.jobId) {
+        return data;
+    }
+
+    if (onProgress) {
+        onProgress({ status: data.status, progress: data.progress, message: data.message });
+    }
+    return waitForJob(data.jobId, onProgress);
+}
+
 /**
  * Handle API errors and implement circuit breaking
  */
@@ -271,16 +550,83 @@ function handleApiError() {
     }
 }
 
+/**
+ * @typedef {Object} Capabilities
+ * @property {boolean} configured - Whether the server can reach a provider at all
+ * @property {string|null} provider - Provider that answers requests, e.g. 'openai' or 'mock'
+ * @property {'server'|'user'|null} keySource - Whose API key pays for requests; null if none is needed
+ * @property {{chat: string|null, image: string|null, speech: string|null}} models - Model behind each capability
+ * @property {{text: boolean, image: boolean, audio: boolean}} features - Which AI features are available
+ * @property {{capacity: number, remaining: number, refillPerMinute: number, costs: Object<string, number>}|null} quota - This client's rate limit, or null if there is none
+ * @property {{limit: number, spent: number, remaining: number, resetsIn: number}|null} budget - Today's shared budget, or null if it does not apply
+ * @property {{active: boolean, retryAfter?: number, errorType?: string, message?: string}} cooldown - Whether the server is holding this client off
+ * @property {string} [message] - Why nothing is available, when the server is not configured
+ */
+
+/**
+ * Ask the server which AI features it can offer, given the API key in use
+ * @returns {Promise<Capabilities>} - What the server can do
+ * @throws {Error} - Throws if the server cannot be reached
+ */
+export async function fetchCapabilities() {
+    const response = await fetchWithTimeout('/api/openai?capabilities=1', {
+        method: 'GET',
+        headers: requestHeaders()
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(data.message || data.error || `HTTP error: ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Check an OpenAI key with the cheapest authenticated call there is, before
+ * it is saved. Bypasses the retry and cooldown handling, since a rejected key
+ * says nothing about the API's health.
+ *
+ * @param {string} apiKey - Key to check
+ * @returns {Promise<{valid: boolean, message?: string}>} - Whether OpenAI accepted the key, and why not
+ */
+export async function validateApiKey(apiKey) {
+    try {
+        const response = await fetchWithTimeout('/api/openai', {
+            method: 'POST',
+            headers: requestHeaders(apiKey),
+            body: JSON.stringify({ action: 'checkApiKey' })
+        });
+        if (response.ok) {
+            return { valid: true };
+        }
+
+        const errorData = await response.json().catch(() => ({}));
+        if (response.status === 429 && errorData.retryAfter !== undefined) {
+            noteRateLimit(errorData);
+        }
+        return {
+            valid: false,
+            message: errorData.errorType === 'invalid_api_key'
+                ? 'OpenAI did not accept this key. Check that it is copied completely and still active.'
+                : errorData.message || errorData.error || `HTTP error: ${response.status}`
+        };
+    } catch (error) {
+        return { valid: false, message: error.message };
+    }
+}
+
 /**
  * Generate a random Statham movie title as a fallback
+ * @param {string} [seed] - Movie seed; the same seed always yields the same title
  * @returns {string} - A random movie title
  */
-function generateFallbackTitle() {
+export function generateFallbackTitle(seed) {
     const prefixes = ['Steel', 'Iron', 'Blood', 'Death', 'Night', 'Fury', 'Shadow', 'Chrome', 'Brutal', 'Lethal'];
     const suffixes = ['Protocol', 'Justice', 'Vengeance', 'Redemption', 'Command', 'Strike', 'Execution', 'Hunter', 'Code', 'Force'];
 
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+    const rng = createRandom(seed ? `${seed}:title` : '');
+    const prefix = rng.pick(prefixes);
+    const suffix = rng.pick(suffixes);
 
     return `${prefix} ${suffix}`;
 }
@@ -299,7 +645,7 @@ export async function generateTitle(plotElements) {
     } catch (error) {
         console.error('Error calling generateTitle:', error);
         // Use fallback title generator on failure
-        return generateFallbackTitle();
+        return generateFallbackTitle(plotElements && plotElements.seed);
     }
 }
 
@@ -314,20 +660,29 @@ export async function generateMoviePlot(plotElements) {
         const response = await fetchWithRetry('generateMoviePlot', { plotElements });
         const data = await response.json();
         return {
-            title: data.title || plotElements.title || generateFallbackTitle(),
+            title: data.title || plotElements.title || generateFallbackTitle(plotElements.seed),
             plot: data.plot || ""
         };
     } catch (error) {
         console.error('Error calling generateMoviePlot:', error);
 
         // Return fallback plot with original elements
-        return {
-            title: plotElements.title || generateFallbackTitle(),
-            plot: `In this action-packed thriller, Jason Statham plays a former ${plotElements.formerProfession} who now works as a ${plotElements.currentJob}. But when ${plotElements.plotTrigger}, he's forced back into action. With the help of ${plotElements.sidekick}, he takes on ${plotElements.villain} and ${plotElements.villainGroup} in ${plotElements.setting}. Armed with ${plotElements.weapon} and driving ${plotElements.vehicle}, Statham is unstoppable. In a shocking twist, ${plotElements.plotTwist}, leading to ${plotElements.bossFight} where the villain is ${plotElements.bossKill}.`
-        };
+        return generateFallbackPlot(plotElements);
     }
 }
 
+/**
+ * Generate a fallback plot when API fails
+ * @param {Object} plotElements - Plot elements to include in the plot
+ * @returns {Object} - A fallback plot with title
+ */
+function generateFallbackPlot(plotElements) {
+    return {
+        title: plotElements.title || generateFallbackTitle(plotElements.seed),
+        plot: `In this action-packed thriller, Jason Statham plays a former ${plotElements.formerProfession} who now works as a ${plotElements.currentJob}. But when ${plotElements.plotTrigger}, he's forced back into action. With the help of ${plotElements.sidekick}, he takes on ${plotElements.villain} and ${plotElements.villainGroup} in ${plotElements.setting}. Armed with ${plotElements.weapon} and driving ${plotElements.vehicle}, Statham is unstoppable. In a shocking twist, ${plotElements.plotTwist}, leading to ${plotElements.bossFight} where the villain is ${plotElements.bossKill}.`
+    };
+}
+
 /**
  * Generates a movie trailer script based on provided plot elements
  *
@@ -395,34 +750,211 @@ Vengeance has a name.
 }
 
 /**
- * Generates a movie poster description based on the plot and style
+ * Read one chunk from a stream reader, giving up if nothing arrives in time
+ * @param {ReadableStreamDefaultReader} reader - Reader for the response body
+ * @returns {Promise<ReadableStreamReadResult<Uint8Array>>} - The next chunk
+ * @throws {Error} - Throws if the stream stalls for longer than FETCH_TIMEOUT
+ */
+async function readWithTimeout(reader) {
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+            reader.cancel().catch(() => {});
+            const timeoutError = new Error('Stream stalled');
+            timeoutError.isTimeout = true;
+            reject(timeoutError);
+        }, FETCH_TIMEOUT);
+    });
+
+    try {
+        return await Promise.race([reader.read(), timeout]);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Stream an API action as server-sent events
+ *
+ * Yields `{ type, data }` for every event the server sends (`token`,
+ * `title`, `done`). An `error` event is thrown. If the server answers with
+ * plain JSON instead of a stream, that is yielded as a single `done` event.
+ *
+ * @param {string} action - The API action to perform
+ * @param {Object} payload - The data to send to the API
+ * @yields {{type: string, data: Object}} - Parsed server-sent events
+ * @throws {Error} - Throws if the request fails or the stream reports an error
+ */
+export async function* streamCompletion(action, payload) {
+    const response = await fetchWithRetry(action, { ...payload, stream: true });
+
+    if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        yield { type: 'done', data: await response.json() };
+        return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await readWithTimeout(reader);
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let type = 'message';
+            let data = '';
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) {
+                    type = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            }
+
+            const parsed = data ? JSON.parse(data) : {};
+            if (type === 'error') {
+                throw new Error(parsed.message || parsed.error || 'Stream interrupted');
+            }
+
+            yield { type, data: parsed };
+            if (type === 'done') return;
+        }
+    }
+
+    throw new Error('Stream ended unexpectedly');
+}
+
+/**
+ * Streams a movie plot, reporting text as it arrives
+ *
+ * Resolves with the same result as generateMoviePlot, including the
+ * template-based fallback if the request fails.
+ *
+ * @param {Object} plotElements - Elements to include in the plot
+ * @param {Object} [callbacks] - Progress callbacks
+ * @param {Function} [callbacks.onToken] - Called with each new piece of plot text
+ * @param {Function} [callbacks.onTitle] - Called with the title when the model suggests one
+ * @returns {Promise<Object>} - The generated plot with title
+ */
+export async function streamMoviePlot(plotElements, { onToken, onTitle } = {}) {
+    try {
+        for await (const { type, data } of streamCompletion('generateMoviePlot', { plotElements })) {
+            if (type === 'token' && onToken) {
+                onToken(data.text);
+            } else if (type === 'title' && onTitle) {
+                onTitle(data.title);
+            } else if (type === 'done') {
+                return {
+                    title: data.title || plotElements.title || generateFallbackTitle(plotElements.seed),
+                    plot: data.plot || ""
+                };
+            }
+        }
+    } catch (error) {
+        console.error('Error streaming generateMoviePlot:', error);
+    }
+
+    return generateFallbackPlot(plotElements);
+}
+
+/**
+ * Streams a movie trailer script, reporting text as it arrives
+ *
+ * @param {Object} plotElements - Elements to include in the trailer
+ * @param {Object} [callbacks] - Progress callbacks
+ * @param {Function} [callbacks.onToken] - Called with each new piece of script text
+ * @returns {Promise<string>} - The generated trailer script
+ */
+export async function streamMovieTrailer(plotElements, { onToken } = {}) {
+    try {
+        for await (const { type, data } of streamCompletion('generateMovieTrailer', { plotElements })) {
+            if (type === 'token' && onToken) {
+                onToken(data.text);
+            } else if (type === 'done') {
+                return data.trailer || generateFallbackTrailer(plotElements);
+            }
+        }
+    } catch (error) {
+        console.error('Error streaming generateMovieTrailer:', error);
+    }
+
+    return generateFallbackTrailer(plotElements);
+}
+
+/**
+ * @typedef {Object} PosterConcept
+ * @property {string} description - Tagline on the first line, then the visual description
+ * @property {string} tagline - Tagline without quotes
+ * @property {Object<string, string>} artDirection - Composition, palette, props and pose notes for the image prompt
+ */
+
+/**
+ * Generates a poster concept based on the plot and style: the first stage
+ * of the poster pipeline. Its art direction can be edited and passed to
+ * generateMoviePoster.
  *
  * @param {Object} plot - The plot elements
- * @param {string} style - Poster style (action, artsy, vintage)
- * @returns {Promise<string>} - The generated poster description
+ * @param {string} style - Poster style id (see src/data/posterStyles.js)
+ * @param {Object} [options] - Request options
+ * @param {boolean} [options.regenerate] - Skip the server's response cache and ask for a new concept
+ * @returns {Promise<PosterConcept>} - The generated poster concept
  */
-export async function generatePosterDescription(plot, style) {
+export async function generateAIPosterConcept(plot, style, { regenerate = false } = {}) {
     try {
-        const response = await fetchWithRetry('generatePosterDescription', { plot, style });
+        const response = await fetchWithRetry('generatePosterDescription', { plot, style, regenerate });
         const data = await response.json();
-        return data.description || "";
+        return {
+            description: data.description || "",
+            tagline: data.tagline || "",
+            artDirection: data.artDirection || {}
+        };
     } catch (error) {
         console.error('Error calling generatePosterDescription:', error);
         throw error;
     }
 }
 
+/**
+ * Generates a movie poster description based on the plot and style
+ *
+ * @param {Object} plot - The plot elements
+ * @param {string} style - Poster style id (see src/data/posterStyles.js)
+ * @param {Object} [options] - Request options
+ * @param {boolean} [options.regenerate] - Skip the server's response cache and ask for a new description
+ * @returns {Promise<string>} - The generated poster description
+ */
+export async function generatePosterDescription(plot, style, options) {
+    const concept = await generateAIPosterConcept(plot, style, options);
+    return concept.description;
+}
+
 /**
  * Generates a movie poster using OpenAI's SORA API
  *
+ * The poster is drawn in a background job on the server; progress is
+ * reported while it runs.
+ *
  * @param {Object} plot - The plot elements
- * @param {string} style - Poster style (action, artsy, vintage)
- * @returns {Promise<string>} - URL to the generated poster image
+ * @param {string} style - Poster style id (see src/data/posterStyles.js)
+ * @param {Object} [options] - Progress callback and request options
+ * @param {function(JobProgress): void} [options.onProgress] - Called with every job status update
+ * @param {boolean} [options.regenerate] - Skip the server's response cache and draw a new poster
+ * @param {Object<string, string>} [options.artDirection] - Art direction from generateAIPosterConcept, possibly edited
+ * @param {string} [options.format] - Poster shape: 'portrait' (default), 'landscape' or 'square'
+ * @param {string} [options.quality] - Image quality: 'standard' (default) or 'hd'
+ * @param {string} [options.imageStyle] - Image model look: 'vivid' (default) or 'natural'
+ * @returns {Promise<string>} - Same-origin URL of the stored poster image
  */
-export async function generateMoviePoster(plot, style) {
+export async function generateMoviePoster(plot, style, { onProgress, regenerate = false, artDirection, format, quality, imageStyle } = {}) {
     try {
-        const response = await fetchWithRetry('generateMoviePoster', { plot, style });
-        const data = await response.json();
+        const data = await runJob('generateMoviePoster', { plot, style, artDirection, format, quality, imageStyle, regenerate }, onProgress);
         return data.imageUrl || "";
     } catch (error) {
         console.error('Error calling generateMoviePoster:', error);
@@ -430,57 +962,97 @@ export async function generateMoviePoster(plot, style) {
     }
 }
 
+/**
+ * Turn base64-encoded audio into an object URL the audio element can play
+ * @param {string} base64 - Base64-encoded audio data
+ * @param {string} format - Audio format, 'mp3' or 'wav'
+ * @returns {string} - Object URL for the audio
+ */
+function audioUrlFromBase64(base64, format) {
+    const byteCharacters = atob(base64);
+    const byteArray = new Uint8Array(byteCharacters.length);
+
+    for (let i = 0; i < byteCharacters.length; i++) {
+        byteArray[i] = byteCharacters.charCodeAt(i);
+    }
+
+    const mimeType = format === 'wav' ? 'audio/wav' : 'audio/mpeg';
+    return URL.createObjectURL(new Blob([byteArray], { type: mimeType }));
+}
+
 /**
  * Generates audio for a movie trailer
  *
+ * The voice-over is recorded in a background job on the server; progress is
+ * reported while it runs.
+ *
  * @param {string} trailerText - Text of the trailer to convert to audio
+ * @param {Object} [callbacks] - Progress callbacks
+ * @param {function(JobProgress): void} [callbacks.onProgress] - Called with every job status update
  * @returns {Promise<string>} - URL to the generated audio file
  */
-export async function generateTrailerAudio(trailerText) {
+export async function generateTrailerAudio(trailerText, { onProgress } = {}) {
     try {
-        // Audio is different because it returns binary data
-        const response = await fetchWithRetry('generateTrailerAudio', { trailerText });
-
-        // Check if the response is JSON (error) or blob (success)
-        const contentType = response.headers.get('content-type');
-
-        if (contentType && contentType.includes('application/json')) {
-            const data = await response.json();
-            if (data.audio) {
-                // Handle base64 encoded audio
-                const byteCharacters = atob(data.audio);
-                const byteNumbers = new Array(byteCharacters.length);
-
-                for (let i = 0; i < byteCharacters.length; i++) {
-                    byteNumbers[i] = byteCharacters.charCodeAt(i);
-                }
-
-                const byteArray = new Uint8Array(byteNumbers);
-                const blob = new Blob([byteArray], { type: 'audio/mpeg' });
-                return URL.createObjectURL(blob);
-            }
+        const data = await runJob('generateTrailerAudio', { trailerText }, onProgress);
+        if (!data.audio) {
             throw new Error(data.error || 'Failed to generate audio');
         }
-
-        // Handle binary response
-        const blob = await response.blob();
-        return URL.createObjectURL(blob);
+        return audioUrlFromBase64(data.audio, data.format);
     } catch (error) {
         console.error('Error calling generateTrailerAudio:', error);
         throw error;
     }
 }
 
+/**
+ * @typedef {Object} MovieBatch
+ * @property {Array<Object>} movies - Movies that passed schema validation
+ * @property {number} requested - Number of movies asked for
+ * @property {number} valid - Number of valid movies returned
+ * @property {number} repaired - Number of valid movies that needed repairs
+ * @property {number} dropped - Number of items dropped as invalid
+ * @property {Array<Object>} errors - Per-item, per-field reasons items were dropped
+ * @property {number} unreadable - Number of responses that held no readable movies at all
+ */
+
+/**
+ * Say why a studio batch came back short
+ * @param {MovieBatch} batch - Batch from the server
+ * @returns {string} - E.g. "2 dropped as invalid, 1 unreadable response"
+ */
+export function describeShortfall(batch) {
+    const reasons = [`${batch.dropped} dropped as invalid`];
+    if (batch.unreadable > 0) {
+        reasons.push(`${batch.unreadable} unreadable ${batch.unreadable === 1 ? 'response' : 'responses'}`);
+    }
+    return reasons.join(', ');
+}
+
 /**
  * Generate multiple movie plots for studio mode
  * @param {number} count - Number of movies to generate
- * @returns {Promise<Array>} - Array of generated movies
+ * @returns {Promise<MovieBatch>} - Validated movies and batch statistics
+ * @throws {Error} - Throws if no valid movies were returned
  */
 export const generateMultipleMovies = async (count) => {
     try {
         const response = await fetchWithRetry('generateMultipleMovies', { count });
         const data = await response.json();
-        return data.movies || [];
+        const batch = {
+            movies: data.movies || [],
+            requested: data.requested ?? count,
+            valid: data.valid ?? (data.movies || []).length,
+            repaired: data.repaired || 0,
+            dropped: data.dropped || 0,
+            errors: data.errors || [],
+            unreadable: data.unreadable || 0
+        };
+
+        if (batch.valid === 0) {
+            throw new Error(`No valid movies returned (${describeShortfall(batch)})`);
+        }
+
+        return batch;
     } catch (error) {
         console.error('Error calling generateMultipleMovies:', error);
         throw error;
@@ -489,11 +1061,22 @@ export const generateMultipleMovies = async (count) => {
 
 export default {
     initializeOpenAI,
+    getCapabilities,
     isOpenAIInitialized,
     clearOpenAI,
+    setUserApiKey,
+    fetchCapabilities,
+    validateApiKey,
+    getRateLimit,
+    subscribeToRateLimit,
+    generateFallbackTitle,
     generateTitle,
     generateMoviePlot,
     generateMovieTrailer,
+    streamCompletion,
+    streamMoviePlot,
+    streamMovieTrailer,
+    generateAIPosterConcept,
     generatePosterDescription,
     generateMoviePoster,
     generateTrailerAudio,
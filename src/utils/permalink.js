@@ -0,0 +1,177 @@
+/**
+ * Name of the URL hash parameter that carries an encoded movie
+ * @type {string}
+ */
+const PERMALINK_PARAM = 'movie';
+
+/**
+ * Prefix marking a deflate-compressed payload
+ * @type {string}
+ */
+const COMPRESSED_PREFIX = 'z';
+
+/**
+ * Prefix marking an uncompressed payload, used when the browser has no CompressionStream
+ * @type {string}
+ */
+const PLAIN_PREFIX = 'j';
+
+/**
+ * Fields of a generated movie that are carried in a permalink
+ * @type {string[]}
+ */
+const PERMALINK_FIELDS = [
+    'seed', 'title', 'setting', 'formerProfession', 'currentJob', 'plotTrigger',
+    'villain', 'villainGroup', 'sidekick', 'plotTwist', 'vehicle', 'weapon',
+    'actionScene', 'villainHideout', 'bossFight', 'bossKill', 'hasCameo', 'cameo',
+    'edited', 'summary', 'trailer', 'posterStyle'
+];
+
+/**
+ * Permalink fields that hold booleans; every other field holds a string
+ * @type {string[]}
+ */
+const BOOLEAN_FIELDS = ['hasCameo', 'edited'];
+
+/**
+ * Encode bytes as base64url (RFC 4648 §5) without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - base64url string
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string into bytes
+ * @param {string} encoded - base64url string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function fromBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Pipe bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} transform - Stream to pipe through
+ * @returns {Promise<Uint8Array>} - Transformed bytes
+ */
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    const buffer = await new Response(stream).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Encode a generated movie into a compact URL-safe string
+ * @param {Object} movie - Plot elements plus summary, trailer and posterStyle
+ * @returns {Promise<string>} - Encoded movie
+ */
+export async function encodeMovie(movie) {
+    const compact = {};
+    for (const field of PERMALINK_FIELDS) {
+        const value = movie[field];
+        if (value !== undefined && value !== null && value !== '' && value !== false) {
+            compact[field] = value;
+        }
+    }
+
+    const bytes = new TextEncoder().encode(JSON.stringify(compact));
+
+    if (typeof CompressionStream === 'undefined') {
+        return PLAIN_PREFIX + toBase64Url(bytes);
+    }
+
+    const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+    return COMPRESSED_PREFIX + toBase64Url(compressed);
+}
+
+/**
+ * Decode a movie previously produced by encodeMovie
+ * @param {string} encoded - Encoded movie
+ * @returns {Promise<Object>} - The decoded movie
+ * @throws {Error} - Throws if the payload is malformed
+ */
+export async function decodeMovie(encoded) {
+    const prefix = encoded.charAt(0);
+    let bytes = fromBase64Url(encoded.slice(1));
+
+    if (prefix === COMPRESSED_PREFIX) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot open compressed movie links');
+        }
+        bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (prefix !== PLAIN_PREFIX) {
+        throw new Error('Unrecognized movie link format');
+    }
+
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+    if (!data || typeof data !== 'object' || !data.title) {
+        throw new Error('Movie link does not contain a movie');
+    }
+
+    // Links can be hand-crafted, so only known fields of the right type are kept
+    const movie = {};
+    for (const field of PERMALINK_FIELDS) {
+        const value = data[field];
+        if (value === undefined) continue;
+
+        const expected = BOOLEAN_FIELDS.includes(field) ? 'boolean' : 'string';
+        if (typeof value !== expected) {
+            throw new Error(`Movie link has an invalid ${field}`);
+        }
+        movie[field] = value;
+    }
+
+    return {
+        ...movie,
+        hasCameo: Boolean(movie.hasCameo),
+        cameo: movie.cameo || ''
+    };
+}
+
+/**
+ * Build a shareable permalink for a generated movie
+ * @param {Object} movie - Plot elements plus summary, trailer and posterStyle
+ * @param {Location} [location] - Location to base the link on
+ * @returns {Promise<string>} - Absolute URL that restores the movie
+ */
+export async function createPermalink(movie, location = window.location) {
+    const encoded = await encodeMovie(movie);
+    return `${location.origin}${location.pathname}#${PERMALINK_PARAM}=${encoded}`;
+}
+
+/**
+ * Read a movie from the current URL, if one is present
+ * @param {Location} [location] - Location to read from
+ * @returns {Promise<Object|null>} - The decoded movie, or null if the URL has none
+ */
+export async function readPermalink(location = window.location) {
+    const params = new URLSearchParams(location.hash.replace(/^#/, ''));
+    const encoded = params.get(PERMALINK_PARAM);
+    if (!encoded) return null;
+
+    return decodeMovie(encoded);
+}
+
+/**
+ * Remove a movie permalink from the address bar without reloading
+ */
+export function clearPermalink() {
+    if (window.location.hash) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+}
@@ -0,0 +1,297 @@
+import { getPosterStyle } from '../data/posterStyles';
+
+/**
+ * Shorter side of downloaded posters in pixels. Generated art is scaled up
+ * to it, so the lettering is drawn at print resolution instead of being upscaled.
+ * @type {number}
+ */
+export const POSTER_EXPORT_SIZE = 2048;
+
+/**
+ * Margin around the lettering, as a fraction of the poster's shorter side
+ * @type {number}
+ */
+const MARGIN = 0.06;
+
+/**
+ * Share of a landscape banner's width the lettering keeps to, on the left
+ * where the art leaves room for it
+ * @type {number}
+ */
+const BANNER_COLUMN = 0.45;
+
+/**
+ * Space between stacked blocks, as a fraction of the poster height
+ * @type {number}
+ */
+const BLOCK_GAP = 0.015;
+
+/**
+ * Line height as a multiple of the font size
+ * @type {number}
+ */
+const LINE_HEIGHT = 1.15;
+
+/**
+ * The billing block for a plot: who stars, who else is in it and who made it
+ * @param {Object} plot - Plot elements
+ * @returns {{starring: string, billing: string, release: string}} - Credit lines
+ */
+export function posterCredits(plot) {
+    // "Vin Diesel as an old army buddy" is billed as VIN DIESEL
+    const cameo = plot?.hasCameo && plot.cameo ? plot.cameo.split(/\s+as\s+/i)[0].trim() : '';
+    const cast = cameo ? `with ${cameo.toUpperCase()} | ` : '';
+    return {
+        starring: 'JASON STATHAM',
+        billing: `${cast}Directed by MICHAEL BAY | Written by CHRISTOPHER NOLAN`,
+        release: 'COMING SOON'
+    };
+}
+
+/**
+ * Build a CSS font shorthand
+ * @param {import('../data/posterStyles').LetteringStyle} lettering - Lettering style
+ * @param {number} size - Font size in pixels
+ * @returns {string} - Canvas font
+ */
+function fontFor(lettering, size) {
+    return `${lettering.italic ? 'italic ' : ''}${lettering.weight || 'normal'} ${Math.round(size)}px ${lettering.family}`;
+}
+
+/**
+ * Break text into lines no wider than maxWidth with the context's current
+ * font. A single word wider than the line gets a line of its own.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Widest line in pixels
+ * @returns {Array<string>} - Lines
+ */
+export function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Set a block of text as large as its lettering allows while it fits
+ * `maxWidth` in at most `maxLines` lines
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} text - Text to set
+ * @param {import('../data/posterStyles').LetteringStyle} lettering - Lettering style
+ * @param {Object} area - Space for the text
+ * @param {number} area.unit - The poster's shorter side in pixels, which font sizes are relative to
+ * @param {number} area.maxWidth - Widest line in pixels
+ * @returns {{lines: Array<string>, size: number}} - Wrapped lines and font size in pixels
+ */
+export function fitText(ctx, text, lettering, { unit, maxWidth }) {
+    const maxLines = lettering.maxLines || 1;
+    const minSize = unit * (lettering.minSize || lettering.size);
+    let size = unit * lettering.size;
+
+    for (;;) {
+        ctx.font = fontFor(lettering, size);
+        const lines = wrapText(ctx, text, maxWidth);
+        const fits = lines.length <= maxLines && lines.every((line) => ctx.measureText(line).width <= maxWidth);
+        if (fits || size <= minSize) {
+            return { lines: lines.slice(0, maxLines), size };
+        }
+        size = Math.max(minSize, size * 0.9);
+    }
+}
+
+/**
+ * Where the lettering goes: across the whole of a portrait or square poster,
+ * or in a column on the left of a landscape banner
+ * @param {number} width - Poster width in pixels
+ * @param {number} height - Poster height in pixels
+ * @returns {{left: number, width: number, banner: boolean}} - Lettering column
+ */
+export function letteringColumn(width, height) {
+    const banner = width > height * 1.2;
+    return { left: 0, width: banner ? width * BANNER_COLUMN : width, banner };
+}
+
+/**
+ * Draw the lines of one block centered in the column at the given top edge
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {{lines: Array<string>, size: number, lettering: import('../data/posterStyles').LetteringStyle}} block - Fitted block
+ * @param {number} top - Top of the block in pixels
+ * @param {{left: number, width: number}} column - Lettering column
+ */
+function drawBlock(ctx, { lines, size, lettering }, top, column) {
+    const lineHeight = size * LINE_HEIGHT;
+    const center = column.left + column.width / 2;
+
+    if (lettering.banner) {
+        ctx.fillStyle = lettering.banner;
+        ctx.fillRect(column.left, top - size * 0.2, column.width, lines.length * lineHeight + size * 0.3);
+    }
+
+    ctx.font = fontFor(lettering, size);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.shadowColor = lettering.glow || 'transparent';
+    ctx.shadowBlur = lettering.glow ? size * 0.3 : 0;
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = size * 0.08;
+    ctx.strokeStyle = lettering.stroke || 'transparent';
+    ctx.fillStyle = lettering.color;
+
+    lines.forEach((line, index) => {
+        const y = top + index * lineHeight;
+        if (lettering.stroke) {
+            ctx.strokeText(line, center, y);
+        }
+        ctx.fillText(line, center, y);
+    });
+    ctx.shadowBlur = 0;
+}
+
+/**
+ * Fade the art into the scrim color behind the lettering
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} color - Scrim color
+ * @param {[number, number]} from - Point where the scrim is solid
+ * @param {[number, number]} to - Point where the art shows through fully
+ * @param {[number, number, number, number]} rect - Area to cover: x, y, width and height
+ */
+function drawScrim(ctx, color, from, to, rect) {
+    const gradient = ctx.createLinearGradient(...from, ...to);
+    gradient.addColorStop(0, color);
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(...rect);
+}
+
+/**
+ * Draw a finished poster: the art, then the title, tagline and billing block
+ * lettered in the style's typography from the style registry. The layout
+ * follows the poster's shape (see letteringColumn).
+ *
+ * @param {CanvasRenderingContext2D} ctx - Context of a canvas the size of the poster
+ * @param {CanvasImageSource} image - Generated art
+ * @param {Object} poster - What to letter
+ * @param {number} poster.width - Poster width in pixels
+ * @param {number} poster.height - Poster height in pixels
+ * @param {string} poster.style - Poster style id
+ * @param {string} poster.title - Movie title
+ * @param {string} [poster.tagline] - Tagline
+ * @param {{starring: string, billing: string, release: string}} poster.credits - Billing block, see posterCredits
+ */
+export function drawPoster(ctx, image, { width, height, style, title, tagline, credits }) {
+    const { typography } = getPosterStyle(style);
+    const texts = {
+        title: title.toUpperCase(),
+        tagline: tagline ? tagline.trim().replace(/^["“]|["”]$/g, '') : '',
+        ...credits
+    };
+    const unit = Math.min(width, height);
+    const margin = unit * MARGIN;
+    const column = letteringColumn(width, height);
+    const area = { unit, maxWidth: column.width - 2 * margin };
+
+    const fit = (names) => names
+        .filter((name) => texts[name])
+        .map((name) => ({ ...fitText(ctx, texts[name], typography.lettering[name], area), lettering: typography.lettering[name] }));
+    const heightOf = (block) => block.lines.length * block.size * LINE_HEIGHT;
+    const stackHeight = (blocks) => blocks.reduce((total, block) => total + heightOf(block) + height * BLOCK_GAP, 0);
+
+    const topBlocks = fit(typography.top);
+    const bottomBlocks = fit(typography.bottom);
+
+    ctx.drawImage(image, 0, 0, width, height);
+    if (typography.tint) {
+        ctx.fillStyle = typography.tint;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    const topHeight = stackHeight(topBlocks);
+    const bottomTop = height - margin - stackHeight(bottomBlocks) + height * BLOCK_GAP;
+    if (column.banner) {
+        // One scrim down the whole lettering column
+        const fade = column.left + column.width * 1.4;
+        drawScrim(ctx, typography.scrim, [column.left, 0], [fade, 0], [column.left, 0, fade - column.left, height]);
+    } else {
+        const topFade = margin + topHeight * 1.5;
+        const bottomFade = bottomTop - (height - bottomTop) * 0.5;
+        drawScrim(ctx, typography.scrim, [0, 0], [0, topFade], [0, 0, width, topFade]);
+        drawScrim(ctx, typography.scrim, [0, height], [0, bottomFade], [0, bottomFade, width, height - bottomFade]);
+    }
+
+    let y = margin;
+    for (const block of topBlocks) {
+        drawBlock(ctx, block, y, column);
+        y += heightOf(block) + height * BLOCK_GAP;
+    }
+    y = bottomTop;
+    for (const block of bottomBlocks) {
+        drawBlock(ctx, block, y, column);
+        y += heightOf(block) + height * BLOCK_GAP;
+    }
+
+    if (typography.frame) {
+        ctx.strokeStyle = typography.frame;
+        ctx.lineWidth = unit * 0.03;
+        ctx.strokeRect(0, 0, width, height);
+    }
+}
+
+/**
+ * Load an image so it can be drawn on a canvas. Posters come from our own
+ * asset route; anonymous CORS keeps older cross-origin ones drawable where
+ * their host allows it.
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement>} - Loaded image
+ */
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load the poster art'));
+        image.src = url;
+    });
+}
+
+/**
+ * Composite the final poster: letter the title, tagline and billing block
+ * over the generated art and export it as a PNG whose shorter side is at
+ * least `minSize` pixels
+ *
+ * @param {Object} poster - Art and lettering
+ * @param {string} poster.imageUrl - URL of the generated art
+ * @param {string} poster.style - Poster style id
+ * @param {string} poster.title - Movie title
+ * @param {string} [poster.tagline] - Tagline
+ * @param {{starring: string, billing: string, release: string}} poster.credits - Billing block, see posterCredits
+ * @param {number} [poster.minSize] - Smallest export size of the shorter side, in pixels
+ * @returns {Promise<Blob>} - The poster as a PNG
+ * @throws {Error} - Throws if the art cannot be loaded or the browser cannot draw on a canvas
+ */
+export async function composePoster({ imageUrl, minSize = POSTER_EXPORT_SIZE, ...lettering }) {
+    const image = await loadImage(imageUrl);
+    const scale = Math.max(1, minSize / Math.min(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        throw new Error('This browser cannot draw posters');
+    }
+    drawPoster(ctx, image, { width: canvas.width, height: canvas.height, ...lettering });
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not export the poster'))), 'image/png');
+    });
+}
@@ -0,0 +1,83 @@
+/**
+ * Alphabet used when generating human-friendly seeds
+ * @type {string}
+ */
+const SEED_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * Length of generated seeds
+ * @type {number}
+ */
+const SEED_LENGTH = 8;
+
+/**
+ * Hash a seed string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} seed - Seed to hash
+ * @returns {number} - 32-bit hash of the seed
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Generate a new random seed that is short enough to read out or type
+ * @returns {string} - A random seed
+ */
+export function generateSeed() {
+    let seed = '';
+    for (let i = 0; i < SEED_LENGTH; i++) {
+        seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
+
+/**
+ * Normalize user-entered seed text so that "ABC " and "abc" are the same seed
+ * @param {string|number} seed - Seed entered by the user
+ * @returns {string} - Normalized seed, or an empty string if none was given
+ */
+export function normalizeSeed(seed) {
+    if (seed === undefined || seed === null) return '';
+    return String(seed).trim().toLowerCase();
+}
+
+/**
+ * @typedef {Object} SeededRandom
+ * @property {string} seed - The seed the generator was created with
+ * @property {function(): number} next - Returns a float in [0, 1)
+ * @property {function(Array): any} pick - Returns a random element of an array
+ * @property {function(number): boolean} chance - Returns true with the given probability
+ */
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, which lets a movie
+ * be re-created from its seed alone.
+ *
+ * @param {string|number} seed - Seed for the generator
+ * @returns {SeededRandom} - Seeded random helpers
+ */
+export function createRandom(seed) {
+    const normalized = normalizeSeed(seed) || generateSeed();
+    let state = hashSeed(normalized);
+
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        seed: normalized,
+        next,
+        pick: (arr) => arr[Math.floor(next() * arr.length)],
+        chance: (probability) => next() < probability
+    };
+}
@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import handler from '../../api/assets.js';
+import { assetUrl, getAssetStore } from '../../api/lib/assetStore.js';
+
+/**
+ * Build a fake Node response that records what the handler sends
+ * @returns {Object} - Fake response
+ */
+function createResponse() {
+    const res = {
+        statusCode: 0,
+        headers: {},
+        body: undefined,
+        chunks: [],
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(data) {
+            res.body = data;
+            return res;
+        },
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+            return res;
+        },
+        writeHead(code, headers) {
+            res.statusCode = code;
+            Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+        },
+        end(chunk) {
+            if (chunk) res.chunks.push(chunk);
+        }
+    };
+    return res;
+}
+
+/**
+ * Run the handler for a URL
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Request method and headers
+ * @returns {Promise<Object>} - The fake response after the handler finished
+ */
+async function request(url, { method = 'GET', headers = {} } = {}) {
+    const res = createResponse();
+    await handler({ method, url, headers }, res);
+    return res;
+}
+
+const posterBytes = Buffer.from('fake png bytes');
+
+describe('api/assets handler', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.stubEnv('ASSET_STORE', 'memory');
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        vi.restoreAllMocks();
+    });
+
+    it('storedAsset_get_returnsContentWithCachingHeaders', async () => {
+        const asset = await getAssetStore(process.env).put(posterBytes, 'image/png');
+
+        const res = await request(assetUrl(asset));
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers).toMatchObject({
+            'content-type': 'image/png',
+            'content-length': String(posterBytes.length),
+            'cache-control': 'public, max-age=31536000, immutable',
+            'etag': `"${asset.hash}"`
+        });
+        expect(res.chunks).toEqual([posterBytes]);
+    });
+
+    it('sameContent_putTwice_keepsOneAsset', async () => {
+        const store = getAssetStore(process.env);
+
+        const first = await store.put(posterBytes, 'image/png');
+        const second = await store.put(Buffer.from(posterBytes), 'image/png');
+
+        expect(second).toEqual(first);
+        expect(first.id).toBe(first.hash.slice(0, 32));
+    });
+
+    it('matchingEtag_returns304WithoutBody', async () => {
+        const asset = await getAssetStore(process.env).put(posterBytes, 'image/png');
+
+        const res = await request(assetUrl(asset), { headers: { 'if-none-match': `"${asset.hash}"` } });
+
+        expect(res.statusCode).toBe(304);
+        expect(res.chunks).toEqual([]);
+    });
+
+    it('head_returnsHeadersWithoutBody', async () => {
+        const asset = await getAssetStore(process.env).put(posterBytes, 'image/png');
+
+        const res = await request(assetUrl(asset), { method: 'HEAD' });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-length']).toBe(String(posterBytes.length));
+        expect(res.chunks).toEqual([]);
+    });
+
+    it('unknownAsset_returns404', async () => {
+        const res = await request(`/api/assets?id=${'0'.repeat(32)}`);
+
+        expect(res.statusCode).toBe(404);
+        expect(res.headers['cache-control']).toBe('no-store');
+        expect(res.body).toMatchObject({ error: 'Asset not found', retry: false, errorType: 'asset_not_found' });
+    });
+
+    it('malformedId_returns400', async () => {
+        const res = await request('/api/assets?id=../../etc/passwd');
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body).toMatchObject({ error: 'Invalid asset id', errorType: 'invalid_request' });
+    });
+
+    it('post_returns405', async () => {
+        const res = await request(`/api/assets?id=${'0'.repeat(32)}`, { method: 'POST' });
+
+        expect(res.statusCode).toBe(405);
+    });
+
+    it('unknownStore_returns500', async () => {
+        vi.stubEnv('ASSET_STORE', 'floppy');
+
+        const res = await request(`/api/assets?id=${'0'.repeat(32)}`);
+
+        expect(res.statusCode).toBe(500);
+    });
+
+    it('fileStore_servesAssetsAcrossStoreInstances', async () => {
+        const directory = mkdtempSync(path.join(tmpdir(), 'statham-assets-'));
+        try {
+            vi.stubEnv('ASSET_STORE', 'file');
+            vi.stubEnv('ASSET_DIR', directory);
+            const asset = await getAssetStore(process.env).put(posterBytes, 'image/png');
+
+            // A fresh store over the same directory, as after a restart
+            vi.stubEnv('ASSET_DIR', `${directory}${path.sep}`);
+            const res = await request(assetUrl(asset));
+
+            expect(res.statusCode).toBe(200);
+            expect(res.chunks).toEqual([posterBytes]);
+            expect(readdirSync(directory).sort()).toEqual([`${asset.id}.bin`, `${asset.id}.json`]);
+        } finally {
+            rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('fileStore_onServerless_defaultsToTheTemporaryDirectory', async () => {
+        vi.stubEnv('VERCEL', '1');
+        vi.stubEnv('ASSET_STORE', '');
+        vi.stubEnv('ASSET_DIR', '');
+        const directory = path.join(tmpdir(), 'statham-assets');
+        try {
+            const asset = await getAssetStore(process.env).put(posterBytes, 'image/png');
+
+            expect(readdirSync(directory)).toContain(`${asset.id}.bin`);
+        } finally {
+            rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,164 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react';
+import ApiKeyManager from '../../src/components/ApiKeyManager.jsx';
+import { initializeOpenAI, setUserApiKey, validateApiKey } from '../../src/services/openaiService.js';
+import { loadApiKey, saveApiKey, clearApiKey } from '../../src/services/apiKeyService.js';
+
+vi.mock('../../src/services/openaiService.js', () => ({
+    initializeOpenAI: vi.fn(),
+    setUserApiKey: vi.fn(),
+    validateApiKey: vi.fn()
+}));
+
+vi.mock('../../src/services/apiKeyService.js', () => ({
+    loadApiKey: vi.fn(),
+    saveApiKey: vi.fn(),
+    clearApiKey: vi.fn()
+}));
+
+/**
+ * Make a capability report like the server sends
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object} - Capabilities
+ */
+function capabilities(overrides = {}) {
+    return {
+        configured: true,
+        provider: 'openai',
+        keySource: 'server',
+        features: { text: true, image: true, audio: true },
+        ...overrides
+    };
+}
+
+/**
+ * Get the status line for one feature
+ * @param {string} label - Feature label
+ * @returns {HTMLElement} - The feature's list item
+ */
+function feature(label) {
+    return screen.getByText(label, { exact: false }).closest('li');
+}
+
+describe('ApiKeyManager', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        loadApiKey.mockResolvedValue(null);
+        saveApiKey.mockResolvedValue();
+        clearApiKey.mockResolvedValue();
+        initializeOpenAI.mockResolvedValue(capabilities());
+    });
+
+    afterEach(() => {
+        cleanup();
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    it('reports every feature ready when the server has a key', async () => {
+        const onInitialized = vi.fn();
+        render(<ApiKeyManager onInitialized={onInitialized} />);
+
+        await screen.findByText('AI features are ready to use');
+        expect(screen.getByText('Using the server\'s OpenAI key. You can add your own key instead.')).toBeTruthy();
+        expect(onInitialized).toHaveBeenCalledWith(capabilities());
+    });
+
+    it('shows which features a text-only server offers', async () => {
+        initializeOpenAI.mockResolvedValue(capabilities({ features: { text: true, image: false, audio: false } }));
+        render(<ApiKeyManager onInitialized={vi.fn()} />);
+
+        await screen.findByText('Some AI features are available');
+        expect(feature('Titles, plots and trailers').className).toBe('available');
+        expect(feature('Posters').className).toBe('unavailable');
+        expect(feature('Trailer voice-over').className).toBe('unavailable');
+    });
+
+    it('turns AI off and asks for a key when the server has none', async () => {
+        initializeOpenAI.mockResolvedValue(capabilities({
+            configured: false,
+            provider: null,
+            keySource: null,
+            features: { text: false, image: false, audio: false }
+        }));
+        const onInitialized = vi.fn();
+        render(<ApiKeyManager onInitialized={onInitialized} />);
+
+        await screen.findByText('AI features are off');
+        expect(screen.getByText(/Add your own OpenAI key to turn the AI features on/)).toBeTruthy();
+        expect(screen.getByLabelText('Your OpenAI API key (optional)')).toBeTruthy();
+        expect(onInitialized).toHaveBeenCalledWith(expect.objectContaining({ configured: false }));
+    });
+
+    it('uses a key saved on an earlier visit', async () => {
+        loadApiKey.mockResolvedValue('sk-saved-0123456789');
+        initializeOpenAI.mockResolvedValue(capabilities({ keySource: 'user' }));
+        render(<ApiKeyManager onInitialized={vi.fn()} />);
+
+        await screen.findByText('Using your own OpenAI key, stored encrypted in this browser.');
+        expect(setUserApiKey).toHaveBeenCalledWith('sk-saved-0123456789');
+        expect(setUserApiKey.mock.invocationCallOrder[0]).toBeLessThan(initializeOpenAI.mock.invocationCallOrder[0]);
+        expect(screen.getByText('Remove My Key')).toBeTruthy();
+    });
+
+    it('checks a new key before saving and using it', async () => {
+        validateApiKey.mockResolvedValue({ valid: true });
+        render(<ApiKeyManager onInitialized={vi.fn()} />);
+        await screen.findByText('AI features are ready to use');
+        initializeOpenAI.mockResolvedValue(capabilities({ keySource: 'user' }));
+
+        fireEvent.change(screen.getByLabelText('Your OpenAI API key (optional)'), { target: { value: '  sk-new-0123456789 ' } });
+        fireEvent.click(screen.getByText('Use My Key'));
+
+        await screen.findByText('Using your own OpenAI key, stored encrypted in this browser.');
+        expect(validateApiKey).toHaveBeenCalledWith('sk-new-0123456789');
+        expect(saveApiKey).toHaveBeenCalledWith('sk-new-0123456789');
+        expect(setUserApiKey).toHaveBeenLastCalledWith('sk-new-0123456789');
+        expect(initializeOpenAI).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps a rejected key out of storage', async () => {
+        validateApiKey.mockResolvedValue({ valid: false, message: 'OpenAI did not accept this key.' });
+        render(<ApiKeyManager onInitialized={vi.fn()} />);
+        await screen.findByText('AI features are ready to use');
+
+        fireEvent.change(screen.getByLabelText('Your OpenAI API key (optional)'), { target: { value: 'sk-wrong-0123456789' } });
+        fireEvent.click(screen.getByText('Use My Key'));
+
+        expect((await screen.findByRole('alert')).textContent).toBe('OpenAI did not accept this key.');
+        expect(saveApiKey).not.toHaveBeenCalled();
+        expect(setUserApiKey).not.toHaveBeenCalledWith('sk-wrong-0123456789');
+    });
+
+    it('removes the saved key and goes back to the server\'s', async () => {
+        loadApiKey.mockResolvedValue('sk-saved-0123456789');
+        initializeOpenAI.mockResolvedValueOnce(capabilities({ keySource: 'user' }));
+        render(<ApiKeyManager onInitialized={vi.fn()} />);
+        await screen.findByText('Remove My Key');
+
+        fireEvent.click(screen.getByText('Remove My Key'));
+
+        await screen.findByText('Using the server\'s OpenAI key. You can add your own key instead.');
+        expect(clearApiKey).toHaveBeenCalled();
+        expect(setUserApiKey).toHaveBeenLastCalledWith(null);
+    });
+
+    it('shows what is left of the daily budget', async () => {
+        initializeOpenAI.mockResolvedValue(capabilities({ budget: { limit: 2000, spent: 150, remaining: 1850, resetsIn: 3600 } }));
+        render(<ApiKeyManager onInitialized={vi.fn()} />);
+
+        expect(await screen.findByText('Today\'s shared AI budget: 1850 of 2000 credits left.')).toBeTruthy();
+    });
+
+    it('turns AI off when the server cannot be reached', async () => {
+        initializeOpenAI.mockResolvedValue(null);
+        const onInitialized = vi.fn();
+        render(<ApiKeyManager onInitialized={onInitialized} />);
+
+        await waitFor(() => expect(onInitialized).toHaveBeenCalledWith(null));
+        expect(screen.getByRole('alert').textContent).toMatch(/Could not reach the server/);
+    });
+});
@@ -0,0 +1,69 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import MovieLibrary from '../../src/components/MovieLibrary.jsx';
+import { listMovies, toggleFavorite, deleteMovie } from '../../src/services/libraryService.js';
+
+vi.mock('../../src/services/libraryService.js', () => ({
+    listMovies: vi.fn(),
+    toggleFavorite: vi.fn(),
+    deleteMovie: vi.fn()
+}));
+
+const movie = {
+    id: 'movie-1',
+    title: 'Steel Protocol',
+    elements: { villain: 'Don Ruiz', setting: 'Lisbon', formerProfession: 'chef' },
+    plot: '',
+    trailer: '',
+    posterDescription: '',
+    posterImage: null,
+    trailerAudio: null,
+    favorite: false,
+    createdAt: 0
+};
+
+describe('MovieLibrary', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(window, 'confirm').mockReturnValue(true);
+        listMovies.mockResolvedValue([movie]);
+    });
+
+    afterEach(() => {
+        cleanup();
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    it('reloads the list after favoriting a movie', async () => {
+        toggleFavorite.mockResolvedValue({ ...movie, favorite: true });
+        render(<MovieLibrary />);
+
+        fireEvent.click(await screen.findByTitle('Add to favorites'));
+
+        await vi.waitFor(() => expect(listMovies).toHaveBeenCalledTimes(2));
+        expect(toggleFavorite).toHaveBeenCalledWith('movie-1');
+    });
+
+    it('reports a storage failure when favoriting', async () => {
+        toggleFavorite.mockRejectedValue(new Error('QuotaExceededError'));
+        render(<MovieLibrary />);
+
+        fireEvent.click(await screen.findByTitle('Add to favorites'));
+
+        expect(await screen.findByText('Could not update the movie in your library.')).toBeTruthy();
+        expect(screen.getByText('Steel Protocol')).toBeTruthy();
+    });
+
+    it('reports a storage failure when deleting', async () => {
+        deleteMovie.mockRejectedValue(new Error('The database connection is closing'));
+        render(<MovieLibrary />);
+
+        fireEvent.click(await screen.findByTitle('Delete'));
+
+        expect(await screen.findByText('Could not delete the movie from your library.')).toBeTruthy();
+        expect(listMovies).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,331 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup, within } from '@testing-library/react';
+import MoviePlot from '../../src/components/MoviePlot.jsx';
+import {
+    generateTitle,
+    streamMoviePlot,
+    streamMovieTrailer,
+    generateTrailerAudio
+} from '../../src/services/openaiService.js';
+import { FALLBACK_ELEMENTS } from '../../src/data/plotElements.js';
+
+vi.mock('../../src/services/openaiService.js', () => ({
+    generateTitle: vi.fn(),
+    streamMoviePlot: vi.fn(),
+    streamMovieTrailer: vi.fn(),
+    generateTrailerAudio: vi.fn()
+}));
+
+const aiTrailer = [
+    '[DEEP VOICE]',
+    '"You picked the wrong chef."',
+    'STEEL PROTOCOL',
+    'This summer, dinner is served.'
+].join('\n');
+
+const savedMovie = {
+    seed: 'abc12345',
+    title: 'Steel Protocol',
+    setting: 'Lisbon',
+    formerProfession: 'chef',
+    currentJob: 'food truck owner',
+    plotTrigger: 'his dog is kidnapped',
+    villain: 'Don Ruiz',
+    villainGroup: 'the Harbor Syndicate',
+    sidekick: 'a retired pickpocket',
+    plotTwist: 'the dog was a spy',
+    vehicle: 'a vintage Lancia',
+    weapon: 'a cast-iron pan',
+    actionScene: 'a tram chase through Alfama',
+    villainHideout: 'a sardine cannery',
+    bossFight: 'a duel in a walk-in freezer',
+    bossKill: 'defeated in an epic showdown',
+    hasCameo: false,
+    cameo: '',
+    summary: 'A chef cooks up revenge.',
+    trailer: aiTrailer
+};
+
+/**
+ * Get the row of an element in the plot elements list
+ * @param {string} label - Element label
+ * @returns {HTMLElement} - The list item
+ */
+function elementRow(label) {
+    return screen.getByText(label, { selector: '.element-label' }).closest('li');
+}
+
+/**
+ * Make streamMoviePlot stream the given text in two chunks, like the SSE endpoint
+ * @param {string} text - Plot text to stream
+ */
+function streamPlot(text) {
+    streamMoviePlot.mockImplementation(async (elements, { onToken }) => {
+        const middle = Math.floor(text.length / 2);
+        onToken(text.slice(0, middle));
+        onToken(text.slice(middle));
+        return text;
+    });
+}
+
+describe('MoviePlot', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        // jsdom has no media playback or object URLs
+        vi.spyOn(window.HTMLMediaElement.prototype, 'play').mockResolvedValue();
+        vi.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+        URL.revokeObjectURL = vi.fn();
+
+        generateTitle.mockResolvedValue('Steel Protocol');
+        streamPlot('Statham cooks up revenge.');
+        streamMovieTrailer.mockResolvedValue(aiTrailer);
+        generateTrailerAudio.mockResolvedValue('blob:trailer-audio');
+    });
+
+    afterEach(() => {
+        cleanup();
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    describe('without AI', () => {
+        it('builds the template plot from the element pools', async () => {
+            const onPlotGenerated = vi.fn();
+            render(<MoviePlot onPlotGenerated={onPlotGenerated} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            expect(await screen.findByText(/^In this action-packed thriller/)).toBeTruthy();
+            const plot = onPlotGenerated.mock.calls[0][0];
+            expect(FALLBACK_ELEMENTS.titles).toContain(plot.title);
+            expect(screen.getByRole('heading', { level: 2 }).textContent).toBe(plot.title);
+            expect(plot.summary).toBeUndefined();
+            expect(generateTitle).not.toHaveBeenCalled();
+            expect(streamMoviePlot).not.toHaveBeenCalled();
+        });
+
+        it('rolls the same movie from the same seed', async () => {
+            const onPlotGenerated = vi.fn();
+            render(<MoviePlot onPlotGenerated={onPlotGenerated} />);
+
+            fireEvent.change(screen.getByPlaceholderText('random'), { target: { value: ' Crank ' } });
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalledTimes(1));
+            fireEvent.click(screen.getByRole('button', { name: 'Generate New Movie' }));
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalledTimes(2));
+
+            const [[first], [second]] = onPlotGenerated.mock.calls;
+            expect(first.seed).toBe('crank');
+            expect(second).toEqual(first);
+        });
+
+        it('formats the template trailer into directions, dialogue and emphasis', async () => {
+            render(<MoviePlot />);
+
+            fireEvent.click(screen.getByLabelText('Trailer Voice Mode'));
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            const title = (await screen.findByRole('heading', { level: 2 })).textContent;
+            const directions = [...document.querySelectorAll('.trailer-direction')].map((p) => p.textContent);
+            const dialogue = [...document.querySelectorAll('.trailer-dialogue')].map((p) => p.textContent);
+            const emphasis = [...document.querySelectorAll('.trailer-emphasis')].map((p) => p.textContent);
+            expect(directions).toContain('[DEEP VOICE]');
+            expect(directions).toContain('[IN THEATERS THIS SUMMER]');
+            expect(dialogue).toContain('"I thought I left that life behind."');
+            expect(emphasis).toContain(title.toUpperCase());
+            // Without AI there is nothing to voice the trailer
+            expect(screen.queryByRole('button', { name: /Generate Trailer Voice/ })).toBeNull();
+        });
+
+        it('keeps the boss kill tame when re-rolling it outside hardcore mode', async () => {
+            const onPlotGenerated = vi.fn();
+            render(<MoviePlot onPlotGenerated={onPlotGenerated} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalledTimes(1));
+            fireEvent.click(within(elementRow('Boss kill')).getByTitle('Re-roll this element'));
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalledTimes(2));
+
+            expect(onPlotGenerated.mock.calls[1][0].bossKill).toBe('defeated in an epic showdown');
+        });
+
+        it('skips the API when AI enhancement is switched off', async () => {
+            render(<MoviePlot openaiEnabled={true} />);
+
+            fireEvent.click(screen.getByLabelText('Use AI Enhancement'));
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            expect(await screen.findByText(/^In this action-packed thriller/)).toBeTruthy();
+            expect(generateTitle).not.toHaveBeenCalled();
+            expect(streamMoviePlot).not.toHaveBeenCalled();
+            expect(streamMovieTrailer).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('with AI', () => {
+        it('shows the AI title, streamed plot and trailer', async () => {
+            const onPlotGenerated = vi.fn();
+            render(<MoviePlot openaiEnabled={true} onPlotGenerated={onPlotGenerated} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalled());
+            expect(screen.getByRole('heading', { level: 2 }).textContent).toBe('Steel Protocol');
+            expect(screen.getByText('Statham cooks up revenge.')).toBeTruthy();
+            expect(screen.queryByText(/^In this action-packed thriller/)).toBeNull();
+            expect(onPlotGenerated.mock.calls[0][0]).toMatchObject({
+                title: 'Steel Protocol',
+                summary: 'Statham cooks up revenge.',
+                trailer: aiTrailer
+            });
+            expect(streamMovieTrailer).toHaveBeenCalledWith(
+                expect.objectContaining({ title: 'Steel Protocol', summary: 'Statham cooks up revenge.' }),
+                expect.any(Object)
+            );
+        });
+
+        it('keeps a locked title when the model suggests another', async () => {
+            const onPlotGenerated = vi.fn();
+            render(<MoviePlot openaiEnabled={true} onPlotGenerated={onPlotGenerated} />);
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalledTimes(1));
+
+            fireEvent.click(within(elementRow('Title')).getByTitle('Keep this element when generating a new movie'));
+            streamMoviePlot.mockImplementation(async (elements, { onTitle }) => {
+                onTitle?.('Kitchen Nightmare');
+                return { title: 'Kitchen Nightmare', plot: 'Statham cooks again.' };
+            });
+            fireEvent.click(screen.getByRole('button', { name: 'Generate New Movie' }));
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalledTimes(2));
+
+            expect(onPlotGenerated.mock.calls[1][0].title).toBe('Steel Protocol');
+            expect(screen.getByRole('heading', { level: 2 }).textContent).toBe('Steel Protocol');
+            expect(streamMoviePlot.mock.calls[1][1].onTitle).toBeUndefined();
+        });
+
+        it('formats the AI trailer and voices it in trailer mode', async () => {
+            const onAudioGenerated = vi.fn();
+            render(<MoviePlot openaiEnabled={true} onAudioGenerated={onAudioGenerated} />);
+
+            fireEvent.click(screen.getByLabelText('Trailer Voice Mode'));
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            await waitFor(() => expect(onAudioGenerated).toHaveBeenCalledWith('blob:trailer-audio'));
+            expect(generateTrailerAudio).toHaveBeenCalledWith(aiTrailer, { onProgress: expect.any(Function) });
+            expect(document.querySelector('.trailer-direction').textContent).toBe('[DEEP VOICE]');
+            expect(document.querySelector('.trailer-dialogue').textContent).toBe('"You picked the wrong chef."');
+            expect(document.querySelector('.trailer-emphasis').textContent).toBe('STEEL PROTOCOL');
+            expect(document.querySelector('.trailer-narration').textContent).toBe('This summer, dinner is served.');
+            expect(screen.getByRole('button', { name: /Play Trailer Voice/ })).toBeTruthy();
+        });
+
+        it('keeps the fallback title when title generation fails', async () => {
+            generateTitle.mockRejectedValue(new Error('Service temporarily unavailable'));
+            const onPlotGenerated = vi.fn();
+            render(<MoviePlot openaiEnabled={true} onPlotGenerated={onPlotGenerated} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalled());
+            expect(FALLBACK_ELEMENTS.titles).toContain(onPlotGenerated.mock.calls[0][0].title);
+            expect(screen.getByText('Statham cooks up revenge.')).toBeTruthy();
+        });
+
+        it('falls back to the basic plot when the API fails', async () => {
+            streamMoviePlot.mockRejectedValue(new Error('Request failed with status 504'));
+            const onPlotGenerated = vi.fn();
+            render(<MoviePlot openaiEnabled={true} onPlotGenerated={onPlotGenerated} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            expect(await screen.findByText('Failed to generate content. Using fallback generator.')).toBeTruthy();
+            expect(await screen.findByText(/^In this action-packed thriller/)).toBeTruthy();
+            expect(onPlotGenerated).toHaveBeenCalledWith(expect.objectContaining({ title: 'Steel Protocol' }));
+            expect(onPlotGenerated.mock.calls[0][0].summary).toBeUndefined();
+            expect(streamMovieTrailer).not.toHaveBeenCalled();
+        });
+
+        it('shows the audio job progress while the voice is recorded', async () => {
+            generateTrailerAudio.mockImplementation((text, { onProgress }) => {
+                onProgress({ status: 'running', progress: 0.42, message: 'Recording the voice-over' });
+                return new Promise(() => {});
+            });
+            render(<MoviePlot openaiEnabled={true} />);
+
+            fireEvent.click(screen.getByLabelText('Trailer Voice Mode'));
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            expect(await screen.findByText('Recording the voice-over (42%)')).toBeTruthy();
+            expect(screen.getByRole('progressbar').getAttribute('value')).toBe('42');
+        });
+
+        it('reports a failed trailer voice', async () => {
+            generateTrailerAudio.mockRejectedValue(new Error('Audio generation failed'));
+            render(<MoviePlot openaiEnabled={true} />);
+
+            fireEvent.click(screen.getByLabelText('Trailer Voice Mode'));
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            expect(await screen.findByText('Error generating audio: Audio generation failed')).toBeTruthy();
+            expect(screen.getByRole('button', { name: /Generate Trailer Voice/ })).toBeTruthy();
+        });
+    });
+
+    describe('partial AI capabilities', () => {
+        it('writes with AI but offers no voice when the server cannot do audio', async () => {
+            const onPlotGenerated = vi.fn();
+            render(<MoviePlot openaiEnabled={true} audioEnabled={false} onPlotGenerated={onPlotGenerated} />);
+
+            fireEvent.click(screen.getByLabelText('Trailer Voice Mode'));
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Movie' }));
+
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalled());
+            expect(await screen.findByText('Trailer voice-over is not available on this server.')).toBeTruthy();
+            expect(streamMovieTrailer).toHaveBeenCalled();
+            expect(generateTrailerAudio).not.toHaveBeenCalled();
+            expect(screen.queryByRole('button', { name: /Generate Trailer Voice/ })).toBeNull();
+        });
+    });
+
+    describe('initial plot', () => {
+        it('restores a saved movie without calling the API', async () => {
+            render(<MoviePlot openaiEnabled={true} initialPlot={savedMovie} />);
+
+            expect(await screen.findByText('A chef cooks up revenge.')).toBeTruthy();
+            expect(screen.getByRole('heading', { level: 2 }).textContent).toBe('Steel Protocol');
+            expect(generateTitle).not.toHaveBeenCalled();
+            expect(streamMoviePlot).not.toHaveBeenCalled();
+        });
+
+        it('develops the given elements on mount in studio mode, keeping the title', async () => {
+            const onPlotGenerated = vi.fn();
+            render(
+                <MoviePlot
+                    studioMode={true}
+                    openaiEnabled={true}
+                    initialPlot={savedMovie}
+                    onPlotGenerated={onPlotGenerated}
+                />
+            );
+
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalled());
+            expect(generateTitle).not.toHaveBeenCalled();
+            expect(streamMoviePlot).toHaveBeenCalledTimes(1);
+            expect(streamMoviePlot.mock.calls[0][0]).toMatchObject({ title: 'Steel Protocol', villain: 'Don Ruiz' });
+            expect(streamMoviePlot.mock.calls[0][0].summary).toBeUndefined();
+            expect(screen.getByText('Statham cooks up revenge.')).toBeTruthy();
+        });
+
+        it('develops a random movie on mount in studio mode', async () => {
+            const onPlotGenerated = vi.fn();
+            render(<MoviePlot studioMode={true} onPlotGenerated={onPlotGenerated} />);
+
+            await waitFor(() => expect(onPlotGenerated).toHaveBeenCalledTimes(1));
+            expect(screen.getByText(/^In this action-packed thriller/)).toBeTruthy();
+            // Studio cards generate from the outside, so there is no button of their own
+            expect(screen.queryByRole('button', { name: 'Generate New Movie' })).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,375 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup, act } from '@testing-library/react';
+import MoviePoster from '../../src/components/MoviePoster.jsx';
+import { generateAIPosterConcept, generateMoviePoster } from '../../src/services/openaiService.js';
+import { composePoster } from '../../src/utils/posterCompositor.js';
+
+vi.mock('../../src/services/openaiService.js', () => ({
+    generateAIPosterConcept: vi.fn(),
+    generateMoviePoster: vi.fn()
+}));
+
+// jsdom has no canvas; the compositor's drawing is tested on its own
+vi.mock('../../src/utils/posterCompositor.js', async (importOriginal) => ({
+    ...await importOriginal(),
+    composePoster: vi.fn()
+}));
+
+const plot = {
+    seed: 'abc12345',
+    title: 'Steel Protocol',
+    setting: 'Lisbon',
+    formerProfession: 'chef',
+    villain: 'Don Ruiz',
+    hasCameo: true,
+    cameo: 'Vinnie Jones as a butcher'
+};
+
+const aiDescription = [
+    'Dinner is served. Cold.',
+    'Statham stands in a burning kitchen.',
+    'Knives glint in the foreground.'
+].join('\n');
+
+const aiConcept = {
+    description: aiDescription,
+    tagline: 'Dinner is served. Cold.',
+    artDirection: {
+        composition: 'Low angle, Statham centered',
+        palette: 'Teal and orange',
+        props: 'A cast-iron pan',
+        pose: 'Walking away from the flames'
+    }
+};
+
+/**
+ * Get the quoted tagline shown on the poster
+ * @returns {string} - Tagline text
+ */
+function tagline() {
+    return document.querySelector('.poster-tagline').textContent;
+}
+
+describe('MoviePoster', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        generateAIPosterConcept.mockResolvedValue(aiConcept);
+        generateMoviePoster.mockResolvedValue('https://images.example/poster.png');
+        composePoster.mockResolvedValue(new Blob(['png']));
+        URL.createObjectURL = vi.fn(() => 'blob:final-poster');
+        URL.revokeObjectURL = vi.fn();
+    });
+
+    afterEach(() => {
+        cleanup();
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+        vi.useRealTimers();
+    });
+
+    it('asks for a plot when there is none', () => {
+        render(<MoviePoster plot={null} />);
+
+        expect(screen.getByText('Generate a plot first to see a poster concept!')).toBeTruthy();
+    });
+
+    describe('without AI', () => {
+        it('shows the seeded concept for the plot', () => {
+            render(<MoviePoster plot={plot} />);
+
+            expect(screen.getByRole('heading', { name: 'STEEL PROTOCOL' })).toBeTruthy();
+            expect(screen.getByText('Vinnie Jones as a butcher')).toBeTruthy();
+            expect(screen.getByText('Key Visual:')).toBeTruthy();
+            expect(screen.queryByLabelText('AI Descriptions')).toBeNull();
+            expect(screen.queryByRole('button', { name: /AI Concept/ })).toBeNull();
+        });
+
+        it('keeps the same tagline for the same seed and style', () => {
+            const first = render(<MoviePoster plot={plot} />);
+            const firstTagline = tagline();
+            first.unmount();
+
+            render(<MoviePoster plot={{ ...plot }} />);
+
+            expect(tagline()).toBe(firstTagline);
+        });
+
+        it('switches styles and reports the change', () => {
+            const onStyleChange = vi.fn();
+            render(<MoviePoster plot={plot} onStyleChange={onStyleChange} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Vintage' }));
+
+            expect(onStyleChange).toHaveBeenCalledWith('vintage');
+            expect(document.querySelector('.poster-concept').className).toBe('poster-concept vintage');
+            expect(screen.getByRole('button', { name: 'Vintage' }).className).toBe('active');
+        });
+
+        it('offers every style in the registry with its theme', () => {
+            render(<MoviePoster plot={plot} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Noir' }));
+
+            expect(screen.getAllByRole('button').map((button) => button.textContent))
+                .toEqual(expect.arrayContaining(['Action', 'Artistic', 'Vintage', 'Noir', '80s VHS']));
+            const concept = document.querySelector('.poster-concept');
+            expect(concept.className).toBe('poster-concept noir');
+            expect(concept.style.backgroundColor).toBe('rgb(17, 17, 17)');
+        });
+
+        it('explains that image generation needs the API', () => {
+            vi.useFakeTimers();
+            render(<MoviePoster plot={plot} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+            act(() => {
+                vi.advanceTimersByTime(1500);
+            });
+
+            expect(screen.getByText(/Image generation requires OpenAI API access/)).toBeTruthy();
+            expect(generateMoviePoster).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('with AI text only', () => {
+        it('offers AI concepts but no image generation', async () => {
+            vi.useFakeTimers();
+            render(<MoviePoster plot={plot} openaiEnabled={true} imageEnabled={false} />);
+
+            expect(screen.getByLabelText('AI Descriptions')).toBeTruthy();
+            expect(screen.queryByLabelText('Generate Image')).toBeNull();
+            expect(screen.queryByLabelText('Format')).toBeNull();
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+            act(() => {
+                vi.advanceTimersByTime(1500);
+            });
+
+            expect(screen.getByText(/This server cannot generate poster images/)).toBeTruthy();
+            expect(generateMoviePoster).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('with AI', () => {
+        it('splits the AI description into tagline and visualization', async () => {
+            const onDescriptionGenerated = vi.fn();
+            render(<MoviePoster plot={plot} openaiEnabled={true} onDescriptionGenerated={onDescriptionGenerated} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate AI Concept' }));
+
+            expect(await screen.findByText('Statham stands in a burning kitchen.')).toBeTruthy();
+            expect(tagline()).toBe('"Dinner is served. Cold."');
+            expect(screen.getByText('Knives glint in the foreground.')).toBeTruthy();
+            expect(screen.getByRole('button', { name: 'Regenerate AI Concept' })).toBeTruthy();
+            expect(generateAIPosterConcept).toHaveBeenCalledWith(plot, 'action', { regenerate: false });
+            expect(onDescriptionGenerated).toHaveBeenCalledWith(aiDescription, 'action');
+        });
+
+        it('sends the edited art direction with the poster request', async () => {
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+            expect(screen.queryByLabelText('Composition')).toBeNull();
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate AI Concept' }));
+            const palette = await screen.findByLabelText('Palette');
+            expect(palette.value).toBe('Teal and orange');
+            fireEvent.change(palette, { target: { value: 'Black and white with one red light' } });
+            fireEvent.change(screen.getByLabelText('Props'), { target: { value: ' ' } });
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+            await screen.findByRole('img');
+
+            expect(generateMoviePoster).toHaveBeenCalledWith(expect.anything(), 'action', expect.objectContaining({
+                artDirection: {
+                    composition: 'Low angle, Statham centered',
+                    palette: 'Black and white with one red light',
+                    pose: 'Walking away from the flames'
+                }
+            }));
+        });
+
+        it('drops the concept and its art direction when the style changes', async () => {
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate AI Concept' }));
+            await screen.findByLabelText('Composition');
+            fireEvent.click(screen.getByRole('button', { name: 'Noir' }));
+
+            expect(screen.queryByLabelText('Composition')).toBeNull();
+            expect(screen.getByRole('button', { name: 'Generate AI Concept' })).toBeTruthy();
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+            await screen.findByRole('img');
+            expect(generateMoviePoster.mock.calls[0][2]).not.toHaveProperty('artDirection');
+        });
+
+        it('goes back to the seeded concept when AI descriptions are switched off', async () => {
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+            const seededTagline = tagline();
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate AI Concept' }));
+            await screen.findByText('Statham stands in a burning kitchen.');
+            fireEvent.click(screen.getByLabelText('AI Descriptions'));
+
+            expect(tagline()).toBe(seededTagline);
+            expect(screen.queryByText('Statham stands in a burning kitchen.')).toBeNull();
+            expect(screen.queryByLabelText('Generate Image')).toBeNull();
+        });
+
+        it('shows an error when the description fails', async () => {
+            generateAIPosterConcept.mockRejectedValue(new Error('Request failed with status 429'));
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+            const seededTagline = tagline();
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate AI Concept' }));
+
+            expect(await screen.findByText('Failed to generate poster description. Please try again.')).toBeTruthy();
+            expect(tagline()).toBe(seededTagline);
+            expect(screen.getByRole('button', { name: 'Generate AI Concept' })).toBeTruthy();
+        });
+
+        it('generates a poster image with the enhanced plot details', async () => {
+            const onPosterGenerated = vi.fn();
+            render(<MoviePoster plot={plot} openaiEnabled={true} onPosterGenerated={onPosterGenerated} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Artistic' }));
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+
+            const image = await screen.findByRole('img', { name: 'Steel Protocol movie poster' });
+            await waitFor(() => expect(image.getAttribute('src')).toBe('blob:final-poster'));
+            expect(generateMoviePoster).toHaveBeenCalledWith(
+                expect.objectContaining({ title: 'Steel Protocol', weapon: 'dual pistols', setting: 'Lisbon' }),
+                'artsy',
+                {
+                    onProgress: expect.any(Function),
+                    regenerate: false,
+                    format: 'portrait',
+                    quality: 'standard',
+                    imageStyle: 'vivid'
+                }
+            );
+            expect(onPosterGenerated).toHaveBeenCalledWith('https://images.example/poster.png', 'artsy');
+            expect(screen.getByRole('button', { name: 'Regenerate Poster' })).toBeTruthy();
+            // The text concept makes way for the image
+            expect(screen.queryByRole('heading', { name: 'STEEL PROTOCOL' })).toBeNull();
+        });
+
+        it('letters the title, tagline and credits over the art for download', async () => {
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+            fireEvent.click(screen.getByRole('button', { name: 'Generate AI Concept' }));
+            await screen.findByText('Statham stands in a burning kitchen.');
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+
+            const download = await screen.findByRole('link', { name: 'Download Poster' });
+            expect(download.getAttribute('href')).toBe('blob:final-poster');
+            expect(download.getAttribute('download')).toBe('steel-protocol-action-portrait.png');
+            expect(composePoster).toHaveBeenCalledWith({
+                imageUrl: 'https://images.example/poster.png',
+                style: 'action',
+                title: 'Steel Protocol',
+                tagline: 'Dinner is served. Cold.',
+                credits: {
+                    starring: 'JASON STATHAM',
+                    billing: 'with VINNIE JONES | Directed by MICHAEL BAY | Written by CHRISTOPHER NOLAN',
+                    release: 'COMING SOON'
+                }
+            });
+        });
+
+        it('shows the plain art when the poster cannot be composited', async () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            composePoster.mockRejectedValue(new Error('This browser cannot draw posters'));
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+
+            const image = await screen.findByRole('img', { name: 'Steel Protocol movie poster' });
+            await waitFor(() => expect(console.warn).toHaveBeenCalled());
+            expect(image.getAttribute('src')).toBe('https://images.example/poster.png');
+            expect(screen.queryByRole('link', { name: 'Download Poster' })).toBeNull();
+        });
+
+        it('requests the chosen format, quality and look', async () => {
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+
+            fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'landscape' } });
+            fireEvent.change(screen.getByLabelText('Quality'), { target: { value: 'hd' } });
+            fireEvent.change(screen.getByLabelText('Look'), { target: { value: 'natural' } });
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+            await screen.findByRole('link', { name: 'Download Poster' });
+
+            expect(generateMoviePoster).toHaveBeenCalledWith(expect.anything(), 'action', expect.objectContaining({
+                format: 'landscape',
+                quality: 'hd',
+                imageStyle: 'natural'
+            }));
+            expect(document.querySelector('.poster-image').className).toBe('poster-image landscape');
+        });
+
+        it('clears the poster when the format changes', async () => {
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+            await screen.findByRole('img');
+            fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'square' } });
+
+            expect(screen.queryByRole('img')).toBeNull();
+            expect(screen.getByRole('button', { name: 'Generate Poster' })).toBeTruthy();
+        });
+
+        it('asks for a fresh poster and concept when regenerating', async () => {
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate AI Concept' }));
+            fireEvent.click(await screen.findByRole('button', { name: 'Regenerate AI Concept' }));
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+            fireEvent.click(await screen.findByRole('button', { name: 'Regenerate Poster' }));
+            await screen.findByRole('button', { name: 'Regenerate Poster' });
+
+            expect(generateAIPosterConcept).toHaveBeenLastCalledWith(plot, 'action', { regenerate: true });
+            expect(generateMoviePoster.mock.calls.map(([, , options]) => options.regenerate)).toEqual([false, true]);
+        });
+
+        it('shows the poster job progress while the image is generated', async () => {
+            let report;
+            generateMoviePoster.mockImplementation((enhancedPlot, style, { onProgress }) => {
+                report = onProgress;
+                return new Promise(() => {});
+            });
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+            act(() => report({ status: 'queued', progress: 0, message: 'Waiting to start' }));
+            expect(screen.getByText('Waiting for a free slot... (0%)')).toBeTruthy();
+            act(() => report({ status: 'running', progress: 0.5, message: 'Painting the poster' }));
+
+            expect(screen.getByText('Painting the poster (50%)')).toBeTruthy();
+            expect(screen.getByRole('progressbar').getAttribute('value')).toBe('50');
+            expect(screen.getByRole('button', { name: 'Generating...' }).disabled).toBe(true);
+        });
+
+        it('shows an error when the image fails', async () => {
+            generateMoviePoster.mockRejectedValue(new Error('Request failed with status 504'));
+            const onPosterGenerated = vi.fn();
+            render(<MoviePoster plot={plot} openaiEnabled={true} onPosterGenerated={onPosterGenerated} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+
+            expect(await screen.findByText('Failed to generate poster image. Please try again.')).toBeTruthy();
+            expect(screen.queryByRole('img')).toBeNull();
+            expect(screen.getByRole('heading', { name: 'STEEL PROTOCOL' })).toBeTruthy();
+            expect(onPosterGenerated).not.toHaveBeenCalled();
+        });
+
+        it('clears the poster image when the style changes', async () => {
+            render(<MoviePoster plot={plot} openaiEnabled={true} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Generate Poster' }));
+            await screen.findByRole('img');
+            fireEvent.click(screen.getByRole('button', { name: 'Vintage' }));
+
+            await waitFor(() => expect(screen.queryByRole('img')).toBeNull());
+            expect(screen.getByRole('button', { name: 'Generate Poster' })).toBeTruthy();
+        });
+    });
+});
@@ -0,0 +1,229 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup, within } from '@testing-library/react';
+import MovieStudio from '../../src/components/MovieStudio.jsx';
+import {
+    generateMultipleMovies,
+    generateTitle,
+    streamMoviePlot,
+    streamMovieTrailer
+} from '../../src/services/openaiService.js';
+import { createLibraryRecorder } from '../../src/services/libraryService.js';
+
+vi.mock('../../src/services/openaiService.js', async (importOriginal) => ({
+    describeShortfall: (await importOriginal()).describeShortfall,
+    generateMultipleMovies: vi.fn(),
+    generateTitle: vi.fn(),
+    streamMoviePlot: vi.fn(),
+    streamMovieTrailer: vi.fn(),
+    generateTrailerAudio: vi.fn(),
+    generatePosterDescription: vi.fn(),
+    generateMoviePoster: vi.fn()
+}));
+
+vi.mock('../../src/services/libraryService.js', () => ({
+    createLibraryRecorder: vi.fn()
+}));
+
+const batchMovies = [
+    {
+        title: 'Steel Protocol',
+        plot: 'A chef cooks up revenge.',
+        character: 'chef',
+        setting: 'Lisbon',
+        villain: 'Don Ruiz',
+        actionScene: 'a tram chase through Alfama'
+    },
+    {
+        title: 'Crank Velocity',
+        plot: 'A courier cannot stop moving.',
+        character: 'courier',
+        setting: 'Macau',
+        villain: 'the Jade Broker',
+        actionScene: 'a cable car shootout'
+    }
+];
+
+/** @type {Array<Object>} */
+let recorders;
+
+/**
+ * Get the card showing a movie
+ * @param {string} title - Movie title
+ * @returns {HTMLElement} - The movie's grid item
+ */
+function card(title) {
+    return screen.getByRole('heading', { level: 3, name: title }).closest('.movie-grid-item');
+}
+
+/**
+ * Set the batch size and start production
+ * @param {number} count - Number of movies
+ */
+function startProduction(count) {
+    fireEvent.change(screen.getByLabelText('Number of Movies:'), { target: { value: String(count) } });
+    fireEvent.click(screen.getByRole('button', { name: 'Start Production' }));
+}
+
+describe('MovieStudio', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        recorders = [];
+        createLibraryRecorder.mockImplementation(() => {
+            const recorder = {
+                recordPlot: vi.fn(),
+                attachPlot: vi.fn(),
+                attachAudio: vi.fn(),
+                attachPoster: vi.fn(),
+                attachPosterDescription: vi.fn()
+            };
+            recorders.push(recorder);
+            return recorder;
+        });
+        generateMultipleMovies.mockResolvedValue({ movies: batchMovies, valid: 2, dropped: 0 });
+        streamMoviePlot.mockImplementation(async (elements, { onToken }) => {
+            onToken(`${elements.title}, expanded.`);
+            return `${elements.title}, expanded.`;
+        });
+        streamMovieTrailer.mockResolvedValue('[DEEP VOICE]\nThis summer.');
+    });
+
+    afterEach(() => {
+        cleanup();
+        vi.clearAllMocks();
+        vi.restoreAllMocks();
+    });
+
+    describe('batch generation', () => {
+        it('fills the cards from a single batch request', async () => {
+            render(<MovieStudio openaiEnabled={true} />);
+
+            startProduction(2);
+
+            expect(await screen.findByText('A chef cooks up revenge.')).toBeTruthy();
+            expect(generateMultipleMovies).toHaveBeenCalledTimes(1);
+            expect(generateMultipleMovies).toHaveBeenCalledWith(2);
+            expect(within(card('Crank Velocity')).getByText('the Jade Broker')).toBeTruthy();
+            expect(screen.getByRole('button', { name: 'New Batch' })).toBeTruthy();
+            expect(createLibraryRecorder).toHaveBeenCalledWith('studio');
+            expect(recorders).toHaveLength(2);
+            expect(recorders[0].recordPlot).toHaveBeenCalledWith(
+                expect.objectContaining({ title: 'Steel Protocol', formerProfession: 'chef', summary: 'A chef cooks up revenge.' })
+            );
+        });
+
+        it('fills dropped movies locally and says so', async () => {
+            generateMultipleMovies.mockResolvedValue({ movies: batchMovies.slice(0, 1), valid: 1, dropped: 2, unreadable: 0 });
+            render(<MovieStudio openaiEnabled={true} />);
+
+            startProduction(3);
+
+            expect(await screen.findByText('1 of 3 AI movies were usable (2 dropped as invalid); the rest were filled in locally.')).toBeTruthy();
+            expect(document.querySelectorAll('.movie-grid-item')).toHaveLength(3);
+            expect(document.querySelectorAll('.studio-summary')).toHaveLength(1);
+        });
+
+        it('reports unreadable responses apart from dropped movies', async () => {
+            generateMultipleMovies.mockResolvedValue({ movies: batchMovies.slice(0, 2), valid: 2, dropped: 0, unreadable: 1 });
+            render(<MovieStudio openaiEnabled={true} />);
+
+            startProduction(3);
+
+            expect(await screen.findByText('2 of 3 AI movies were usable (0 dropped as invalid, 1 unreadable response); the rest were filled in locally.')).toBeTruthy();
+        });
+
+        it('falls back to local movies when the batch request fails', async () => {
+            generateMultipleMovies.mockRejectedValue(new Error('No valid movies returned (3 dropped as invalid)'));
+            render(<MovieStudio openaiEnabled={true} />);
+
+            startProduction(3);
+
+            expect(await screen.findByText('Failed to generate movies with AI. Using the fallback generator.')).toBeTruthy();
+            expect(document.querySelectorAll('.movie-grid-item')).toHaveLength(3);
+            expect(document.querySelectorAll('.studio-summary')).toHaveLength(0);
+            expect(recorders).toHaveLength(3);
+        });
+
+        it('generates locally without calling the API when AI is off', async () => {
+            render(<MovieStudio openaiEnabled={false} />);
+
+            startProduction(2);
+
+            await waitFor(() => expect(document.querySelectorAll('.movie-grid-item')).toHaveLength(2));
+            expect(generateMultipleMovies).not.toHaveBeenCalled();
+            expect(screen.queryByText(/Failed to generate/)).toBeNull();
+        });
+
+        it('starts over with a new batch', async () => {
+            render(<MovieStudio openaiEnabled={true} />);
+            startProduction(2);
+            await screen.findByText('A chef cooks up revenge.');
+
+            fireEvent.click(screen.getByRole('button', { name: 'New Batch' }));
+
+            expect(document.querySelectorAll('.movie-grid-item')).toHaveLength(0);
+            expect(screen.getByRole('button', { name: 'Start Production' })).toBeTruthy();
+        });
+    });
+
+    describe('full plot', () => {
+        it('develops a card into a full plot as soon as it is opened', async () => {
+            render(<MovieStudio openaiEnabled={true} />);
+            startProduction(2);
+            await screen.findByText('A chef cooks up revenge.');
+
+            fireEvent.click(within(card('Steel Protocol')).getByRole('button', { name: 'Full Plot & Trailer' }));
+
+            await waitFor(() => expect(recorders[0].attachPlot).toHaveBeenCalled());
+            expect(streamMoviePlot).toHaveBeenCalledTimes(1);
+            expect(streamMoviePlot.mock.calls[0][0]).toMatchObject({ title: 'Steel Protocol', villain: 'Don Ruiz' });
+            // The batch title is kept rather than generated again
+            expect(generateTitle).not.toHaveBeenCalled();
+            expect(recorders[0].attachPlot).toHaveBeenCalledWith(
+                expect.objectContaining({ summary: 'Steel Protocol, expanded.', trailer: '[DEEP VOICE]\nThis summer.' })
+            );
+            expect(within(card('Steel Protocol')).getByText('Steel Protocol, expanded.')).toBeTruthy();
+            expect(recorders[1].attachPlot).not.toHaveBeenCalled();
+        });
+
+        it('keeps the developed plot when the card is hidden and shown again', async () => {
+            render(<MovieStudio openaiEnabled={true} />);
+            startProduction(2);
+            await screen.findByText('A chef cooks up revenge.');
+
+            fireEvent.click(within(card('Steel Protocol')).getByRole('button', { name: 'Full Plot & Trailer' }));
+            await waitFor(() => expect(recorders[0].attachPlot).toHaveBeenCalled());
+            fireEvent.click(within(card('Steel Protocol')).getByRole('button', { name: 'Hide Full Plot' }));
+            fireEvent.click(within(card('Steel Protocol')).getByRole('button', { name: 'Full Plot & Trailer' }));
+
+            expect(within(card('Steel Protocol')).getByText('Steel Protocol, expanded.')).toBeTruthy();
+            expect(streamMoviePlot).toHaveBeenCalledTimes(1);
+        });
+
+        it('develops the template plot when AI is off', async () => {
+            render(<MovieStudio openaiEnabled={false} />);
+            startProduction(1);
+            await waitFor(() => expect(recorders).toHaveLength(1));
+            const title = document.querySelector('.movie-grid-item h3').textContent;
+
+            fireEvent.click(screen.getByRole('button', { name: 'Full Plot & Trailer' }));
+
+            expect(await screen.findByText(/^In this action-packed thriller/)).toBeTruthy();
+            expect(recorders[0].attachPlot).toHaveBeenCalledWith(expect.objectContaining({ title }));
+            expect(streamMoviePlot).not.toHaveBeenCalled();
+        });
+    });
+
+    it('shows the poster for a card', async () => {
+        render(<MovieStudio openaiEnabled={true} />);
+        startProduction(2);
+        await screen.findByText('A chef cooks up revenge.');
+
+        fireEvent.click(within(card('Crank Velocity')).getByRole('button', { name: 'Poster' }));
+
+        expect(within(card('Crank Velocity')).getByRole('heading', { name: 'CRANK VELOCITY' })).toBeTruthy();
+        expect(within(card('Crank Velocity')).getByRole('button', { name: 'Hide Poster' })).toBeTruthy();
+        expect(within(card('Steel Protocol')).queryByText('Movie Poster')).toBeNull();
+    });
+});
@@ -0,0 +1,59 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, cleanup, act } from '@testing-library/react';
+import RateLimitNotice from '../../src/components/RateLimitNotice.jsx';
+import { subscribeToRateLimit } from '../../src/services/openaiService.js';
+
+vi.mock('../../src/services/openaiService.js', () => ({
+    subscribeToRateLimit: vi.fn()
+}));
+
+describe('RateLimitNotice', () => {
+    let notify;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        subscribeToRateLimit.mockImplementation((listener) => {
+            notify = listener;
+            return () => {};
+        });
+    });
+
+    afterEach(() => {
+        cleanup();
+        vi.clearAllMocks();
+        vi.useRealTimers();
+    });
+
+    it('shows nothing while requests are allowed', () => {
+        const { container } = render(<RateLimitNotice />);
+
+        expect(container.innerHTML).toBe('');
+    });
+
+    it('counts down until the rate limit runs out', () => {
+        render(<RateLimitNotice />);
+
+        act(() => notify({ until: Date.now() + 65000, errorType: 'client_rate_limit', message: 'Slow down' }));
+        expect(screen.getByRole('status').textContent).toBe("Easy there! You're generating too fast. AI features are back in 1:05.");
+
+        act(() => {
+            vi.advanceTimersByTime(20000);
+        });
+        expect(screen.getByRole('status').textContent).toMatch(/back in 45s\.$/);
+
+        act(() => {
+            vi.advanceTimersByTime(45000);
+        });
+        expect(screen.queryByRole('status')).toBeNull();
+    });
+
+    it('explains an exhausted daily budget', () => {
+        render(<RateLimitNotice />);
+
+        act(() => notify({ until: Date.now() + 3 * 3600 * 1000 + 245000, errorType: 'budget_exhausted', message: 'Budget' }));
+
+        expect(screen.getByRole('status').textContent).toBe("Today's AI budget is used up. AI features are back in 3:04:05.");
+    });
+});
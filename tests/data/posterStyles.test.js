@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_POSTER_STYLE, POSTER_STYLES, POSTER_STYLE_IDS, fillTemplate, getPosterStyle } from '../../src/data/posterStyles.js';
+
+/**
+ * Blocks a composited poster may letter
+ * @type {Array<string>}
+ */
+const BLOCKS = ['title', 'tagline', 'starring', 'billing', 'release'];
+
+describe('poster style registry', () => {
+    it('has unique ids, including the default style', () => {
+        expect(new Set(POSTER_STYLE_IDS).size).toBe(POSTER_STYLES.length);
+        expect(POSTER_STYLE_IDS).toContain(DEFAULT_POSTER_STYLE);
+    });
+
+    it.each(POSTER_STYLES.map((style) => [style.id, style]))('describes %s completely', (id, style) => {
+        expect(style.label).toEqual(expect.any(String));
+        expect(style.descriptionGuidance).toEqual(expect.any(String));
+        expect(style.imagePrompt).toContain('{title}');
+        // Templates may only use the placeholders the server fills in
+        expect(style.imagePrompt.match(/\{(\w+)\}/g).every((name) => ['{title}', '{setting}', '{villain}'].includes(name))).toBe(true);
+        ['filters', 'layouts', 'elements'].forEach((pool) => expect(style.concept[pool].length).toBeGreaterThan(0));
+        expect(Object.keys(style.theme).sort()).toEqual(['background', 'border', 'color']);
+
+        const { top, bottom, lettering } = style.typography;
+        expect([...top, ...bottom].sort()).toEqual([...BLOCKS].sort());
+        BLOCKS.forEach((block) => expect(lettering[block]).toMatchObject({ family: expect.any(String), size: expect.any(Number) }));
+    });
+
+    it('falls back to the default style for unknown ids', () => {
+        expect(getPosterStyle('noir').label).toBe('Noir');
+        expect(getPosterStyle('claymation').id).toBe(DEFAULT_POSTER_STYLE);
+    });
+
+    it('fills in prompt templates', () => {
+        expect(fillTemplate('"{title}" in {setting}{missing}', { title: 'Steel Protocol', setting: 'Lisbon' }))
+            .toBe('"Steel Protocol" in Lisbon');
+    });
+});
@@ -0,0 +1,543 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+/** @type {typeof import('../../src/services/openaiService.js')} */
+let service;
+let fetchMock;
+
+/**
+ * Make a JSON response like the /api/openai endpoint sends
+ * @param {Object} body - Response body
+ * @param {number} [status] - HTTP status
+ * @returns {Response} - Fetch response
+ */
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Make a server-sent event stream response
+ * @param {Array<[string, Object]>} events - Event names and payloads
+ * @returns {Response} - Fetch response
+ */
+function eventStreamResponse(events) {
+    const text = events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+    return new Response(text, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * Let a pending call run through its retry delays (but not the 30 second
+ * cooldown reset) and return its result
+ * @param {Promise<any>} promise - Pending service call
+ * @returns {Promise<any>} - The call's result
+ */
+async function settle(promise) {
+    // Rejections land while the timers run; the caller still sees them
+    promise.catch(() => {});
+    await vi.advanceTimersByTimeAsync(10000);
+    return promise;
+}
+
+const plotElements = {
+    seed: 'abc12345',
+    title: 'Steel Protocol',
+    setting: 'Lisbon',
+    formerProfession: 'chef',
+    currentJob: 'food truck owner',
+    plotTrigger: 'his dog is kidnapped',
+    villain: 'Don Ruiz',
+    villainGroup: 'the Harbor Syndicate',
+    sidekick: 'a retired pickpocket',
+    plotTwist: 'the dog was a spy',
+    vehicle: 'a vintage Lancia',
+    weapon: 'a cast-iron pan',
+    bossFight: 'a duel in a walk-in freezer',
+    bossKill: 'defeated in an epic showdown'
+};
+
+describe('openaiService', () => {
+    beforeEach(async () => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+
+        // Fresh module state (error backoff, availability) for every test
+        vi.resetModules();
+        service = await import('../../src/services/openaiService.js');
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        vi.useRealTimers();
+    });
+
+    describe('generateFallbackTitle', () => {
+        it('generateFallbackTitle_sameSeed_returnsSameTitle', () => {
+            expect(service.generateFallbackTitle('abc12345')).toBe(service.generateFallbackTitle('abc12345'));
+        });
+
+        it('generateFallbackTitle_differentSeeds_variesTitle', () => {
+            const titles = new Set(['a', 'b', 'c', 'd', 'e', 'f'].map((seed) => service.generateFallbackTitle(seed)));
+
+            expect(titles.size).toBeGreaterThan(1);
+        });
+    });
+
+    describe('fetchWithRetry', () => {
+        it('generateMoviePlot_success_postsActionAndReturnsPlot', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({ title: 'Iron Chef', plot: 'He cooks. They fall.' }));
+
+            const result = await service.generateMoviePlot(plotElements);
+
+            expect(result).toEqual({ title: 'Iron Chef', plot: 'He cooks. They fall.' });
+            const [url, options] = fetchMock.mock.calls[0];
+            expect(url).toBe('/api/openai');
+            expect(JSON.parse(options.body)).toEqual({ action: 'generateMoviePlot', plotElements });
+        });
+
+        it('generateMoviePlot_serverErrorThenSuccess_retries', async () => {
+            fetchMock
+                .mockResolvedValueOnce(jsonResponse({ error: 'Error processing request', retry: true }, 500))
+                .mockResolvedValueOnce(jsonResponse({ title: 'Iron Chef', plot: 'Second try.' }));
+
+            const result = await settle(service.generateMoviePlot(plotElements));
+
+            expect(fetchMock).toHaveBeenCalledTimes(2);
+            expect(result.plot).toBe('Second try.');
+        });
+
+        it('generateMoviePlot_everyAttemptFails_returnsFallbackPlot', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ error: 'Error processing request' }, 500));
+
+            const result = await settle(service.generateMoviePlot(plotElements));
+
+            expect(fetchMock).toHaveBeenCalledTimes(3);
+            expect(result.title).toBe('Steel Protocol');
+            expect(result.plot).toContain('former chef');
+            expect(result.plot).toContain('Don Ruiz');
+        });
+
+        it('generatePosterDescription_rateLimited_doesNotRetry', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({ error: 'Rate limit exceeded', errorType: 'rate_limit' }, 429));
+
+            await expect(settle(service.generatePosterDescription(plotElements, 'action')))
+                .rejects.toThrow(/quota exceeded/);
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+            expect(service.isOpenAIInitialized()).toBe(false);
+        });
+    });
+
+    describe('circuit breaker', () => {
+        it('handleApiError_threeFailedCalls_entersCooldown', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ error: 'Error processing request' }, 500));
+
+            for (let call = 0; call < 3; call++) {
+                await settle(service.generateMoviePlot(plotElements));
+            }
+
+            expect(service.isOpenAIInitialized()).toBe(false);
+        });
+
+        it('handleApiError_inCooldown_failsWithoutFetching', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ error: 'Error processing request' }, 500));
+            for (let call = 0; call < 3; call++) {
+                await settle(service.generateMoviePlot(plotElements));
+            }
+            fetchMock.mockClear();
+
+            await expect(service.generatePosterDescription(plotElements, 'action'))
+                .rejects.toThrow(/temporarily unavailable/);
+            expect(fetchMock).not.toHaveBeenCalled();
+        });
+
+        it('handleApiError_cooldownTimerElapses_restoresAvailability', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ error: 'Error processing request' }, 500));
+            for (let call = 0; call < 3; call++) {
+                await settle(service.generateMoviePlot(plotElements));
+            }
+
+            await vi.advanceTimersByTimeAsync(30000);
+
+            expect(service.isOpenAIInitialized()).toBe(true);
+        });
+
+        it('fetchWithRetry_repeatedTimeouts_entersCooldown', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ error: 'Request timed out', errorType: 'timeout' }, 504));
+
+            await expect(settle(service.generatePosterDescription(plotElements, 'action')))
+                .rejects.toThrow(/timing out repeatedly/);
+
+            expect(service.isOpenAIInitialized()).toBe(false);
+        });
+
+        it('isOpenAIInitialized_cooldownExpired_resetsAvailability', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ error: 'Request timed out', errorType: 'timeout' }, 504));
+            await settle(service.generatePosterDescription(plotElements, 'action').catch(() => {}));
+            expect(service.isOpenAIInitialized()).toBe(false);
+
+            // Only the clock moves; no reset timer is involved for timeouts
+            vi.setSystemTime(Date.now() + 30001);
+            expect(service.isOpenAIInitialized()).toBe(true);
+        });
+
+        it('clearOpenAI_inCooldown_restoresAvailability', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ error: 'Request timed out', errorType: 'timeout' }, 504));
+            await settle(service.generatePosterDescription(plotElements, 'action').catch(() => {}));
+
+            service.clearOpenAI();
+
+            expect(service.isOpenAIInitialized()).toBe(true);
+        });
+    });
+
+    describe('generateMultipleMovies', () => {
+        it('generateMultipleMovies_partialBatch_returnsMoviesAndCounts', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({
+                movies: [{ title: 'Harbor Fury' }],
+                requested: 3,
+                valid: 1,
+                repaired: 0,
+                dropped: 2,
+                errors: []
+            }));
+
+            const batch = await service.generateMultipleMovies(3);
+
+            expect(batch).toMatchObject({ requested: 3, valid: 1, dropped: 2 });
+            expect(batch.movies).toEqual([{ title: 'Harbor Fury' }]);
+        });
+
+        it('generateMultipleMovies_noValidMovies_throws', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({ movies: [], requested: 3, valid: 0, dropped: 4, errors: [] }));
+
+            await expect(service.generateMultipleMovies(3)).rejects.toThrow('No valid movies returned (4 dropped as invalid)');
+        });
+
+        it('generateMultipleMovies_unreadableResponses_saysSoApartFromDropped', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({ movies: [], requested: 3, valid: 0, dropped: 0, errors: [], unreadable: 2 }));
+
+            await expect(service.generateMultipleMovies(3)).rejects.toThrow('No valid movies returned (0 dropped as invalid, 2 unreadable responses)');
+        });
+    });
+
+    describe('rate limiting', () => {
+        const limited = {
+            error: 'Too many requests',
+            message: 'You are generating too fast. Please wait 30 seconds.',
+            retry: true,
+            errorType: 'client_rate_limit',
+            retryAfter: 30
+        };
+
+        it('fetchWithRetry_serverRateLimit_throwsWithoutRetryOrCooldown', async () => {
+            fetchMock.mockResolvedValue(jsonResponse(limited, 429));
+
+            const error = await settle(service.generatePosterDescription(plotElements, 'action')).catch((e) => e);
+
+            expect(error.isRateLimited).toBe(true);
+            expect(error.retryAfter).toBe(30);
+            expect(error.message).toBe(limited.message);
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+            expect(service.isOpenAIInitialized()).toBe(true);
+        });
+
+        it('subscribeToRateLimit_serverRateLimit_notifiesWithDeadline', async () => {
+            fetchMock.mockResolvedValue(jsonResponse(limited, 429));
+            const listener = vi.fn();
+            service.subscribeToRateLimit(listener);
+
+            await service.generatePosterDescription(plotElements, 'action').catch(() => {});
+
+            expect(listener).toHaveBeenCalledWith({
+                until: Date.now() + 30000,
+                errorType: 'client_rate_limit',
+                message: limited.message
+            });
+        });
+
+        it('fetchWithRetry_whileRateLimited_failsWithoutFetchingUntilItExpires', async () => {
+            fetchMock.mockResolvedValueOnce(jsonResponse(limited, 429));
+            await service.generatePosterDescription(plotElements, 'action').catch(() => {});
+
+            await expect(service.generatePosterDescription(plotElements, 'action')).rejects.toThrow(limited.message);
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+
+            vi.advanceTimersByTime(30000);
+            fetchMock.mockResolvedValueOnce(jsonResponse({ description: 'Tagline' }));
+            await expect(service.generatePosterDescription(plotElements, 'action')).resolves.toBe('Tagline');
+            expect(service.getRateLimit()).toBeNull();
+        });
+
+        it('fetchWithRetry_sendsBackTheIssuedSessionId', async () => {
+            fetchMock.mockImplementationOnce(async () => new Response(JSON.stringify({ description: 'Tagline' }), {
+                headers: { 'Content-Type': 'application/json', 'X-Session-Id': 'issued.signature' }
+            }));
+            fetchMock.mockImplementation(async () => jsonResponse({ description: 'Tagline' }));
+
+            await service.generatePosterDescription(plotElements, 'action');
+            await service.generatePosterDescription(plotElements, 'action');
+
+            const [first, second] = fetchMock.mock.calls.map(([, options]) => options.headers['X-Session-Id']);
+            expect(first).toBeUndefined();
+            expect(second).toBe('issued.signature');
+        });
+    });
+
+    describe('user API key', () => {
+        it('fetchWithRetry_userKeySet_sendsItUntilCleared', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ description: 'Tagline' }));
+
+            service.setUserApiKey('sk-user-key-0123456789');
+            await service.generatePosterDescription(plotElements, 'action');
+            service.setUserApiKey(null);
+            await service.generatePosterDescription(plotElements, 'action');
+
+            const [first, second] = fetchMock.mock.calls.map(([, options]) => options.headers['X-OpenAI-Key']);
+            expect(first).toBe('sk-user-key-0123456789');
+            expect(second).toBeUndefined();
+        });
+
+        it('fetchCapabilities_returnsServerReport', async () => {
+            const report = { configured: true, provider: 'openai', keySource: 'server', features: { text: true, image: true, audio: false } };
+            fetchMock.mockResolvedValue(jsonResponse(report));
+
+            await expect(service.fetchCapabilities()).resolves.toEqual(report);
+            expect(fetchMock.mock.calls[0][0]).toBe('/api/openai?capabilities=1');
+        });
+
+        it('initializeOpenAI_textUnavailable_marksApiUnavailable', async () => {
+            const report = { configured: false, features: { text: false, image: false, audio: false }, cooldown: { active: false } };
+            fetchMock.mockResolvedValue(jsonResponse(report));
+
+            await expect(service.initializeOpenAI()).resolves.toEqual(report);
+            expect(service.isOpenAIInitialized()).toBe(false);
+            expect(service.getCapabilities()).toEqual(report);
+        });
+
+        it('initializeOpenAI_serverCooldown_holdsRequestsOff', async () => {
+            const cooldown = { active: true, retryAfter: 45, errorType: 'budget_exhausted', message: 'Budget used up' };
+            fetchMock.mockResolvedValue(jsonResponse({ configured: true, features: { text: true, image: true, audio: true }, cooldown }));
+
+            await service.initializeOpenAI();
+
+            expect(service.isOpenAIInitialized()).toBe(true);
+            expect(service.getRateLimit()).toEqual({ until: Date.now() + 45000, errorType: 'budget_exhausted', message: 'Budget used up' });
+            await expect(service.generatePosterDescription(plotElements, 'action')).rejects.toThrow('Budget used up');
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+        });
+
+        it('initializeOpenAI_serverUnreachable_returnsNull', async () => {
+            fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+            await expect(service.initializeOpenAI()).resolves.toBeNull();
+            expect(service.isOpenAIInitialized()).toBe(false);
+        });
+
+        it('validateApiKey_acceptedKey_sendsCandidateKey', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({ valid: true, provider: 'openai' }));
+
+            const result = await service.validateApiKey('sk-candidate-0123456789');
+
+            const [, options] = fetchMock.mock.calls[0];
+            expect(result).toEqual({ valid: true });
+            expect(options.headers['X-OpenAI-Key']).toBe('sk-candidate-0123456789');
+            expect(JSON.parse(options.body)).toEqual({ action: 'checkApiKey' });
+        });
+
+        it('validateApiKey_rejectedKey_explainsWithoutCooldown', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({ error: 'Invalid API key', retry: false, errorType: 'invalid_api_key' }, 401));
+
+            const result = await service.validateApiKey('sk-wrong-0123456789');
+
+            expect(result.valid).toBe(false);
+            expect(result.message).toMatch(/OpenAI did not accept this key/);
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+            expect(service.isOpenAIInitialized()).toBe(true);
+        });
+    });
+
+    describe('background jobs', () => {
+        const queued = { jobId: 'job-1', status: 'queued', progress: 0, message: 'Waiting to start' };
+
+        it('generateMoviePoster_jobQueued_pollsUntilDoneAndReportsProgress', async () => {
+            fetchMock
+                .mockResolvedValueOnce(jsonResponse(queued, 202))
+                .mockResolvedValueOnce(jsonResponse({ ...queued, status: 'running', progress: 0.4, message: 'Painting the poster' }))
+                .mockResolvedValueOnce(jsonResponse({ ...queued, status: 'done', progress: 1, message: 'Done', result: { imageUrl: 'https://images.example/poster.png' } }));
+            const onProgress = vi.fn();
+
+            const imageUrl = await settle(service.generateMoviePoster(plotElements, 'action', { onProgress }));
+
+            expect(imageUrl).toBe('https://images.example/poster.png');
+            expect(fetchMock.mock.calls[1][0]).toBe('/api/openai?jobId=job-1');
+            expect(fetchMock.mock.calls[1][1].method).toBe('GET');
+            expect(onProgress.mock.calls.map(([job]) => job.progress)).toEqual([0, 0.4, 1]);
+            expect(onProgress).toHaveBeenCalledWith({ status: 'running', progress: 0.4, message: 'Painting the poster' });
+        });
+
+        it('generateMoviePoster_jobPolls_keepTheIssuedSessionId', async () => {
+            fetchMock
+                .mockResolvedValueOnce(new Response(JSON.stringify(queued), {
+                    status: 202,
+                    headers: { 'Content-Type': 'application/json', 'X-Session-Id': 'issued.signature' }
+                }))
+                .mockResolvedValueOnce(jsonResponse({ ...queued, status: 'running', progress: 0.4 }))
+                .mockResolvedValueOnce(jsonResponse({ ...queued, status: 'done', progress: 1, result: { imageUrl: 'https://images.example/poster.png' } }));
+
+            await settle(service.generateMoviePoster(plotElements, 'action'));
+
+            const polls = fetchMock.mock.calls.slice(1).map(([, options]) => options.headers['X-Session-Id']);
+            expect(polls).toEqual(['issued.signature', 'issued.signature']);
+        });
+
+        it('generateMoviePoster_answeredWithinTheRequest_waitsPastTheUsualTimeout', async () => {
+            fetchMock.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+                const timer = setTimeout(() => resolve(jsonResponse({ imageUrl: 'https://images.example/poster.png' })), 45000);
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+                });
+            }));
+
+            const poster = service.generateMoviePoster(plotElements, 'action');
+            poster.catch(() => {});
+            await vi.advanceTimersByTimeAsync(45000);
+
+            await expect(poster).resolves.toBe('https://images.example/poster.png');
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+        });
+
+        it('generateMoviePoster_cachedOnServer_regenerateSkipsCache', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ imageUrl: 'https://images.example/poster.png' }));
+
+            const cached = await settle(service.generateMoviePoster(plotElements, 'action'));
+            await settle(service.generateMoviePoster(plotElements, 'action', { regenerate: true }));
+
+            // A cache hit is answered straight away instead of as a job
+            expect(cached).toBe('https://images.example/poster.png');
+            expect(fetchMock.mock.calls.map(([, options]) => JSON.parse(options.body).regenerate)).toEqual([false, true]);
+        });
+
+        it('generateMoviePoster_posterOptions_sentWithRequest', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ imageUrl: '/api/assets?id=abc' }));
+
+            await settle(service.generateMoviePoster(plotElements, 'vintage', { format: 'square', quality: 'hd', imageStyle: 'natural' }));
+
+            expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({
+                action: 'generateMoviePoster',
+                style: 'vintage',
+                format: 'square',
+                quality: 'hd',
+                imageStyle: 'natural'
+            });
+        });
+
+        it('generatePosterConcept_returnsTaglineAndArtDirection', async () => {
+            const artDirection = { composition: 'Low angle', palette: 'Teal and orange' };
+            fetchMock.mockResolvedValue(jsonResponse({ description: 'Tagline\nDetails', tagline: 'Tagline', artDirection }));
+
+            await expect(service.generateAIPosterConcept(plotElements, 'noir')).resolves.toEqual({
+                description: 'Tagline\nDetails',
+                tagline: 'Tagline',
+                artDirection
+            });
+            expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ action: 'generatePosterDescription', style: 'noir' });
+        });
+
+        it('generateMoviePoster_artDirection_sentWithRequest', async () => {
+            fetchMock.mockImplementation(async () => jsonResponse({ imageUrl: '/api/assets?id=abc' }));
+
+            await settle(service.generateMoviePoster(plotElements, 'action', { artDirection: { pose: 'Arms crossed' } }));
+
+            expect(JSON.parse(fetchMock.mock.calls[0][1].body).artDirection).toEqual({ pose: 'Arms crossed' });
+        });
+
+        it('generateMoviePoster_jobFails_throwsJobError', async () => {
+            fetchMock
+                .mockResolvedValueOnce(jsonResponse(queued, 202))
+                .mockResolvedValueOnce(jsonResponse({ ...queued, status: 'failed', error: { error: 'Error processing request', message: 'Content policy violation' } }));
+
+            await expect(settle(service.generateMoviePoster(plotElements, 'action'))).rejects.toThrow('Content policy violation');
+        });
+
+        it('generateMoviePoster_jobExpired_throwsWithoutRetrying', async () => {
+            fetchMock
+                .mockResolvedValueOnce(jsonResponse(queued, 202))
+                .mockResolvedValueOnce(jsonResponse({ error: 'Job not found', message: 'The job has expired or never existed.' }, 404));
+
+            await expect(settle(service.generateMoviePoster(plotElements, 'action'))).rejects.toThrow('The job has expired');
+            expect(fetchMock).toHaveBeenCalledTimes(2);
+        });
+
+        it('generateMoviePoster_statusCheckFailsOnce_keepsPolling', async () => {
+            fetchMock
+                .mockResolvedValueOnce(jsonResponse(queued, 202))
+                .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+                .mockResolvedValueOnce(jsonResponse({ ...queued, status: 'done', progress: 1, result: { imageUrl: 'https://images.example/poster.png' } }));
+
+            const imageUrl = await settle(service.generateMoviePoster(plotElements, 'action'));
+
+            expect(imageUrl).toBe('https://images.example/poster.png');
+        });
+
+        it('generateTrailerAudio_jobDone_returnsObjectUrlForAudio', async () => {
+            vi.stubGlobal('URL', { createObjectURL: vi.fn(() => 'blob:trailer-audio') });
+            fetchMock
+                .mockResolvedValueOnce(jsonResponse(queued, 202))
+                .mockResolvedValueOnce(jsonResponse({ ...queued, status: 'done', progress: 1, result: { audio: btoa('RIFF-audio'), format: 'wav' } }));
+
+            const audioUrl = await settle(service.generateTrailerAudio('In a world...'));
+
+            expect(audioUrl).toBe('blob:trailer-audio');
+            const [blob] = URL.createObjectURL.mock.calls[0];
+            expect(blob.type).toBe('audio/wav');
+            expect(await blob.text()).toBe('RIFF-audio');
+        });
+    });
+
+    describe('streaming', () => {
+        it('streamMoviePlot_eventStream_reportsTokensAndResolvesPlot', async () => {
+            fetchMock.mockResolvedValue(eventStreamResponse([
+                ['token', { text: 'He cooks.' }],
+                ['token', { text: ' They fall.' }],
+                ['done', { title: 'Steel Protocol', plot: 'He cooks. They fall.' }]
+            ]));
+            const onToken = vi.fn();
+
+            const result = await service.streamMoviePlot(plotElements, { onToken });
+
+            expect(onToken.mock.calls).toEqual([['He cooks.'], [' They fall.']]);
+            expect(result).toEqual({ title: 'Steel Protocol', plot: 'He cooks. They fall.' });
+            expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ action: 'generateMoviePlot', stream: true });
+        });
+
+        it('streamMovieTrailer_errorEvent_returnsFallbackTrailer', async () => {
+            fetchMock.mockResolvedValue(eventStreamResponse([
+                ['token', { text: 'In a world' }],
+                ['error', { error: 'Stream interrupted', message: 'connection reset' }]
+            ]));
+
+            const trailer = await service.streamMovieTrailer(plotElements);
+
+            expect(trailer).toContain('STEEL PROTOCOL');
+            expect(trailer).toContain('former chef');
+        });
+
+        it('streamCompletion_jsonResponse_yieldsSingleDoneEvent', async () => {
+            fetchMock.mockResolvedValue(jsonResponse({ trailer: 'In a world...' }));
+
+            const events = [];
+            for await (const event of service.streamCompletion('generateMovieTrailer', { plotElements })) {
+                events.push(event);
+            }
+
+            expect(events).toEqual([{ type: 'done', data: { trailer: 'In a world...' } }]);
+        });
+    });
+});
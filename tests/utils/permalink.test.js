@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { decodeMovie, encodeMovie } from '../../src/utils/permalink.js';
+
+/**
+ * Encode an arbitrary object the way an uncompressed permalink carries it
+ * @param {Object} data - Payload
+ * @returns {string} - Encoded payload
+ */
+function plainPayload(data) {
+    const base64 = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return `j${base64}`;
+}
+
+describe('permalink', () => {
+    it('decodeMovie_roundTrip_restoresTheMovie', async () => {
+        const movie = { seed: 'K7Q2M9XA', title: 'Steel Protocol', villain: 'Don Ruiz', hasCameo: true, cameo: 'Vinnie Jones', edited: true };
+
+        await expect(decodeMovie(await encodeMovie(movie))).resolves.toEqual(movie);
+    });
+
+    it('decodeMovie_unknownFields_areDropped', async () => {
+        const movie = await decodeMovie(plainPayload({ title: 'Steel Protocol', posterImage: 'javascript:alert(1)', onLoad: 'steal()' }));
+
+        expect(movie).toEqual({ title: 'Steel Protocol', hasCameo: false, cameo: '' });
+    });
+
+    it('decodeMovie_wrongFieldType_throws', async () => {
+        await expect(decodeMovie(plainPayload({ title: 'Steel Protocol', villain: { name: 'Don Ruiz' } })))
+            .rejects.toThrow('Movie link has an invalid villain');
+        await expect(decodeMovie(plainPayload({ title: 'Steel Protocol', hasCameo: 'yes' })))
+            .rejects.toThrow('Movie link has an invalid hasCameo');
+        await expect(decodeMovie(plainPayload({ title: 42 })))
+            .rejects.toThrow('Movie link has an invalid title');
+    });
+});
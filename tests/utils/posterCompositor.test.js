@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { drawPoster, fitText, posterCredits } from '../../src/utils/posterCompositor.js';
+import { getPosterStyle } from '../../src/data/posterStyles.js';
+
+/**
+ * Build a fake 2D context whose text is as wide as half its font size per
+ * character, recording the text it draws
+ * @returns {Object} - Fake canvas context
+ */
+function createContext() {
+    const ctx = {
+        font: '',
+        drawn: [],
+        rects: [],
+        measureText(text) {
+            const size = Number(/(\d+)px/.exec(ctx.font)[1]);
+            return { width: text.length * size * 0.5 };
+        },
+        createLinearGradient: () => ({ addColorStop() {} }),
+        drawImage() {},
+        fillRect(...args) {
+            ctx.rects.push({ fillStyle: ctx.fillStyle, args });
+        },
+        strokeRect() {
+            ctx.frame = ctx.strokeStyle;
+        },
+        fillText(text, x, y) {
+            ctx.drawn.push({ text, x, y, font: ctx.font, fillStyle: ctx.fillStyle });
+        },
+        strokeText(text) {
+            ctx.stroked = [...(ctx.stroked || []), text];
+        }
+    };
+    return ctx;
+}
+
+const poster = {
+    width: 1000,
+    height: 1000,
+    title: 'Steel Protocol',
+    tagline: '"Dinner is served. Cold."',
+    credits: posterCredits({ hasCameo: true, cameo: 'Vin Diesel as an old army buddy' })
+};
+
+describe('posterCompositor', () => {
+    it('bills a cameo by name only', () => {
+        expect(poster.credits).toEqual({
+            starring: 'JASON STATHAM',
+            billing: 'with VIN DIESEL | Directed by MICHAEL BAY | Written by CHRISTOPHER NOLAN',
+            release: 'COMING SOON'
+        });
+        expect(posterCredits({ hasCameo: false, cameo: 'Vin Diesel' }).billing).toBe('Directed by MICHAEL BAY | Written by CHRISTOPHER NOLAN');
+    });
+
+    it('letters the exact title, tagline and billing block over the art', () => {
+        const ctx = createContext();
+
+        drawPoster(ctx, {}, { ...poster, style: 'action' });
+
+        const texts = ctx.drawn.map(({ text }) => text);
+        expect(texts).toEqual(expect.arrayContaining(['STEEL PROTOCOL', 'Dinner is served. Cold.', 'JASON STATHAM', 'COMING SOON']));
+        expect(ctx.drawn.every(({ x }) => x === 500)).toBe(true);
+    });
+
+    it('places the title by style', () => {
+        const titleY = (style) => {
+            const ctx = createContext();
+            drawPoster(ctx, {}, { ...poster, style });
+            return ctx.drawn.find(({ text }) => text.startsWith('STEEL')).y;
+        };
+
+        expect(titleY('action')).toBeGreaterThan(500);
+        expect(titleY('artsy')).toBeLessThan(500);
+        expect(titleY('vintage')).toBeLessThan(500);
+    });
+
+    it('outlines and frames vintage posters', () => {
+        const ctx = createContext();
+
+        drawPoster(ctx, {}, { ...poster, style: 'vintage' });
+
+        // Too wide for one line at the largest size, so it wraps instead of shrinking
+        expect(ctx.stroked).toEqual(['STEEL', 'PROTOCOL']);
+        expect(ctx.frame).toBe(getPosterStyle('vintage').typography.frame);
+        expect(ctx.rects.some(({ fillStyle }) => fillStyle === getPosterStyle('vintage').typography.lettering.release.banner)).toBe(true);
+    });
+
+    it('letters a landscape banner in a column on the left', () => {
+        const ctx = createContext();
+
+        drawPoster(ctx, {}, { ...poster, width: 1792, height: 1024, style: 'action' });
+
+        expect(ctx.drawn.length).toBeGreaterThan(0);
+        expect(ctx.drawn.every(({ x }) => x === 1792 * 0.45 / 2)).toBe(true);
+        // Sizes follow the shorter side; the narrow column wraps the title instead of shrinking it
+        const title = ctx.drawn.filter(({ text }) => ['STEEL', 'PROTOCOL'].includes(text));
+        expect(title).toHaveLength(2);
+        expect(title[0].font).toContain(`${Math.round(1024 * getPosterStyle('action').typography.lettering.title.size)}px`);
+    });
+
+    it('shrinks and wraps a long title to fit the width', () => {
+        const ctx = createContext();
+        const lettering = getPosterStyle('action').typography.lettering.title;
+
+        const { lines, size } = fitText(ctx, 'THE EXTREMELY LONG AND DANGEROUS PROTOCOL', lettering, { unit: 1000, maxWidth: 880 });
+
+        expect(lines.length).toBeLessThanOrEqual(lettering.maxLines);
+        expect(size).toBeLessThan(1000 * lettering.size);
+        ctx.font = `${Math.round(size)}px sans-serif`;
+        expect(lines.every((line) => ctx.measureText(line).width <= 880)).toBe(true);
+    });
+});
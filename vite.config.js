@@ -1,9 +1,48 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+/**
+ * Serve the /api/* serverless functions from the dev server, so
+ * `npm run dev` works without `vercel dev` (and, with the mock provider,
+ * without network access)
+ * @returns {import('vite').Plugin} - Vite plugin
+ */
+function apiDevServer() {
+  return {
+    name: 'api-dev-server',
+    configureServer(server) {
+      server.middlewares.use('/api', async (req, res, next) => {
+        const route = req.url.split('?')[0].replace(/^\/+/, '');
+        if (!/^[\w-]+$/.test(route)) return next();
+
+        let body = '';
+        for await (const chunk of req) body += chunk;
+
+        try {
+          const { default: handler } = await server.ssrLoadModule(`/api/${route}.js`);
+          req.body = body ? JSON.parse(body) : {};
+          // Minimal versions of the helpers Vercel adds to the response
+          res.status = (code) => {
+            res.statusCode = code;
+            return res;
+          };
+          res.json = (data) => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(data));
+            return res;
+          };
+          await handler(req, res);
+        } catch (error) {
+          next(error);
+        }
+      });
+    }
+  };
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), apiDevServer()],
   build: {
     outDir: './dist',
     emptyOutDir: true